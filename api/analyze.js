@@ -1,6 +1,80 @@
 // /api/analyze.js
 // Node runtime + classic req/res handler so Vercel actually sends a response.
 
+import {
+  dietProfile,
+  dietPromptLines,
+  enforceDiet,
+  hasRestrictions,
+  ingredientAllowed,
+  spoonacularDietParams,
+} from "../lib/diet.js";
+import {
+  ingredientInfo,
+  KNOWN_WORDS,
+  lookupTerm,
+  MAX_PHRASE_WORDS,
+  SINGLE_WORD_TERMS,
+  termWords,
+} from "../lib/ingredients.js";
+import { breakerState, errorInfo, fetchJson } from "../lib/http.js";
+import {
+  cacheBypass,
+  cacheGet,
+  cacheKey,
+  cacheSet,
+  cacheStore,
+  PROVIDER_PREFS,
+  ttlFor,
+} from "../lib/cache.js";
+import { llmComplete, llmConfig, llmEnabled } from "../lib/llm.js";
+import { localRecipes } from "../lib/local-recipes.js";
+import { planDaysPref, planWeek } from "../lib/plan.js";
+import { registerProvider, runProviders } from "../lib/providers.js";
+import { budgetPref, enforceBudget, priceTable, withCost } from "../lib/cost.js";
+import { appliancesPref, enforceAppliances, withEnergy } from "../lib/energy.js";
+import {
+  enforceNutrition,
+  nutritionPrefs,
+  spoonacularNutrition,
+  withNutrition,
+} from "../lib/nutrition.js";
+import { annotateFreshness, boostFresh, freshnessPromptLines, urgentItems } from "../lib/freshness.js";
+import { buildShoppingList } from "../lib/shopping.js";
+import {
+  cuisineKeys,
+  cuisineLabel,
+  cuisinePref,
+  MEAL_TYPES,
+  mealTypePref,
+  spoonacularCuisine,
+  withCuisines,
+} from "../lib/cuisine.js";
+import { rankRecipes, rankWeights, scoreRecipe, timeCapPref } from "../lib/rank.js";
+import { stockCheck } from "../lib/stock.js";
+import { applySubstitutions, findSubstitute } from "../lib/substitutions.js";
+import { RECIPES_SCHEMA, parseRecipes } from "../lib/recipe-schema.js";
+import { decodeBarcodes, MIME_TYPES, prepareImage } from "../lib/images.js";
+import { lookupBarcode, productObservation, productsInText } from "../lib/products.js";
+import {
+  mediaType,
+  openStream,
+  parseMultipart,
+  readBody,
+  readJsonBody,
+  sendJson,
+  streamFormat,
+} from "../lib/request.js";
+import { createDeadline, nowMs, withTimeout } from "../lib/timing.js";
+import {
+  attachQuantities,
+  parseQuantities,
+  roundAmount,
+  scaleRecipe,
+  servingsPref,
+  unitSystemPref,
+} from "../lib/units.js";
+
 export const config = {
   runtime: "nodejs",
   maxDuration: 25,
@@ -11,84 +85,114 @@ export const config = {
 /* ----------------------- Env ----------------------- */
 const GCV_KEY = process.env.GCV_KEY;
 const SPOON_KEY = process.env.SPOON_KEY || process.env.SPOONACULAR_KEY;
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+
+// Whole request body, JSON or binary. Vercel refuses bodies over 4.5 MB before
+// the function runs; raise these only when hosting elsewhere.
+const MAX_BODY_BYTES = Number(process.env.MAX_BODY_BYTES) || 4_500_000;
+const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_BYTES) || MAX_BODY_BYTES;
+const UPLOAD_TIMEOUT_MS = 8000;
+const MAX_IMAGES = Number(process.env.MAX_IMAGES) || 6;
+// Per image as sent to Vision, after downscaling: base64 chars, and bytes
+const MAX_IMAGE_BYTES = Number(process.env.MAX_IMAGE_BYTES) || 3_500_000;
+const VISION_MAX_BYTES = Math.floor((MAX_IMAGE_BYTES * 3) / 4);
+
+// Request deadline: the watchdog, never past the function's maxDuration less
+// time to send the answer; stages hold back STAGE_MARGIN_MS of it
+const WATCHDOG_MS = Number(process.env.WATCHDOG_MS) || 12000;
+const RESPONSE_MARGIN_MS = 1500;
+const STAGE_MARGIN_MS = 300;
+const VISION_TIMEOUT_MS = 2500;
+
+// Cache TTLs (CACHE_TTL_<NAME> overrides, see lib/cache.js)
+const VISION_CACHE_MS = 24 * 60 * 60 * 1000;
+const SPOON_CACHE_MS = 6 * 60 * 60 * 1000;
+const LLM_CACHE_MS = 30 * 60 * 1000;
 
 /* ----------------------- Helpers ----------------------- */
-const nowMs = () => Number(process.hrtime.bigint() / 1000000n);
-
-function sendJson(res, status, obj) {
-  const data = JSON.stringify(obj);
-  res.statusCode = status;
-  res.setHeader("content-type", "application/json");
-  res.setHeader("content-length", Buffer.byteLength(data));
-  res.end(data);
+const imageContent = (imageBase64) =>
+  String(imageBase64 || "").replace(/^data:image\/\w+;base64,/, "");
+
+// Accepts imageBase64 (string or array) or images[], plus binary uploads;
+// enforces the count cap (size is checked after downscaling). -> [Buffer]
+function collectImages(body, uploads = []) {
+  const raw = Array.isArray(body?.images)
+    ? body.images
+    : Array.isArray(body?.imageBase64)
+    ? body.imageBase64
+    : body?.imageBase64
+    ? [body.imageBase64]
+    : [];
+  const images = raw.filter((x) => typeof x === "string" && x);
+
+  if (images.length + uploads.length > MAX_IMAGES) {
+    const err = new Error("too-many-images");
+    err.code = "TOO_MANY_IMAGES";
+    throw err;
+  }
+
+  return [...images.map((x) => Buffer.from(imageContent(x), "base64")), ...uploads];
 }
 
-function withTimeout(run, ms, label = "timeout") {
-  return new Promise((resolve, reject) => {
-    let finished = false;
-    const timer = setTimeout(() => {
-      if (finished) return;
-      finished = true;
-      reject(new Error(label));
-    }, ms);
-
-    Promise.resolve()
-      .then(run)
-      .then((val) => {
-        if (finished) return;
-        finished = true;
-        clearTimeout(timer);
-        resolve(val);
+// Sniffed, downscaled / re-encoded for Vision (lib/images.js); errors get the
+// image's index. -> { images: [base64], info: [{ format, bytes, ..., resized }] }
+async function prepareImages(buffers) {
+  const prepared = await Promise.all(
+    buffers.map((buf, index) =>
+      prepareImage(buf, { maxBytes: VISION_MAX_BYTES }).catch((e) => {
+        throw Object.assign(e, { index });
       })
-      .catch((err) => {
-        if (finished) return;
-        finished = true;
-        clearTimeout(timer);
-        reject(err);
-      });
-  });
+    )
+  );
+  return {
+    images: prepared.map((p) => p.data.toString("base64")),
+    info: prepared.map(({ data, ...rest }) => rest),
+  };
 }
 
-function tfetch(url, opts = {}, ms = 2500, label = "fetch-timeout") {
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), ms);
+// multipart form fields that carry JSON
+const JSON_FIELDS = new Set(["prefs", "pantryOverride"]);
 
-  return fetch(url, { ...opts, signal: controller.signal })
-    .finally(() => clearTimeout(timer))
-    .catch((e) => {
-      throw new Error(label + ": " + (e?.message || String(e)));
-    });
+function formValue(name, text) {
+  if (!JSON_FIELDS.has(name)) return text === "true" ? true : text;
+  try {
+    return JSON.parse(text);
+  } catch {
+    const err = new Error("invalid-json");
+    err.code = "INVALID_JSON";
+    throw err;
+  }
 }
 
-// Safe JSON body reader for Node req
-async function readJsonBody(req, timeoutMs = 3000) {
-  return withTimeout(
-    async () => {
-      const chunks = [];
-      for await (const chunk of req) {
-        chunks.push(chunk);
-      }
-      const bodyStr = Buffer.concat(chunks).toString("utf8");
-
-      if (bodyStr && bodyStr.length > 3_500_000) {
-        const err = new Error("payload-too-large");
-        err.code = "PAYLOAD_TOO_LARGE";
-        throw err;
-      }
+// Raw image bodies have no room for prefs: ?prefs=<json>&mode=plan&stream=ndjson
+function queryBody(req) {
+  const q = new URL(req.url || "/", "http://localhost").searchParams;
+  const body = {};
+  for (const name of ["prefs", "pantryOverride", "mode", "stream"]) {
+    if (q.has(name)) body[name] = formValue(name, q.get(name));
+  }
+  return body;
+}
 
-      if (!bodyStr) return {};
-      try {
-        return JSON.parse(bodyStr);
-      } catch (e) {
-        const err = new Error("invalid-json");
-        err.code = "INVALID_JSON";
-        throw err;
-      }
-    },
-    timeoutMs,
-    "body-timeout"
-  );
+// JSON, multipart/form-data (image files + fields) or a raw image body
+// -> { body, uploads: [Buffer] }
+async function readRequest(req) {
+  const type = mediaType(req);
+  if (type === "multipart/form-data") {
+    const buf = await readBody(req, UPLOAD_TIMEOUT_MS, MAX_UPLOAD_BYTES);
+    const body = {};
+    const uploads = [];
+    for (const part of parseMultipart(buf, req.headers["content-type"])) {
+      const isFile = part.filename != null || part.contentType?.startsWith("image/");
+      if (isFile && part.data.length) uploads.push(part.data);
+      else if (!isFile) body[part.name] = formValue(part.name, part.data.toString("utf8"));
+    }
+    return { body, uploads };
+  }
+  if (type.startsWith("image/") || type === "application/octet-stream") {
+    const buf = await readBody(req, UPLOAD_TIMEOUT_MS, MAX_UPLOAD_BYTES);
+    return { body: queryBody(req), uploads: buf.length ? [buf] : [] };
+  }
+  return { body: await readJsonBody(req, 3000, MAX_BODY_BYTES), uploads: [] };
 }
 
 /* ----------------------- Classifiers ----------------------- */
@@ -118,18 +222,9 @@ const DESSERT = new Set([
   "licorice",
   "cobbler",
 ]);
-const DRINK = new Set([
-  "drink",
-  "beverage",
-  "mocktail",
-  "cocktail",
-  "margarita",
-  "mojito",
-  "spritzer",
-  "soda",
-  "punch",
-  "toddy",
-]);
+const DRINK = new Set(["drink", "beverage", "mocktail", "soda"]);
+// Dropped whatever the meal type, like ALCOHOL
+const COCKTAIL = new Set(["cocktail", "margarita", "mojito", "spritzer", "punch", "toddy"]);
 const ALCOHOL = new Set([
   "brandy",
   "rum",
@@ -163,15 +258,13 @@ const MEAT = new Set([
 ]);
 
 /* ----------------------- Vision (2.5s) ----------------------- */
-async function callVision(imageBase64) {
-  if (!GCV_KEY) {
-    return { ocrTokens: [], labels: [], objects: [], error: "no GCV_KEY" };
-  }
+const OCR_DEFAULT_SCORE = 0.7;
 
+function visionAnnotate(imageBase64, timeoutMs) {
   const body = {
     requests: [
       {
-        image: { content: String(imageBase64 || "").replace(/^data:image\/\w+;base64,/, "") },
+        image: { content: imageContent(imageBase64) },
         features: [
           { type: "TEXT_DETECTION", maxResults: 1 },
           { type: "LABEL_DETECTION", maxResults: 10 },
@@ -181,25 +274,48 @@ async function callVision(imageBase64) {
     ],
   };
 
-  const r = await tfetch(
+  return fetchJson(
     `https://vision.googleapis.com/v1/images:annotate?key=${GCV_KEY}`,
     {
       method: "POST",
       headers: { "content-type": "application/json" },
       body: JSON.stringify(body),
     },
-    2500,
-    "vision-timeout"
+    { upstream: "vision", timeoutMs }
   );
+}
 
-  const j = await r.json().catch(() => ({}));
-  const res = j?.responses?.[0] || {};
+// Barcodes are read locally, alongside the Vision round trip, so a pack still
+// counts without a GCV_KEY or when Vision fails. Only throws when Vision failed
+// and no barcode came off the pixels either.
+async function callVision(imageBase64, timeoutMs = 2500) {
+  const decoding = decodeBarcodes(Buffer.from(imageContent(imageBase64), "base64")).catch((e) => {
+    console.log("barcode decode failed:", e?.message || e);
+    return [];
+  });
 
-  const rawText = (res.textAnnotations?.[0]?.description || "").toLowerCase();
-  const RAW_TOKENS = rawText
-    .split(/[^a-z]+/g)
-    .map((t) => t.trim())
-    .filter(Boolean);
+  let res = {};
+  let failed = GCV_KEY ? null : { error: "no GCV_KEY" };
+  if (GCV_KEY) {
+    try {
+      res = (await visionAnnotate(imageBase64, timeoutMs))?.responses?.[0] || {};
+    } catch (e) {
+      if (!(await decoding).length) throw e;
+      console.log("vision failed, barcodes only:", e?.message || e);
+      failed = errorInfo(e);
+    }
+  }
+  const barcodes = await decoding;
+
+  const rawText = (res.textAnnotations?.[0]?.description || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+  const RAW_TOKENS = [...rawText.matchAll(/[a-z]+/g)].map((m) => ({
+    text: m[0],
+    index: m.index,
+    end: m.index + m[0].length,
+  }));
 
   const FOODISH = new Set([
     "ingredients",
@@ -243,106 +359,73 @@ async function callVision(imageBase64) {
     "egg",
   ]);
 
-  const ocrTokens = RAW_TOKENS.filter((t) => t.length >= 3 && FOODISH.has(t));
-  const labels = (res.labelAnnotations || [])
-    .map((x) => x.description?.toLowerCase())
-    .filter(Boolean);
-  const objects = (res.localizedObjectAnnotations || [])
-    .map((x) => x.name?.toLowerCase())
-    .filter(Boolean);
+  const ocrKept = RAW_TOKENS.filter(
+    (t) => t.text.length >= 3 && (FOODISH.has(t.text) || KNOWN_WORDS.has(t.text))
+  );
+  const ocrTokens = ocrKept.map((t) => t.text);
+
+  // "400g", "2 x 400g" -> nearest ingredient word; `at` indexes into ocrTokens
+  const known = ocrKept.map((t, i) => ({ ...t, i })).filter((t) => KNOWN_WORDS.has(t.text));
+  const quantities = attachQuantities(known, parseQuantities(rawText)).map((q) => ({
+    ...q,
+    at: known[q.at].i,
+  }));
+  // Branded packs the words alone don't give away: decoded barcodes and barcode
+  // digits, then brand + product name, against the product table
+  const products = productsInText(res.textAnnotations?.[0]?.description || "", barcodes);
+
+  const labelAnns = (res.labelAnnotations || []).filter((x) => x.description);
+  const objectAnns = (res.localizedObjectAnnotations || []).filter((x) => x.name);
+  const labels = labelAnns.map((x) => x.description.toLowerCase());
+  const objects = objectAnns.map((x) => x.name.toLowerCase());
+
+  // TEXT_DETECTION has no per-word score; use the page confidence when Vision sends one.
+  // OCR tokens stay one ordered stream so multi-word phrases can be detected.
+  const ocrScore = res.fullTextAnnotation?.pages?.[0]?.confidence ?? OCR_DEFAULT_SCORE;
+  const observations = [
+    ...(ocrTokens.length
+      ? [{ text: ocrTokens.join(" "), feature: "ocr", score: ocrScore, quantities }]
+      : []),
+    ...labelAnns.map((x) => ({ text: x.description, feature: "label", score: x.score ?? 0.5 })),
+    ...objectAnns.map((x) => ({ text: x.name, feature: "object", score: x.score ?? 0.5 })),
+    ...products.map(productObservation),
+  ];
 
-  return { ocrTokens, labels, objects };
+  return {
+    ocrTokens,
+    labels,
+    objects,
+    quantities,
+    barcodes,
+    products: products.map(({ via, brand, name, ingredient, code }) => ({
+      via,
+      ...(code ? { code } : {}),
+      brand,
+      name,
+      ingredient,
+    })),
+    observations,
+    ...(failed || {}),
+  };
 }
 
-/* ----------------------- Pantry cleanup ----------------------- */
-const WHITELIST = [
-  "banana",
-  "broccoli",
-  "chickpeas",
-  "beans",
-  "kidney beans",
-  "tomatoes",
-  "onion",
-  "garlic",
-  "ginger",
-  "olive oil",
-  "pasta",
-  "spaghetti",
-  "courgette",
-  "feta",
-  "orzo",
-  "rice",
-  "egg",
-  "spring onion",
-  "lemon",
-  "orange",
-  "avocado",
-  "coconut milk",
-  "coconut cream",
-  "butternut squash",
-  "squash",
-  "carrot",
-  "pepper",
-  "bell pepper",
-  "spinach",
-  "potato",
-  "mushroom",
-  "cheese",
-  "cheddar",
-  "yogurt",
-  "milk",
-  "almond milk",
-  "chicken",
-  "chicken breast",
-  "beef",
-  "pork",
-  "fish",
-  "salmon",
-  "tuna",
-  "bread",
-  "tortilla",
-  "wrap",
-  "lentils",
-  "cucumber",
-  "lettuce",
-  "cabbage",
-  "kale",
-  "apple",
-  "pear",
-  "oats",
-  "flour",
-  "sugar",
-  "butter",
-  "salt",
-  "pepper",
-  "stock cube",
-  "curry powder",
-  "mixed dried herbs",
-  "garam masala",
-  "maggi seasoning",
-  "jeera",
-  "cumin",
-  "cloves",
-];
-
-const MAP = {
-  bananas: "banana",
-  chickpea: "chickpeas",
-  garbanzo: "chickpeas",
-  "garbanzo bean": "chickpeas",
-  "garbanzo beans": "chickpeas",
-  zucchini: "courgette",
-  courgettes: "courgette",
-  tomato: "tomatoes",
-  onions: "onion",
-  eggs: "egg",
-  brockley: "broccoli",
-  maggi: "maggi seasoning",
-  "jeera powder": "jeera",
-};
+// Keyed on the image bytes, so a retried upload doesn't bill Vision twice.
+// -> callVision's result plus cache: "hit" | "miss" | "bypass" when caching is on
+async function cachedVision(imageBase64, timeoutMs, useCache = true) {
+  const ttlMs = ttlFor("vision", VISION_CACHE_MS);
+  if (!ttlMs || !GCV_KEY) return callVision(imageBase64, timeoutMs);
 
-const uniqLower = (arr) => [...new Set(arr.map((x) => String(x).toLowerCase()))];
+  const key = cacheKey("vision", imageContent(imageBase64));
+  if (useCache) {
+    const hit = await cacheGet(key);
+    if (hit) return { ...hit, cache: "hit" };
+  }
+  const out = await callVision(imageBase64, timeoutMs);
+  if (!out.error) await cacheSet(key, out, ttlMs);
+  return { ...out, cache: useCache ? "miss" : "bypass" };
+}
 
+/* ----------------------- Pantry cleanup ----------------------- */
 function lev(a, b) {
   const m = [];
   for (let i = 0; i <= b.length; i++) m[i] = [i];
@@ -359,108 +442,201 @@ function lev(a, b) {
   return m[b.length][a.length];
 }
 
-function nearestWhitelistStrict(term) {
+function nearestTermStrict(term) {
   let best = null;
   let bestDist = 2;
-  for (const w of WHITELIST) {
+  for (const w of SINGLE_WORD_TERMS) {
+    if (Math.abs(w.length - term.length) >= bestDist) continue;
     const d = lev(term, w);
     if (d < bestDist) {
       bestDist = d;
       best = w;
     }
   }
-  return bestDist <= 1 ? best : null;
+  return bestDist <= 1 ? lookupTerm(best).name : null;
 }
 
-function cleanPantry(raw) {
-  const tokens = uniqLower(raw);
-  const tokenSet = new Set(tokens);
-
-  const out = new Set();
-
-  // --- Combo heuristics for multi-word items ---
-  // coconut + milk => coconut milk
-  if (tokenSet.has("coconut") && tokenSet.has("milk")) {
-    out.add("coconut milk");
-  }
+// How much we trust each way of recognising an ingredient (x the Vision score)
+const MATCH_WEIGHT = { exact: 1, plural: 0.95, map: 0.9, combo: 0.85, fuzzy: 0.55 };
+const CONFIRM_BELOW = 0.6;
 
-  // egg + noodles => egg noodles
-  if (tokenSet.has("egg") && tokenSet.has("noodles")) {
-    out.add("egg noodles");
-  }
+const round2 = (x) => Math.round(x * 100) / 100;
 
-  // You can add more combos here later if you like:
-  // if (tokenSet.has("beef") && tokenSet.has("seasoning")) { ... }
+// Each raw entry (the OCR token run, one label, one object, one typed item) is its
+// own token stream; the longest known phrase wins at each position, so "coconut
+// milk" beats "coconut" + "milk" and "soy sauce" never becomes "soy".
+// Entries are strings or { text, feature, score }; returns items with provenance.
+function cleanPantry(raw, { minConfidence = 0 } = {}) {
+  const found = new Map(); // name -> sources[]
 
-  // --- Normal whitelist + fuzzy matching ---
-  for (const t0 of tokens) {
-    const t = MAP[t0] || t0;
+  const record = (name, source) => {
+    if (!found.has(name)) found.set(name, []);
+    found.get(name).push(source);
+  };
 
-    // Skip tokens we already upgraded into combos
-    if (t === "coconut" && out.has("coconut milk")) continue;
-    if (t === "milk" && out.has("coconut milk")) continue;
-    if (t === "egg" && out.has("egg noodles")) continue;
-    if (t === "noodles" && out.has("egg noodles")) continue;
+  for (const entry of raw) {
+    const obs = typeof entry === "string" ? { text: entry } : entry || {};
+    const feature = obs.feature || "override";
+    const score = Number.isFinite(obs.score) ? obs.score : 1;
+    const words = termWords(obs.text);
+    const where = obs.image !== undefined ? { image: obs.image } : {};
+    const fresh = obs.fresh ? { fresh: obs.fresh } : {};
+    const product = obs.product ? { product: obs.product } : {};
+    // typed entries ("chickpeas 400g"): any quantity belongs to the whole entry
+    const quantities =
+      obs.quantities ||
+      (typeof entry === "string" ? parseQuantities(entry).map((q) => ({ ...q, at: null })) : []);
+    const qtyFor = (from, to) => {
+      const q = quantities.find((x) => x.at === null || (x.at >= from && x.at < to));
+      return q ? { quantity: { amount: q.amount, unit: q.unit, raw: q.raw } } : {};
+    };
 
-    if (WHITELIST.includes(t)) {
-      out.add(t);
-      continue;
-    }
+    let i = 0;
+    while (i < words.length) {
+      let hit = null;
+      let n = Math.min(MAX_PHRASE_WORDS, words.length - i);
+      for (; n >= 1; n--) {
+        hit = lookupTerm(words.slice(i, i + n).join(" "));
+        if (hit) break;
+      }
 
-    if (t.length >= 5) {
-      const near = nearestWhitelistStrict(t);
-      if (near) {
-        out.add(near);
+      if (hit) {
+        const match =
+          n > 1 && words.length > n
+            ? "combo"
+            : hit.via === "name"
+            ? "exact"
+            : hit.via === "plural"
+            ? "plural"
+            : "map";
+        record(hit.name, {
+          feature,
+          raw: words.slice(i, i + n).join(" "),
+          match,
+          score,
+          ...where,
+          ...product,
+          ...fresh,
+          ...qtyFor(i, i + n),
+        });
+        i += n;
         continue;
       }
+
+      if (words[i].length >= 5) {
+        const near = nearestTermStrict(words[i]);
+        if (near) {
+          record(near, {
+            feature,
+            raw: words[i],
+            match: "fuzzy",
+            score,
+            ...where,
+            ...product,
+            ...fresh,
+            ...qtyFor(i, i + 1),
+          });
+        }
+      }
+      i++;
     }
   }
 
-  return [...out];
+  // Independent sightings reinforce each other: 1 - prod(1 - c)
+  return [...found].map(([name, sources]) => {
+    const miss = sources.reduce((acc, s) => acc * (1 - s.score * MATCH_WEIGHT[s.match]), 1);
+    const confidence = round2(1 - miss);
+    // Several sightings of one pack shouldn't add up; keep the largest reading
+    const qty = sources
+      .map((s) => s.quantity)
+      .filter(Boolean)
+      .sort((a, b) => b.amount - a.amount)[0];
+    // Freshness from the client: the soonest date / fewest days wins
+    const fresh = sources.map((s) => s.fresh).filter(Boolean);
+    const expires = fresh.map((f) => f.expires).filter(Boolean).sort()[0];
+    const daysLeft = fresh.map((f) => f.daysLeft).filter((d) => d != null);
+    return {
+      name,
+      category: ingredientInfo(name)?.category || null,
+      ...(qty ? { quantity: { amount: roundAmount(qty.amount), unit: qty.unit, approx: true } } : {}),
+      ...(expires ? { expires } : {}),
+      ...(daysLeft.length ? { daysLeft: Math.min(...daysLeft) } : {}),
+      ...(fresh.some((f) => f.useSoon) ? { useSoon: true } : {}),
+      confidence,
+      accepted: confidence >= minConfidence,
+      confirm: confidence < Math.max(minConfidence, CONFIRM_BELOW),
+      sources,
+    };
+  });
 }
+
 /* ----------------------- Spoonacular ----------------------- */
-async function spoonacularRecipes(pantry, prefs) {
+async function spoonacularRecipes(pantry, prefs, timeoutMs = 2000) {
   if (!SPOON_KEY) return { results: [], info: { note: "no SPOON_KEY" } };
 
-  const hasMeat = pantry.some((p) => MEAT.has(p));
+  const hasMeat = pantry.some((p) => MEAT.has(p) || ingredientInfo(p)?.animal);
+  const profile = dietProfile(prefs);
+  const dietParams = spoonacularDietParams(profile);
   const include = pantry.join(",");
-  const timeCap = Math.max(10, (prefs?.time ?? 25) + 10);
+  const timeCap = timeCapPref(prefs);
+  const meal = MEAL_TYPES[mealTypePref(prefs)];
+  const cuisine = spoonacularCuisine(cuisinePref(prefs));
 
   const url = new URL("https://api.spoonacular.com/recipes/complexSearch");
   url.searchParams.set("apiKey", SPOON_KEY);
   url.searchParams.set("includeIngredients", include);
   url.searchParams.set("instructionsRequired", "true");
   url.searchParams.set("addRecipeInformation", "true");
+  url.searchParams.set("addRecipeNutrition", "true");
+  url.searchParams.set("fillIngredients", "true");
   url.searchParams.set("sort", "max-used-ingredients");
   url.searchParams.set("number", "18");
   url.searchParams.set("ignorePantry", "true");
-  url.searchParams.set("type", "main course");
-  url.searchParams.set("excludeIngredients", Array.from(ALCOHOL).join(","));
+  if (meal.spoonacular) url.searchParams.set("type", meal.spoonacular);
+  if (cuisine) url.searchParams.set("cuisine", cuisine);
+  url.searchParams.set(
+    "excludeIngredients",
+    [...new Set([...ALCOHOL, ...dietParams.exclude])].join(",")
+  );
   url.searchParams.set("maxReadyTime", String(timeCap));
-  if (!hasMeat) url.searchParams.set("diet", "vegetarian");
+  if (dietParams.diet.length) url.searchParams.set("diet", dietParams.diet.join(","));
+  else if (!hasMeat) url.searchParams.set("diet", "vegetarian");
+  if (dietParams.intolerances.length) {
+    url.searchParams.set("intolerances", dietParams.intolerances.join(","));
+  }
+  const limits = nutritionPrefs(prefs);
+  if (limits.maxCalories) url.searchParams.set("maxCalories", String(limits.maxCalories));
+  if (limits.minProtein) url.searchParams.set("minProtein", String(limits.minProtein));
 
   let j = {};
   try {
-    const r = await tfetch(url.toString(), {}, 2000, "spoon-timeout");
-    j = await r.json().catch(() => ({}));
+    j = await fetchJson(url.toString(), {}, { upstream: "spoonacular", timeoutMs });
   } catch (e) {
-    console.log("spoon error:", e?.message || e);
-    return { results: [], info: { error: String(e?.message || e) } };
+    console.log("spoon error:", e?.code, e?.message || e);
+    return { results: [], info: errorInfo(e) };
   }
 
   const raw = Array.isArray(j?.results) ? j.results : [];
   const specific = pantry.filter((p) => !GENERIC.has(p));
 
+  // Missed ingredients we can swap from the pantry count as used
+  const swaps = (it) =>
+    (it.missedIngredients || []).filter((m) => findSubstitute(String(m.name || ""), pantry)).length;
+
   const filtered = raw.filter((it) => {
     const title = String(it.title || "").toLowerCase();
     const dish = (it.dishTypes || []).map((d) => String(d).toLowerCase());
 
-    if (Array.from(DESSERT).some((w) => title.includes(w))) return false;
-    if (Array.from(DRINK).some((w) => title.includes(w))) return false;
+    // Sweet dishes and soft drinks only where the meal type wants them
+    if (!meal.sweet && Array.from(DESSERT).some((w) => title.includes(w))) return false;
+    if (!meal.drinks && Array.from(DRINK).some((w) => title.includes(w))) return false;
+    if (Array.from(COCKTAIL).some((w) => title.includes(w))) return false;
     if (Array.from(ALCOHOL).some((w) => title.includes(w))) return false;
-    if (dish.some((d) => ["drink", "beverage", "cocktail", "dessert"].includes(d))) return false;
+    if (dish.includes("cocktail")) return false;
+    if (!meal.sweet && dish.includes("dessert")) return false;
+    if (!meal.drinks && dish.some((d) => ["drink", "beverage"].includes(d))) return false;
 
-    const used = it.usedIngredientCount ?? 0;
+    const used = (it.usedIngredientCount ?? 0) + swaps(it);
     const time = it.readyInMinutes ?? 999;
     if (used < 2) return false;
     if (time > timeCap) return false;
@@ -476,7 +652,8 @@ async function spoonacularRecipes(pantry, prefs) {
     }
 
     if (/shrimp|prawn|salmon|tuna|anchovy|sardine/.test(title)) {
-      if (!pantry.some((p) => ["shrimp", "prawn", "salmon", "tuna", "fish"].includes(p))) {
+      const seafood = ["shrimp", "prawn", "prawns", "salmon", "tuna", "fish", "mackerel", "sardines"];
+      if (!pantry.some((p) => seafood.includes(p))) {
         return false;
       }
     }
@@ -487,30 +664,42 @@ async function spoonacularRecipes(pantry, prefs) {
   const baseList = filtered.length ? filtered : raw;
 
   const scored = baseList.map((it) => {
-    const used = it.usedIngredientCount ?? 0;
-    const missed = it.missedIngredientCount ?? 0;
+    const swapped = swaps(it);
+    const used = (it.usedIngredientCount ?? 0) + swapped;
+    const missed = Math.max(0, (it.missedIngredientCount ?? 0) - swapped);
     const time = it.readyInMinutes ?? 30;
     const score =
       0.7 * (used / (used + missed + 1)) +
       0.3 * (1 - Math.min(time, 60) / 60);
 
-    return {
+    // Score above already counts the swaps
+    return applySubstitutions({
       id: String(it.id),
       title: it.title,
       time,
-      energy: "hob",
-      cost: 2.5,
       score: Math.round(score * 100) / 100,
+      servings: it.servings,
+      ...(cuisineKeys(it.cuisines).length ? { cuisines: cuisineKeys(it.cuisines) } : {}),
+      nutrition: spoonacularNutrition(it),
       ingredients: (it.extendedIngredients || []).map((ing) => {
         const nm = String(ing.name || "").toLowerCase();
-        return { name: nm, have: pantry.includes(nm) };
+        const metric = ing.measures?.metric;
+        return {
+          name: nm,
+          have: pantry.includes(nm),
+          amount: metric?.amount ?? ing.amount,
+          unit: metric?.unitShort ?? ing.unit ?? "",
+        };
       }),
+      // equipment/minutes feed the appliance + energy estimate (lib/energy.js)
       steps: (it.analyzedInstructions?.[0]?.steps || []).map((s, i) => ({
         id: `${it.id}-s${i}`,
         text: s.step,
+        ...(s.equipment?.length ? { equipment: s.equipment.map((e) => String(e.name || "")) } : {}),
+        ...(s.length?.unit === "minutes" && s.length.number ? { minutes: s.length.number } : {}),
       })),
       badges: ["web"],
-    };
+    }, pantry, { rescore: false });
   });
 
   return {
@@ -519,141 +708,194 @@ async function spoonacularRecipes(pantry, prefs) {
       spoonacularRawCount: raw.length,
       kept: scored.length,
       timeCap,
+      ...(meal.spoonacular ? { type: meal.spoonacular } : {}),
+      ...(cuisine ? { cuisine } : {}),
       usedFallback: !filtered.length && raw.length > 0,
     },
   };
 }
 
 /* ----------------------- LLM ----------------------- */
-async function llmRecipes(pantry, prefs) {
-  if (!OPENAI_API_KEY) {
-    return { recipes: [], info: { reason: "no OPENAI_API_KEY" } };
-  }
+const LLM_BUDGET_MS = 11000;
+const LLM_REASK_MIN_MS = 3000; // a re-ask with less time left than this won't finish
+const MAX_LLM_COUNT = 5;
+
+// prefs.llmCount: distinct recipes to ask for in one call (1-5)
+function llmCountPref(prefs = {}) {
+  const n = Math.round(Number(prefs.llmCount));
+  return Number.isFinite(n) && n > 0 ? Math.min(MAX_LLM_COUNT, n) : 1;
+}
 
-  const pantryText = pantry.join(", ");
-  const body = {
-    model: "gpt-4o-mini",
-    temperature: 0.45,
-    max_tokens: 700,
-    messages: [
-      {
-        role: "system",
-        content:
-          "You are DinnerSnap, an expert home cook. You ONLY return valid JSON. Use ONLY the pantry items and at most 2 extra ingredients.",
-      },
-      {
-        role: "user",
-        content:
-          `Given this pantry: [${pantryText}]\n` +
-          "Return ONE savoury DINNER recipe as pure JSON with this exact schema:\n" +
-          "{\n" +
-          '  "id": "string",\n' +
-          '  "title": "string",\n' +
-          '  "time": number,\n' +
-          '  "cost": number,\n' +
-          '  "energy": "hob" | "oven" | "air fryer",\n' +
-          '  "ingredients": [ { "name": "string", "have": boolean } ],\n' +
-          '  "steps": [ { "id": "string", "text": "string" } ],\n' +
-          '  "shoppingList": [ "string" ]\n' +
-          "}\n" +
-          "No prose. No markdown. JSON only.",
-      },
-    ],
-  };
+async function llmRecipes(pantry, prefs, pantryItems = [], budgetMs = LLM_BUDGET_MS) {
+  const cfg = llmConfig(prefs);
 
-  let j;
-  try {
-    const timeoutMs = 11000;
-    const r = await tfetch(
-      "https://api.openai.com/v1/chat/completions",
-      {
-        method: "POST",
-        headers: {
-          "content-type": "application/json",
-          authorization: `Bearer ${OPENAI_API_KEY}`,
+  // "chickpeas (~400 g)" when we read a pack size off the label
+  const qtyOf = (name) => pantryItems.find((p) => p.name === name)?.quantity;
+  const pantryText = pantry
+    .map((p) => (qtyOf(p) ? `${p} (~${qtyOf(p).amount} ${qtyOf(p).unit})` : p))
+    .join(", ");
+  const stockLines = pantry.some(qtyOf)
+    ? ["Amounts in brackets are roughly all I have; do not need more than that."]
+    : [];
+  const wantServings = servingsPref(prefs) || 2;
+  const unitLine =
+    unitSystemPref(prefs) === "imperial"
+      ? "Give amounts in US units (oz, lb, cups, tsp, tbsp)."
+      : "Give amounts in metric units (g, ml, tsp, tbsp).";
+  const meal = MEAL_TYPES[mealTypePref(prefs)].prompt;
+  const cuisine = cuisinePref(prefs);
+  const promptLines = [
+    ...(cuisine ? [`Cuisine: ${cuisineLabel(cuisine)}. Keep it authentic to that cuisine.`] : []),
+    ...dietPromptLines(dietProfile(prefs)),
+    ...freshnessPromptLines(pantry, pantryItems),
+    ...stockLines,
+    ...(appliancesPref(prefs)
+      ? [`I only have: ${[...appliancesPref(prefs)].join(", ")}. Don't use any other appliance.`]
+      : []),
+    ...(budgetPref(prefs)
+      ? [`Anything I need to buy must cost under ${budgetPref(prefs)} ${priceTable(prefs).currency} in total.`]
+      : []),
+    `Serves ${wantServings}. ${unitLine}`,
+  ];
+  const count = llmCountPref(prefs);
+  const schemaText =
+    "{\n" +
+    '  "recipes": [ {\n' +
+    '    "id": "string",\n' +
+    '    "title": "string",\n' +
+    '    "time": number,\n' +
+    '    "energy": "hob" | "oven" | "air fryer" | "microwave",\n' +
+    '    "servings": number,\n' +
+    '    "ingredients": [ { "name": "string", "have": boolean, "amount": number, "unit": "string" } ],\n' +
+    '    "steps": [ { "id": "string", "text": "string" } ],\n' +
+    '    "shoppingList": [ "string" ]\n' +
+    "  } ]\n" +
+    "}\n";
+  const messages = [
+    {
+      role: "system",
+      content:
+        "You are DinnerSnap, an expert home cook. You ONLY return valid JSON. Use ONLY the pantry items and at most 2 extra ingredients.",
+    },
+    {
+      role: "user",
+      content:
+        `Given this pantry: [${pantryText}]\n` +
+        promptLines.map((l) => l + "\n").join("") +
+        (count === 1
+          ? `Return ONE ${meal} recipe`
+          : `Return ${count} clearly different ${meal} recipes (different main ingredient or cooking method)`) +
+        " as pure JSON with this exact schema:\n" +
+        schemaText +
+        "No prose. No markdown. JSON only.",
+    },
+  ];
+
+  // One call, then at most one re-ask with the validation errors if the reply
+  // was unusable and there's still time left in the budget
+  const t0 = nowMs();
+  const ask = (msgs, timeoutMs) =>
+    llmComplete(cfg, msgs, { schema: RECIPES_SCHEMA, maxTokens: cfg.maxTokens * count, timeoutMs });
+  let call = await ask(messages, budgetMs);
+  if (call.error) return { recipes: [], info: call };
+  let parsed = parseRecipes(call.content);
+  let reasked = false;
+
+  const remaining = budgetMs - (nowMs() - t0);
+  if (!parsed.recipes.length && remaining >= LLM_REASK_MIN_MS) {
+    console.log("LLM output invalid, re-asking:", parsed.errors.slice(0, 5));
+    reasked = true;
+    const retry = await ask(
+      [
+        ...messages,
+        { role: "assistant", content: call.content.slice(0, 4000) },
+        {
+          role: "user",
+          content:
+            "That reply did not match the schema:\n" +
+            parsed.errors.slice(0, 8).map((e) => `- ${e}`).join("\n") +
+            "\nReply again with ONLY the corrected JSON object.",
         },
-        body: JSON.stringify(body),
-      },
-      timeoutMs,
-      "llm-timeout"
+      ],
+      remaining
     );
-    j = await r.json().catch(() => ({}));
-  } catch (e) {
-    console.log("LLM fetch error:", e?.message || e);
-    return { recipes: [], info: { error: String(e?.message || e) } };
-  }
-
-  if (j?.error) {
-    console.log("LLM API error:", j.error);
-    return { recipes: [], info: { error: j.error.message || "openai-error" } };
-  }
-
-  const raw = j?.choices?.[0]?.message?.content;
-  if (!raw || typeof raw !== "string") {
-    console.log("LLM empty content:", j);
-    return { recipes: [], info: { error: "no content" } };
+    if (!retry.error) {
+      call = retry;
+      parsed = parseRecipes(retry.content);
+    }
   }
 
-  let parsed;
-  try {
-    parsed = JSON.parse(raw.trim());
-  } catch (e) {
-    console.log("LLM JSON parse failed:", e?.message || e, "raw:", raw.slice(0, 120));
-    return { recipes: [], info: { error: "json-parse-failed" } };
+  if (!parsed.recipes.length) {
+    console.log("LLM JSON unusable:", parsed.errors.slice(0, 5), "raw:", call.content.slice(0, 120));
+    return {
+      recipes: [],
+      info: {
+        error: parsed.errors[0] === "$: no JSON found" ? "json-parse-failed" : "schema-invalid",
+        errors: parsed.errors.slice(0, 10),
+        reasked,
+      },
+    };
   }
 
+  // Distinct titles only; ids made unique per call
+  const stamp = Date.now();
+  const seen = new Set();
   const recipes = [];
-  const base = parsed && typeof parsed === "object" ? parsed : {};
-
-  const id = String(base.id || `llm-${Date.now()}`);
-  const title = String(base.title || "Pantry Dinner");
-  const time = Number.isFinite(base.time) ? base.time : 25;
-  const cost = Number.isFinite(base.cost) ? base.cost : 2.0;
-  const energy = base.energy || "hob";
-
-  const ingredients = Array.isArray(base.ingredients)
-    ? base.ingredients.map((i) => {
-        const nm = String(i.name || "").toLowerCase();
+  for (const base of parsed.recipes) {
+    const key = base.title.toLowerCase().replace(/[^a-z]+/g, " ").trim();
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const ingredients = base.ingredients
+      .filter((i) => i.name.trim())
+      .map((i) => {
+        const nm = i.name.toLowerCase().trim();
         return {
           name: nm,
-          have: Boolean(
-            i.have || pantry.includes(nm)
-          ),
+          have: Boolean(i.have || pantry.includes(nm)),
+          ...(i.amount > 0 ? { amount: i.amount, unit: i.unit } : {}),
         };
-      })
-    : pantry.map((p) => ({ name: p, have: true }));
-
-  const steps = Array.isArray(base.steps)
-    ? base.steps.map((s, i) => ({
-        id: s.id || `step-${i}`,
-        text: s.text || String(s),
-      }))
-    : [
-        { id: "step-1", text: "Combine your pantry ingredients in a pan." },
-        { id: "step-2", text: "Cook until hot and seasoned to taste." },
-      ];
-
-  const shoppingList = Array.isArray(base.shoppingList)
-    ? base.shoppingList.map((x) => String(x))
-    : [];
+      });
 
-  recipes.push({
-    id,
-    title,
-    time,
-    cost,
-    energy,
-    ingredients,
-    steps,
-    badges: ["llm"],
-    shoppingList,
-  });
+    recipes.push({
+      id: `llm-${stamp}-${recipes.length + 1}`,
+      title: base.title,
+      time: base.time > 0 ? base.time : 25,
+      energy: base.energy,
+      servings: base.servings > 0 ? base.servings : wantServings,
+      // Asked for, so trust it over the classifier
+      ...(cuisine?.known.length ? { cuisines: cuisine.known } : {}),
+      ingredients,
+      steps: base.steps
+        .filter((st) => st.text.trim())
+        .map((st, i) => ({ id: st.id || `step-${i}`, text: st.text })),
+      badges: ["llm"],
+      shoppingList: base.shoppingList,
+    });
+    if (recipes.length >= count) break;
+  }
 
-  return { recipes, info: { ok: true } };
+  return {
+    recipes,
+    info: {
+      ok: true,
+      requested: count,
+      returned: recipes.length,
+      repaired: parsed.repaired,
+      reasked,
+      backend: cfg.backend,
+      model: cfg.model,
+      jsonMode: cfg.jsonMode,
+      ...(cfg.ignored ? { ignored: cfg.ignored } : {}),
+    },
+  };
 }
 
 /* ----------------------- Emergency ----------------------- */
-function emergencyRecipe(pantry) {
+// A savoury skillet is no answer to "dessert" or "snack"
+const SKILLET_MEALS = new Set(["breakfast", "lunch", "dinner"]);
+
+function emergencyRecipe(pantry, profile = null) {
   const titleBits = [];
   if (pantry.some((p) => p.includes("chickpea"))) titleBits.push("Chickpea");
   if (pantry.includes("coconut milk")) titleBits.push("Coconut");
@@ -676,13 +918,13 @@ function emergencyRecipe(pantry) {
     },
   ];
   const uniqPantry = pantry.map((p) => ({ name: p, have: true }));
+  const allowed = (ing) => ingredientAllowed(ing.name, profile);
   return {
     id: `local-${Date.now()}`,
     title,
     time: 15,
-    cost: 2.0,
     energy: "hob",
-    ingredients: [...uniqPantry, ...baseIngs],
+    ingredients: [...uniqPantry, ...baseIngs].filter(allowed),
     steps: [
       { id: "s1", text: "Heat oil; add onion, garlic & ginger. Cook 2–3 min." },
       { id: "s2", text: "Add pantry items and simmer 6–8 min." },
@@ -691,49 +933,188 @@ function emergencyRecipe(pantry) {
   };
 }
 
+/* ----------------------- Provider registrations ----------------------- */
+// Order/priority is configured in lib/providers.js (RECIPE_PROVIDERS / prefs.providers).
+registerProvider({
+  name: "llm",
+  enabled: (prefs) => llmEnabled(prefs),
+  timeoutMs: 11500,
+  cacheTtlMs: LLM_CACHE_MS,
+  // Everything the prompt says: servings, units, kit, budget (in the region's
+  // currency), how many recipes and the backend, besides the usual
+  cachePrefs: [
+    ...PROVIDER_PREFS,
+    "servings",
+    "units",
+    "appliances",
+    "budget",
+    "region",
+    "llmCount",
+    "llm",
+  ],
+  // The prompt also carries pack sizes and what goes off soon
+  cacheKey: (pantry, prefs, { pantryItems = [] }) =>
+    pantryItems
+      .filter((p) => pantry.includes(p.name) && (p.quantity || p.useSoon))
+      .map((p) => [p.name, p.quantity?.amount, p.quantity?.unit, p.daysLeft, Boolean(p.useSoon)]),
+  maxResults: (prefs) => llmCountPref(prefs),
+  // Leave the provider timeout room to turn the reply into recipes
+  fetch: (pantry, prefs, { pantryItems, timeoutMs }) =>
+    llmRecipes(pantry, prefs, pantryItems, Math.min(LLM_BUDGET_MS, timeoutMs - 500)),
+});
+
+registerProvider({
+  name: "spoonacular",
+  enabled: () => Boolean(SPOON_KEY) || "no SPOON_KEY",
+  timeoutMs: 2500,
+  cacheTtlMs: SPOON_CACHE_MS,
+  cachePrefs: [...PROVIDER_PREFS, "maxCalories", "minProtein"],
+  fetch: async (pantry, prefs, { timeoutMs }) => {
+    const sp = await spoonacularRecipes(pantry, prefs, Math.min(2000, timeoutMs - 300));
+    return { recipes: sp.results || [], info: sp.info };
+  },
+});
+
+registerProvider({
+  name: "local",
+  fallback: true,
+  inProcess: true,
+  timeoutMs: 1000,
+  fetch: (pantry, prefs, { count }) => {
+    const local = localRecipes(pantry, prefs, count);
+    return { recipes: local.results, info: local.info };
+  },
+});
+
+registerProvider({
+  name: "emergency",
+  fallback: true,
+  inProcess: true,
+  enabled: (prefs) =>
+    SKILLET_MEALS.has(mealTypePref(prefs)) || `no fallback for ${mealTypePref(prefs)}`,
+  timeoutMs: 500,
+  maxResults: 1,
+  fetch: (pantry, prefs) => ({ recipes: [emergencyRecipe(pantry, dietProfile(prefs))] }),
+});
+
 /* ----------------------- Core analyze logic ----------------------- */
-async function runAnalyze({ imageBase64, pantryOverride, prefs = {}, mode }) {
+// pantryOverride entries: "chickpeas", "chickpeas 400g" or
+// { name, quantity: "400g", expires: "2026-05-01", daysLeft: 2, useSoon: true }
+// or { barcode: "5000157024671" } from a scanner, looked up in the product table
+function overrideEntry(x) {
+  if (!x || typeof x !== "object") return String(x ?? "");
+  const scanned = x.barcode ? lookupBarcode(String(x.barcode).replace(/\D/g, "")) : null;
+  const qtyText =
+    x.quantity ?? (x.amount != null ? `${x.amount}${x.unit || "g"}` : scanned?.quantity || "");
+  const days = x.daysLeft == null || x.daysLeft === "" ? NaN : Number(x.daysLeft);
+  const fresh = {
+    ...(x.expires ? { expires: String(x.expires) } : {}),
+    ...(Number.isFinite(days) ? { daysLeft: days } : {}),
+    ...(x.useSoon ? { useSoon: true } : {}),
+  };
+  return {
+    text: scanned ? scanned.ingredient : String(x.name || ""),
+    feature: scanned ? "barcode" : "override",
+    score: 1,
+    quantities: parseQuantities(String(qtyText)).map((q) => ({ ...q, at: null })),
+    ...(scanned ? { product: [scanned.brand, scanned.name].filter(Boolean).join(" ") } : {}),
+    ...(Object.keys(fresh).length ? { fresh } : {}),
+  };
+}
+
+// deadline: the request's (lib/timing.js createDeadline); progress: filled in as
+// stages finish so the handler can still answer with them if the watchdog fires;
+// events: streaming hooks ({ pantry(data), recipes(list, provider) }) or null
+async function runAnalyze({
+  images = [],
+  imageInfo = [],
+  pantryOverride,
+  prefs = {},
+  mode,
+  deadline = createDeadline(WATCHDOG_MS),
+  progress = { stages: {} },
+  events = null,
+}) {
   const tStart = nowMs();
-  let pantry = [];
+  const unfinished = [];
+  const profile = dietProfile(prefs);
+  const minConfidence = Number(prefs?.minConfidence) || 0;
+  let pantryItems = [];
   let source = "";
   let pantryFrom = {};
+  let visionCache = [];
 
   // Pantry from override (manual + essentials)
   if (Array.isArray(pantryOverride) && pantryOverride.length) {
-    pantry = cleanPantry(pantryOverride);
+    pantryItems = cleanPantry(pantryOverride.map(overrideEntry), { minConfidence });
     source = "pantryOverride";
-  } else if (imageBase64) {
-    // Vision path
-    try {
-      const v0 = nowMs();
-      const visRes = await callVision(imageBase64);
-      pantryFrom = {
-        ocr: visRes.ocrTokens,
-        labels: visRes.labels,
-        objects: visRes.objects,
-      };
-      const rawTokens = [
-        ...(visRes.ocrTokens || []),
-        ...(visRes.labels || []),
-        ...(visRes.objects || []),
-      ];
-      pantry = cleanPantry(rawTokens);
+  } else if (images.length) {
+    // Vision path: every photo concurrently, one merged pantry
+    const v0 = nowMs();
+    const visionMs = deadline.budget(VISION_TIMEOUT_MS);
+    progress.stages.vision = "running";
+    const settled = await Promise.allSettled(
+      images.map((img) => cachedVision(img, visionMs, !cacheBypass(prefs)))
+    );
+    progress.stages.vision = "done";
+    // A photo that timed out only because the request deadline was close
+    if (
+      visionMs < VISION_TIMEOUT_MS &&
+      settled.some((r) =>
+        r.status === "rejected" ? r.reason?.code === "TIMEOUT" : r.value.errorClass === "TIMEOUT"
+      )
+    ) {
+      unfinished.push("vision");
+    }
+
+    const perImage = settled.map((r) =>
+      r.status === "fulfilled"
+        ? {
+            ocr: r.value.ocrTokens,
+            labels: r.value.labels,
+            objects: r.value.objects,
+            // decoded off the pixels, matched in the product table or not
+            ...(r.value.barcodes?.length ? { barcodes: r.value.barcodes } : {}),
+            ...(r.value.products?.length ? { products: r.value.products } : {}),
+            ...(r.value.error ? { error: r.value.error } : {}),
+            ...(r.value.errorClass ? { errorClass: r.value.errorClass } : {}),
+            ...(r.value.cache ? { cache: r.value.cache } : {}),
+          }
+        : errorInfo(r.reason)
+    );
+    const observations = settled.flatMap((r, i) =>
+      r.status === "fulfilled" ? (r.value.observations || []).map((o) => ({ ...o, image: i })) : []
+    );
+
+    pantryFrom = images.length === 1 ? perImage[0] : { images: perImage };
+    visionCache = perImage.map((x) => x.cache).filter(Boolean);
+    pantryItems = cleanPantry(observations, { minConfidence });
+
+    if (settled.some((r) => r.status === "fulfilled")) {
       source = "vision";
-      console.log("vision ok in", nowMs() - v0, "ms pantry=", pantry);
-    } catch (e) {
+      console.log("vision ok in", nowMs() - v0, "ms pantry=", pantryItems.map((p) => p.name));
+    } else {
       source = "vision-failed";
-      pantryFrom = { error: String(e?.message || e) };
-      pantry = [];
     }
   } else {
     // nothing to analyze
     return {
       pantry: [],
+      pantryItems: [],
       recipes: [],
       debug: { source: "no-input", totalMs: nowMs() - tStart },
     };
   }
 
+  // daysLeft / useSoon / urgency from expiry dates or shelf life
+  pantryItems = annotateFreshness(pantryItems);
+
+  // Only items at or above prefs.minConfidence are cooked with; the rest stay in
+  // pantryItems so the client can ask "did you mean?"
+  const pantry = pantryItems.filter((p) => p.accepted).map((p) => p.name);
+  Object.assign(progress, { source, pantry, pantryItems });
+  events?.pantry({ pantry, pantryItems, source });
+
   // Pantry-only fast path
   if (mode === "pantryOnly" || prefs?.pantryOnly) {
     const debug = {
@@ -741,97 +1122,244 @@ async function runAnalyze({ imageBase64, pantryOverride, prefs = {}, mode }) {
       pantryFrom,
       cleanedPantry: pantry,
       usedLLM: false,
+      upstreams: breakerState(),
       totalMs: nowMs() - tStart,
       mode: "pantryOnly",
     };
     console.log("analyze pantryOnly debug:", debug);
-    return { pantry, recipes: [], debug };
+    return {
+      pantry,
+      pantryItems,
+      recipes: [],
+      ...(unfinished.length ? { partial: true, unfinished } : {}),
+      debug,
+    };
   }
 
+  // ---- Full providers ----
+  const prices = priceTable(prefs);
+  const budget = budgetPref(prefs);
+  const appliances = appliancesPref(prefs);
+  // Providers never see pantry items the diet/allergy profile forbids
+  const safePantry = pantry.filter((p) => ingredientAllowed(p, profile));
+  progress.safePantry = safePantry;
+
+  // Diet/allergy gate: applied to every provider's output, emergency included
+  const dietDropped = [];
+  const dietGate = (recipes) => {
+    const gate = enforceDiet(recipes, profile);
+    dietDropped.push(...gate.dropped);
+    return gate.kept;
+  };
 
+  // Missing ingredients we can cover from the pantry (after the diet gate, so
+  // swaps only ever suggest allowed pantry items)
+  const swapIn = (recipes) => recipes.map((r) => applySubstitutions(r, safePantry));
+
+  // maxCalories / minProtein, on per-serving nutrition (estimated if the provider had none)
+  const limits = nutritionPrefs(prefs);
+  const nutritionDropped = [];
+  const nutritionGate = (recipes) => {
+    const gate = enforceNutrition(recipes.map(withNutrition), limits);
+    nutritionDropped.push(...gate.dropped);
+    return gate.kept;
+  };
 
-
-
- // ---- Full providers ----
-  const spoonP = (async () => {
-    const s0 = nowMs();
-    const sp = await spoonacularRecipes(pantry, prefs);
-    console.log(
-      "spoon end in",
-      nowMs() - s0,
-      "ms kept=",
-      sp.info?.kept,
-      "fallback=",
-      sp.info?.usedFallback
+  // Appliance inferred from the steps; drops recipes needing kit the user lacks
+  const applianceDropped = [];
+  const applianceGate = (recipes) => {
+    const gate = enforceAppliances(
+      recipes.map((r) => withEnergy(r, prices)),
+      appliances
     );
-    return sp.results || [];
-  })();
-
-  const llmP = (async () => {
-    const l0 = nowMs();
-    const llm = await llmRecipes(pantry, prefs);
-    console.log(
-      "llm end in",
-      nowMs() - l0,
-      "ms count=",
-      (llm.recipes || []).length,
-      "info=",
-      llm.info
-    );
-    return llm.recipes || [];
-  })();
+    applianceDropped.push(...gate.dropped);
+    return gate.kept;
+  };
 
-  let spoonList = [];
-  let llmList = [];
+  const budgetDropped = [];
+  const budgetGate = (recipes) => {
+    const gate = enforceBudget(
+      recipes.map((r) => withCost(r, prices)),
+      budget
+    );
+    budgetDropped.push(...gate.dropped);
+    return gate.kept;
+  };
 
-  try {
-    const settled = await Promise.allSettled([spoonP, llmP]);
-    if (settled[0].status === "fulfilled") spoonList = settled[0].value || [];
-    if (settled[1].status === "fulfilled") llmList = settled[1].value || [];
-  } catch (e) {
-    console.log("provider join error:", e?.message || e);
-  }
+  // Items about to go off lift the recipes that use them
+  const urgent = urgentItems(pantryItems).filter((u) => safePantry.includes(u.name));
 
-let combined = [];
+  const filterOne = (recipes) => {
+    const kept = applianceGate(nutritionGate(swapIn(dietGate(recipes)))).map(withCuisines);
+    // Scale before pricing and the stock check so both are judged at the requested servings
+    const scaled = kept.map((r) => scaleRecipe(r, prefs));
+    return budgetGate(scaled).map((r) => stockCheck(boostFresh(r, urgent), pantryItems));
+  };
 
-// 1) If LLM produced anything, make that the "best match"
-if (llmList.length) {
-  combined.push(llmList[0]); // top card
-}
+  // A recipe the gates or the ranker choke on is dropped on its own, not with
+  // the rest of its provider's batch
+  const recipeErrors = [];
+  const skipFailed = (recipes, fn, stage) =>
+    recipes.flatMap((r) => {
+      try {
+        return fn(r);
+      } catch (e) {
+        console.log(`recipe ${stage} failed:`, r?.id, e?.message || e);
+        recipeErrors.push({ id: r?.id, title: r?.title, stage, error: String(e?.message || e) });
+        return [];
+      }
+    });
+  const filter = (recipes) => skipFailed(recipes, (r) => filterOne([r]), "filter");
+
+  // One ranking across providers (lib/rank.js) instead of provider priority;
+  // the last pass feeds debug.ranking
+  const weights = rankWeights(prefs);
+  let ranking = { breakdown: [], duplicates: [] };
+  const rank = (recipes) => {
+    const scorable = skipFailed(
+      recipes,
+      (r) => {
+        scoreRecipe(r, weights, prefs);
+        return [r];
+      },
+      "rank"
+    );
+    ranking = rankRecipes(scorable, prefs, weights);
+    return ranking.recipes;
+  };
 
-// 2) Fill remaining slots with Spoonacular as alternatives (avoid duplicates)
-for (const rec of spoonList) {
-  if (combined.length >= 3) break;
+  // Plan mode wants a wide pool: as many provider results as we allow, plus the
+  // local corpus (normally only a fallback) through the same gates
+  const planning = mode === "plan" || Boolean(prefs?.plan);
+  const planDays = planning ? planDaysPref(prefs) : 0;
 
-  const dup = combined.some(
-    (r) => String(r.id || "").toLowerCase() === String(rec.id || "").toLowerCase()
+  progress.stages.providers = "running";
+  const { recipes: combined, info: providerInfo } = await runProviders(
+    safePantry,
+    planning ? { ...prefs, count: 10 } : prefs,
+    {
+      filter,
+      rank,
+      context: { pantryItems, deadline },
+      cache: !cacheBypass(prefs),
+      onProgress: (recipes, name) => {
+        progress.recipes = recipes;
+        // A plan only picks its days at the end
+        if (!planning) events?.recipes(recipes, name);
+      },
+    }
   );
-  if (!dup) combined.push(rec);
-}
-
-// 3) If still empty, fall back to emergency
-if (!combined.length) {
-  combined = [emergencyRecipe(pantry)];
-}
-
-
-const usedLLM = combined.some(
-  (r) => Array.isArray(r.badges) && r.badges.includes("llm")
-);
-
+  progress.stages.providers = "done";
+  unfinished.push(...(providerInfo.unfinished || []));
+  // Cut short by the deadline: the client can say "more recipes were on the way"
+  const partial = unfinished.length ? { partial: true, unfinished } : {};
 
+  const usedLLM = combined.some(
+    (r) => Array.isArray(r.badges) && r.badges.includes("llm")
+  );
 
   const debug = {
     source,
     pantryFrom,
+    // Format / size as uploaded and as sent to Vision
+    ...(images.length ? { images: imageInfo } : {}),
     cleanedPantry: pantry,
     usedLLM,
+    providers: providerInfo,
+    // Circuit breakers: upstreams skipped after repeated failures
+    upstreams: breakerState(),
+    ranking: {
+      weights,
+      recipes: ranking.breakdown.filter((b) => combined.some((r) => r.id === b.id)),
+      ...(ranking.duplicates.length ? { duplicates: ranking.duplicates } : {}),
+    },
+    // hit / miss / bypass per provider and per photo
+    cache: {
+      store: cacheStore().name,
+      ...(cacheBypass(prefs) ? { bypass: true } : {}),
+      providers: Object.fromEntries(
+        Object.entries(providerInfo.runs)
+          .filter(([, run]) => run.cache)
+          .map(([name, run]) => [name, run.cache])
+      ),
+      ...(visionCache.length ? { vision: visionCache } : {}),
+    },
     totalMs: nowMs() - tStart,
-
   };
+  if (hasRestrictions(profile)) {
+    debug.diet = {
+      diets: profile.diets,
+      allergies: profile.allergies,
+      unknownDiets: profile.unknownDiets,
+      dropped: dietDropped,
+    };
+  }
+  if (recipeErrors.length) debug.recipeErrors = recipeErrors;
+  debug.cost = { region: prices.region, currency: prices.currency };
+  if (budget != null) debug.cost = { ...debug.cost, budget, dropped: budgetDropped };
+  if (appliances) debug.appliances = { have: [...appliances], dropped: applianceDropped };
+  if (limits.maxCalories || limits.minProtein) {
+    debug.nutrition = { ...limits, dropped: nutritionDropped };
+  }
+  const cuisine = cuisinePref(prefs);
+  debug.meal = {
+    mealType: mealTypePref(prefs),
+    ...(cuisine ? { cuisine: [...cuisine.known, ...cuisine.other] } : {}),
+  };
+  if (urgent.some((u) => u.useSoon)) {
+    debug.freshness = { useSoon: urgent.filter((u) => u.useSoon).map((u) => u.name) };
+  }
+
+  if (planning) {
+    const seen = new Set(combined.map((r) => r.id));
+    const extra = rankRecipes(
+      filter(localRecipes(safePantry, prefs, planDays * 12).results),
+      prefs,
+      weights
+    ).recipes.filter((r) => !seen.has(r.id));
+    // A bare useSoon flag plans like two days left
+    const daysLeft = Object.fromEntries(
+      urgent.filter((u) => u.daysLeft != null || u.useSoon).map((u) => [u.name, u.daysLeft ?? 2])
+    );
+    const plan = planWeek([...combined, ...extra], safePantry, {
+      days: planDays,
+      timeCap: timeCapPref(prefs),
+      daysLeft,
+    });
+    const recipes = plan.days.map((d) => d.recipe);
+    debug.plan = { days: planDays, pool: combined.length + extra.length, planned: recipes.length };
+    debug.totalMs = nowMs() - tStart;
+
+    console.log("analyze plan debug:", debug);
+    return {
+      pantry,
+      pantryItems,
+      recipes,
+      plan: {
+        days: plan.days.map((d) => ({
+          day: d.day,
+          recipeId: d.recipe.id,
+          title: d.recipe.title,
+          uses: d.uses,
+          score: d.score,
+        })),
+        waste: plan.waste,
+        unused: plan.unused,
+      },
+      shoppingList: buildShoppingList(recipes, { units: unitSystemPref(prefs) }),
+      ...partial,
+      debug,
+    };
+  }
+
+  // prefs.shoppingFor: recipe ids the user picked; all returned recipes otherwise
+  const shoppingList = buildShoppingList(combined, {
+    ids: prefs.shoppingFor,
+    units: unitSystemPref(prefs),
+  });
 
   console.log("analyze debug:", debug);
-  return { pantry, recipes: combined, debug };
+  return { pantry, pantryItems, recipes: combined, shoppingList, ...partial, debug };
 }
 
 /* ----------------------- Handler ----------------------- */
@@ -843,37 +1371,122 @@ export default async function handler(req, res) {
   }
 
   let body;
+  let uploads;
   try {
-    body = await readJsonBody(req, 3000);
+    ({ body, uploads } = await readRequest(req));
   } catch (e) {
     console.log("body parse error:", e?.message || e);
     if (e.code === "PAYLOAD_TOO_LARGE") {
       return sendJson(res, 413, { error: "payload-too-large" });
     }
-    if (e.code === "INVALID_JSON") {
-      return sendJson(res, 400, { error: "invalid-json" });
+    if (e.code === "INVALID_JSON" || e.code === "INVALID_MULTIPART") {
+      return sendJson(res, 400, { error: e.message });
     }
     return sendJson(res, 408, { error: "body-timeout" });
   }
 
-  const { imageBase64, pantryOverride, prefs = {}, mode } = body || {};
-  const watchdogMs = 12000;
+  let images;
+  let imageInfo;
+  try {
+    ({ images, info: imageInfo } = await prepareImages(collectImages(body, uploads)));
+  } catch (e) {
+    console.log("image rejected:", e?.code, e?.message || e, "index=", e?.index);
+    if (e.code === "TOO_MANY_IMAGES") {
+      return sendJson(res, 400, { error: "too-many-images", max: MAX_IMAGES });
+    }
+    if (e.code === "UNSUPPORTED_IMAGE") {
+      return sendJson(res, 415, {
+        error: e.message,
+        index: e.index,
+        accepted: Object.values(MIME_TYPES),
+      });
+    }
+    if (e.code === "IMAGE_TOO_LARGE") {
+      return sendJson(res, 413, { error: "image-too-large", index: e.index, max: MAX_IMAGE_BYTES });
+    }
+    return sendJson(res, 500, { error: "image-processing-failed", index: e.index });
+  }
+
+  const { pantryOverride, mode } = body || {};
+  const prefs = body?.prefs && typeof body.prefs === "object" ? body.prefs : {};
+  // Counted from when the request arrived, body parsing included
+  const deadline = createDeadline(
+    Math.min(WATCHDOG_MS, config.maxDuration * 1000 - RESPONSE_MARGIN_MS) - (nowMs() - t0),
+    { margin: STAGE_MARGIN_MS }
+  );
+  const progress = { stages: {} };
+
+  // Streaming: pantry as soon as it's clean, each recipe as its provider
+  // lands, then "done" with the rest of the normal response
+  const format = streamFormat(req, body);
+  const stream = format ? openStream(res, format) : null;
+  const sent = { pantry: false, ids: new Set() };
+  const events = stream && {
+    pantry(data) {
+      sent.pantry = true;
+      stream.send("pantry", data);
+    },
+    recipes(list, provider) {
+      for (const recipe of list) {
+        if (sent.ids.has(recipe.id)) continue;
+        sent.ids.add(recipe.id);
+        stream.send("recipe", { recipe, ...(provider ? { provider } : {}) });
+      }
+    },
+  };
 
+  let out;
   try {
-    const out = await withTimeout(
-      () => runAnalyze({ imageBase64, pantryOverride, prefs, mode }),
-      watchdogMs,
+    out = await withTimeout(
+      () =>
+        runAnalyze({ images, imageInfo, pantryOverride, prefs, mode, deadline, progress, events }),
+      deadline.remaining(),
       "watchdog"
     );
     console.log("handler total=", nowMs() - t0, "ms");
-    return sendJson(res, 200, out);
   } catch (e) {
-    console.log("watchdog fired:", String(e?.message || e));
-    const fallback = {
-      pantry: [],
-      recipes: [emergencyRecipe([])],
-      debug: { source: "watchdog", error: String(e?.message || e) },
-    };
-    return sendJson(res, 200, fallback);
+    console.log("watchdog fired:", String(e?.message || e), "stages:", progress.stages);
+    out = watchdogFallback(e, progress, prefs);
   }
+
+  if (!stream) return sendJson(res, 200, out);
+  const { pantry, pantryItems, recipes, ...rest } = out;
+  if (!sent.pantry) events.pantry({ pantry, pantryItems });
+  events.recipes(recipes);
+  // recipeIds is the final order; a streamed card that isn't in it was pushed
+  // out by a higher-priority provider
+  stream.send("done", { recipeIds: recipes.map((r) => r.id), ...rest });
+  stream.end();
+}
+
+// Keep whatever finished: the pantry, and any provider's recipes already
+// through the gates; only cook something up locally when there are none
+function watchdogFallback(e, progress, prefs) {
+  const profile = dietProfile(prefs);
+  const safePantry = progress.safePantry || [];
+  let recipes = progress.recipes || [];
+  if (!recipes.length) {
+    recipes = enforceDiet(localRecipes(safePantry, prefs, 3).results, profile).kept;
+    if (!recipes.length && SKILLET_MEALS.has(mealTypePref(prefs))) {
+      recipes = enforceDiet([emergencyRecipe(safePantry, profile)], profile).kept;
+    }
+    const table = priceTable(prefs);
+    recipes = recipes.map((r) =>
+      withCost(scaleRecipe(withEnergy(withNutrition(r), table), prefs), table)
+    );
+  }
+  const unfinished = Object.keys(progress.stages).filter((k) => progress.stages[k] !== "done");
+  return {
+    pantry: progress.pantry || [],
+    pantryItems: progress.pantryItems || [],
+    recipes,
+    shoppingList: buildShoppingList(recipes, { units: unitSystemPref(prefs) }),
+    partial: true,
+    unfinished: unfinished.length ? unfinished : ["analyze"],
+    debug: {
+      source: "watchdog",
+      ...(progress.source ? { pantrySource: progress.source } : {}),
+      error: String(e?.message || e),
+    },
+  };
 }
@@ -0,0 +1,76 @@
+// /api/shopping.js
+// Rebuilds the consolidated shopping list for recipes the user picked.
+// POST { recipes: [...from /api/analyze], ids?: [recipe ids], units?: "metric" | "imperial",
+//        format?: "json" | "text" | "markdown" }
+
+import { readJsonBody, sendJson } from "../lib/request.js";
+import { buildShoppingList } from "../lib/shopping.js";
+import { unitSystemPref } from "../lib/units.js";
+
+export const config = {
+  runtime: "nodejs",
+  maxDuration: 10,
+  memory: 256,
+  regions: ["lhr1"],
+};
+
+const MAX_BODY_BYTES = 500_000;
+
+const isObject = (x) => Boolean(x) && typeof x === "object" && !Array.isArray(x);
+
+// Index of the first recipe that isn't { ingredients?: [{...}] }, or -1
+const invalidRecipe = (recipes) =>
+  recipes.findIndex(
+    (r) =>
+      !isObject(r) ||
+      (r.ingredients != null &&
+        (!Array.isArray(r.ingredients) || !r.ingredients.every(isObject)))
+  );
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return sendJson(res, 405, { error: "POST only" });
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req, 3000, MAX_BODY_BYTES);
+  } catch (e) {
+    if (e.code === "PAYLOAD_TOO_LARGE") {
+      return sendJson(res, 413, { error: "payload-too-large" });
+    }
+    if (e.code === "INVALID_JSON") {
+      return sendJson(res, 400, { error: "invalid-json" });
+    }
+    return sendJson(res, 408, { error: "body-timeout" });
+  }
+
+  if (!Array.isArray(body?.recipes)) {
+    return sendJson(res, 400, { error: "recipes-required" });
+  }
+  const bad = invalidRecipe(body.recipes);
+  if (bad !== -1) {
+    return sendJson(res, 400, { error: "invalid-recipe", index: bad });
+  }
+
+  let list;
+  try {
+    list = buildShoppingList(body.recipes, {
+      ids: Array.isArray(body.ids) ? body.ids : null,
+      units: unitSystemPref(body),
+    });
+  } catch (e) {
+    console.log("shopping list failed:", e?.message || e);
+    return sendJson(res, 500, { error: "shopping-list-failed" });
+  }
+
+  if (body.format === "text" || body.format === "markdown") {
+    const data = body.format === "text" ? list.text : list.markdown;
+    res.statusCode = 200;
+    res.setHeader("content-type", body.format === "text" ? "text/plain; charset=utf-8" : "text/markdown; charset=utf-8");
+    res.setHeader("content-length", Buffer.byteLength(data));
+    return res.end(data);
+  }
+
+  return sendJson(res, 200, list);
+}
@@ -0,0 +1,122 @@
+// /data/cuisines.js
+// Cuisine keywords for the local classifier (see lib/cuisine.js).
+//
+//   titles       words / phrases in a recipe title that point at the cuisine
+//   ingredients  signature ingredients (canonical names from data/ingredients.js
+//                where we have them); one alone is never enough
+//   spoonacular  value for complexSearch's `cuisine` parameter
+//
+// A title hit counts 2, an ingredient 1; a recipe needs 2 to be tagged.
+
+export const CUISINES = {
+  nigerian: {
+    titles: ["nigerian", "jollof", "egusi", "suya", "efo", "moi moi", "akara", "pepper stew", "pepper soup", "ofada", "dodo"],
+    ingredients: ["scotch bonnet", "palm oil", "plantain", "yam", "egusi", "crayfish", "locust beans"],
+    spoonacular: "African",
+  },
+  indian: {
+    titles: ["curry", "dal", "dhal", "biryani", "masala", "tikka", "korma", "saag", "bhaji", "pakora", "paneer", "balti", "jalfrezi", "vindaloo", "aloo", "chana", "pilau"],
+    ingredients: ["garam masala", "turmeric", "curry powder", "curry paste", "paneer", "ghee", "naan", "basmati rice", "cumin seeds", "mustard seeds", "lentils"],
+    spoonacular: "Indian",
+  },
+  italian: {
+    titles: ["pasta", "spaghetti", "penne", "risotto", "pesto", "lasagne", "lasagna", "carbonara", "bolognese", "arrabbiata", "frittata", "pizza", "gnocchi", "minestrone", "puttanesca", "cacciatore"],
+    ingredients: ["parmesan", "mozzarella", "basil", "pesto", "pasta", "spaghetti", "arborio rice", "passata", "oregano", "ricotta"],
+    spoonacular: "Italian",
+  },
+  mexican: {
+    titles: ["fajitas", "quesadillas", "quesadilla", "tacos", "taco", "burrito", "chilli", "chili", "enchiladas", "nachos", "tostadas", "mole"],
+    ingredients: ["tortilla wraps", "tortillas", "black beans", "kidney beans", "chilli powder", "jalapenos", "coriander", "lime", "avocado", "smoked paprika"],
+    spoonacular: "Mexican",
+  },
+  chinese: {
+    titles: ["stir fry", "fried rice", "chow mein", "sweet and sour", "kung pao", "lo mein", "char siu", "dumplings", "egg foo"],
+    ingredients: ["soy sauce", "ginger", "spring onions", "egg noodles", "oyster sauce", "sesame oil", "five spice", "hoisin sauce", "pak choi"],
+    spoonacular: "Chinese",
+  },
+  japanese: {
+    titles: ["teriyaki", "katsu", "ramen", "miso", "udon", "sushi", "yakitori", "donburi"],
+    ingredients: ["miso", "mirin", "soy sauce", "udon noodles", "nori", "wasabi", "sushi rice", "rice vinegar"],
+    spoonacular: "Japanese",
+  },
+  thai: {
+    titles: ["thai", "pad thai", "green curry", "red curry", "massaman", "tom yum", "satay"],
+    ingredients: ["coconut milk", "fish sauce", "lemongrass", "thai curry paste", "rice noodles", "lime", "peanut butter"],
+    spoonacular: "Thai",
+  },
+  korean: {
+    titles: ["korean", "bibimbap", "bulgogi", "kimchi", "japchae"],
+    ingredients: ["gochujang", "kimchi", "sesame oil", "soy sauce"],
+    spoonacular: "Korean",
+  },
+  vietnamese: {
+    titles: ["pho", "banh mi", "vietnamese"],
+    ingredients: ["fish sauce", "rice noodles", "lemongrass", "mint"],
+    spoonacular: "Vietnamese",
+  },
+  "middle eastern": {
+    titles: ["shakshuka", "falafel", "shawarma", "hummus", "kofta", "fattoush", "tabbouleh", "mezze"],
+    ingredients: ["tahini", "za'atar", "sumac", "pitta", "chickpeas", "cumin"],
+    spoonacular: "Middle Eastern",
+  },
+  moroccan: {
+    titles: ["tagine", "moroccan", "harira", "couscous"],
+    ingredients: ["couscous", "ras el hanout", "harissa", "dried apricots", "preserved lemon", "cinnamon"],
+    spoonacular: "African",
+  },
+  caribbean: {
+    titles: ["jerk", "rice and peas", "caribbean", "ackee", "roti"],
+    ingredients: ["scotch bonnet", "allspice", "jerk seasoning", "plantain", "coconut milk", "thyme"],
+    spoonacular: "Caribbean",
+  },
+  greek: {
+    titles: ["greek", "souvlaki", "moussaka", "gyros", "spanakopita", "tzatziki"],
+    ingredients: ["feta", "halloumi", "olives", "oregano", "yogurt"],
+    spoonacular: "Greek",
+  },
+  spanish: {
+    titles: ["paella", "tortilla espanola", "patatas bravas", "gazpacho", "spanish"],
+    ingredients: ["chorizo", "smoked paprika", "saffron", "manchego"],
+    spoonacular: "Spanish",
+  },
+  french: {
+    titles: ["gratin", "ratatouille", "cassoulet", "bourguignon", "nicoise", "quiche", "croque", "provencal"],
+    ingredients: ["creme fraiche", "dijon mustard", "gruyere", "tarragon", "shallots"],
+    spoonacular: "French",
+  },
+  british: {
+    titles: ["cottage pie", "shepherd's pie", "fishcakes", "jacket potatoes", "jacket potato", "bangers", "toad in the hole", "full english", "crumble", "hotpot", "pie", "beans on toast"],
+    ingredients: ["potatoes", "sausages", "baked beans", "cheddar", "peas", "worcestershire sauce"],
+    spoonacular: "British",
+  },
+  american: {
+    titles: ["burger", "mac and cheese", "bbq", "barbecue", "sloppy joe", "cornbread", "pancakes", "hash"],
+    ingredients: ["bbq sauce", "burger buns", "sweetcorn", "bacon", "maple syrup"],
+    spoonacular: "American",
+  },
+};
+
+// What people type -> one or more keys above
+export const CUISINE_ALIASES = {
+  naija: ["nigerian"],
+  "west african": ["nigerian"],
+  african: ["nigerian", "moroccan"],
+  "north african": ["moroccan"],
+  "south asian": ["indian"],
+  pakistani: ["indian"],
+  "tex-mex": ["mexican"],
+  "tex mex": ["mexican"],
+  lebanese: ["middle eastern"],
+  levantine: ["middle eastern"],
+  turkish: ["middle eastern"],
+  persian: ["middle eastern"],
+  mediterranean: ["greek", "italian", "spanish", "middle eastern"],
+  english: ["british"],
+  uk: ["british"],
+  us: ["american"],
+  usa: ["american"],
+  jamaican: ["caribbean"],
+  asian: ["chinese", "japanese", "thai", "korean", "vietnamese", "indian"],
+  "east asian": ["chinese", "japanese", "korean"],
+  "southeast asian": ["thai", "vietnamese"],
+};
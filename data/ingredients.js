@@ -0,0 +1,166 @@
+// /data/ingredients.js
+// Ingredient ontology used by cleanPantry (see lib/ingredients.js).
+//
+//   name      canonical pantry name (UK usage, we deploy to lhr1)
+//   category  protein | veg | fruit | dairy | spice | staple
+//   synonyms  other names / common misreads that mean the same thing
+//   us, uk    regional variants (zucchini/courgette, cilantro/coriander)
+//   animal    meat, fish or shellfish
+//   shelfLife days it keeps once bought (Infinity for tins / frozen); falls back
+//             to SHELF_LIFE_DEFAULTS for the category, none for dry goods
+//
+// Plurals and singulars are generated automatically (tomatoes <-> tomato);
+// list irregular ones under synonyms. Any multi-word name or synonym is a phrase
+// that cleanPantry detects across adjacent tokens ("soy" + "sauce").
+
+export const INGREDIENTS = [
+  /* ---- protein ---- */
+  { name: "chicken", category: "protein", animal: true },
+  { name: "chicken breast", category: "protein", animal: true, synonyms: ["chicken fillet"] },
+  { name: "chicken thighs", category: "protein", animal: true, synonyms: ["chicken thigh"] },
+  { name: "beef", category: "protein", animal: true, synonyms: ["steak", "stewing beef"] },
+  { name: "beef mince", category: "protein", animal: true, synonyms: ["minced beef", "mince"], us: ["ground beef"] },
+  { name: "lamb", category: "protein", animal: true },
+  { name: "lamb mince", category: "protein", animal: true, synonyms: ["minced lamb"], us: ["ground lamb"] },
+  { name: "pork", category: "protein", animal: true },
+  { name: "bacon", category: "protein", animal: true, synonyms: ["streaky bacon", "back bacon", "lardons"], shelfLife: 7 },
+  { name: "ham", category: "protein", animal: true, shelfLife: 5 },
+  { name: "sausage", category: "protein", animal: true, synonyms: ["bangers"], shelfLife: 5 },
+  { name: "chorizo", category: "protein", animal: true, shelfLife: 30 },
+  { name: "turkey", category: "protein", animal: true },
+  { name: "fish", category: "protein", animal: true, synonyms: ["white fish", "cod", "haddock", "hake"], shelfLife: 2 },
+  { name: "salmon", category: "protein", animal: true, shelfLife: 2 },
+  { name: "tuna", category: "protein", animal: true, shelfLife: Infinity },
+  { name: "mackerel", category: "protein", animal: true, shelfLife: 2 },
+  { name: "sardines", category: "protein", animal: true, shelfLife: Infinity },
+  { name: "prawns", category: "protein", animal: true, synonyms: ["king prawns"], us: ["shrimp", "shrimps"], shelfLife: 2 },
+  { name: "egg", category: "protein", synonyms: ["free range eggs", "hens eggs"], shelfLife: 21 },
+  { name: "tofu", category: "protein", synonyms: ["bean curd"], shelfLife: 5 },
+  { name: "chickpeas", category: "protein", synonyms: ["chick peas", "garbanzo", "garbanzo beans", "garbanzo bean"] },
+  { name: "lentils", category: "protein", synonyms: ["red lentils", "green lentils", "puy lentils"] },
+  { name: "beans", category: "protein", synonyms: ["mixed beans"] },
+  { name: "kidney beans", category: "protein", synonyms: ["red kidney beans"] },
+  { name: "black beans", category: "protein", synonyms: ["black turtle beans"] },
+  { name: "butter beans", category: "protein", us: ["lima beans"] },
+  { name: "cannellini beans", category: "protein", synonyms: ["cannellini"] },
+  { name: "baked beans", category: "protein" },
+  { name: "black eyed beans", category: "protein", synonyms: ["black eyed peas", "black-eyed beans"] },
+  { name: "peanuts", category: "protein", synonyms: ["groundnuts"] },
+
+  /* ---- veg ---- */
+  { name: "onion", category: "veg", synonyms: ["brown onion", "white onion"], shelfLife: 30 },
+  { name: "red onion", category: "veg", shelfLife: 30 },
+  { name: "spring onion", category: "veg", us: ["scallion", "green onion"], shelfLife: 5 },
+  { name: "shallot", category: "veg" },
+  { name: "garlic", category: "veg", synonyms: ["garlic clove", "garlic bulb"], shelfLife: 60 },
+  { name: "ginger", category: "veg", synonyms: ["root ginger", "fresh ginger"], shelfLife: 21 },
+  { name: "tomatoes", category: "veg", synonyms: ["chopped tomatoes", "tinned tomatoes", "plum tomatoes"], us: ["canned tomatoes"], shelfLife: Infinity },
+  { name: "cherry tomatoes", category: "veg", synonyms: ["baby plum tomatoes"], shelfLife: 6 },
+  { name: "tomato puree", category: "staple", synonyms: ["tomato purée", "double concentrated tomato"], us: ["tomato paste"] },
+  { name: "passata", category: "staple", synonyms: ["sieved tomatoes"] },
+  { name: "courgette", category: "veg", us: ["zucchini"] },
+  { name: "aubergine", category: "veg", us: ["eggplant"] },
+  { name: "bell pepper", category: "veg", synonyms: ["peppers", "red pepper", "green pepper", "yellow pepper", "capsicum"], uk: ["sweet pepper"] },
+  { name: "chilli", category: "veg", synonyms: ["red chilli", "green chilli", "chillies"], us: ["chili pepper"] },
+  { name: "scotch bonnet", category: "veg", synonyms: ["scotch bonnet pepper", "habanero"] },
+  { name: "butternut squash", category: "veg", synonyms: ["butternut"], shelfLife: 60 },
+  { name: "squash", category: "veg", shelfLife: 60 },
+  { name: "pumpkin", category: "veg", shelfLife: 30 },
+  { name: "carrot", category: "veg", shelfLife: 21 },
+  { name: "potato", category: "veg", synonyms: ["potatoes", "baking potato", "new potatoes", "maris piper"], shelfLife: 30 },
+  { name: "sweet potato", category: "veg", synonyms: ["sweet potatoes"], shelfLife: 21 },
+  { name: "yam", category: "veg", synonyms: ["puna yam"], shelfLife: 21 },
+  { name: "broccoli", category: "veg", synonyms: ["brockley", "brocolli", "brocoli", "tenderstem"], shelfLife: 5 },
+  { name: "cauliflower", category: "veg" },
+  { name: "cabbage", category: "veg", synonyms: ["savoy cabbage", "white cabbage", "red cabbage"], shelfLife: 14 },
+  { name: "kale", category: "veg", synonyms: ["cavolo nero"], shelfLife: 5 },
+  { name: "spinach", category: "veg", synonyms: ["baby spinach"], shelfLife: 3 },
+  { name: "lettuce", category: "veg", synonyms: ["iceberg", "romaine", "little gem"], shelfLife: 4 },
+  { name: "cucumber", category: "veg" },
+  { name: "mushroom", category: "veg", synonyms: ["chestnut mushrooms", "button mushrooms"], shelfLife: 4 },
+  { name: "peas", category: "veg", synonyms: ["garden peas", "petit pois", "frozen peas"], shelfLife: Infinity },
+  { name: "green beans", category: "veg", synonyms: ["fine beans"], us: ["string beans"], shelfLife: 5 },
+  { name: "sweetcorn", category: "veg", synonyms: ["corn on the cob"], us: ["corn"], shelfLife: Infinity },
+  { name: "leek", category: "veg", shelfLife: 10 },
+  { name: "celery", category: "veg", shelfLife: 10 },
+  { name: "beetroot", category: "veg", us: ["beet", "beets"], shelfLife: 14 },
+  { name: "okra", category: "veg", synonyms: ["ladies fingers"], shelfLife: 4 },
+  { name: "plantain", category: "veg" },
+  { name: "avocado", category: "veg", shelfLife: 3 },
+
+  /* ---- fruit ---- */
+  { name: "banana", category: "fruit", shelfLife: 5 },
+  { name: "apple", category: "fruit", shelfLife: 28 },
+  { name: "pear", category: "fruit" },
+  { name: "orange", category: "fruit" },
+  { name: "lemon", category: "fruit", shelfLife: 21 },
+  { name: "lime", category: "fruit", shelfLife: 21 },
+  { name: "coconut", category: "fruit" },
+
+  /* ---- dairy ---- */
+  { name: "milk", category: "dairy", synonyms: ["semi skimmed milk", "whole milk", "skimmed milk"], shelfLife: 5 },
+  { name: "cheese", category: "dairy", shelfLife: 28 },
+  { name: "cheddar", category: "dairy", synonyms: ["mature cheddar", "cheddar cheese"], shelfLife: 28 },
+  { name: "feta", category: "dairy", synonyms: ["feta cheese", "greek style salad cheese"], shelfLife: 10 },
+  { name: "mozzarella", category: "dairy", shelfLife: 5 },
+  { name: "parmesan", category: "dairy", synonyms: ["parmigiano"], shelfLife: 60 },
+  { name: "halloumi", category: "dairy", shelfLife: 14 },
+  { name: "paneer", category: "dairy", shelfLife: 7 },
+  { name: "butter", category: "dairy", shelfLife: 30 },
+  { name: "yogurt", category: "dairy", synonyms: ["greek yogurt", "natural yogurt"], uk: ["yoghurt"], shelfLife: 7 },
+  { name: "cream", category: "dairy", synonyms: ["double cream", "single cream"], us: ["heavy cream"], shelfLife: 5 },
+  { name: "creme fraiche", category: "dairy", synonyms: ["crème fraîche"] },
+  { name: "almond milk", category: "dairy", shelfLife: Infinity },
+  { name: "oat milk", category: "dairy", shelfLife: Infinity },
+  { name: "coconut milk", category: "staple", synonyms: ["coconut drink"] },
+  { name: "coconut cream", category: "staple", synonyms: ["creamed coconut"] },
+
+  /* ---- staple ---- */
+  { name: "rice", category: "staple", synonyms: ["basmati", "basmati rice", "long grain rice", "jasmine rice"] },
+  { name: "risotto rice", category: "staple", synonyms: ["arborio"] },
+  { name: "pasta", category: "staple", synonyms: ["penne", "fusilli", "farfalle", "rigatoni", "macaroni"] },
+  { name: "spaghetti", category: "staple", synonyms: ["linguine", "tagliatelle"] },
+  { name: "orzo", category: "staple" },
+  { name: "egg noodles", category: "staple" },
+  { name: "rice noodles", category: "staple" },
+  { name: "noodles", category: "staple", synonyms: ["instant noodles", "ramen"] },
+  { name: "couscous", category: "staple" },
+  { name: "oats", category: "staple", synonyms: ["porridge oats", "rolled oats"] },
+  { name: "bread", category: "staple", synonyms: ["loaf", "sourdough"], shelfLife: 4 },
+  { name: "tortilla", category: "staple", synonyms: ["tortilla wraps"], shelfLife: 14 },
+  { name: "wrap", category: "staple", shelfLife: 14 },
+  { name: "flour", category: "staple", synonyms: ["plain flour", "self raising flour"], us: ["all purpose flour"] },
+  { name: "sugar", category: "staple", synonyms: ["caster sugar", "granulated sugar"] },
+  { name: "olive oil", category: "staple", synonyms: ["extra virgin olive oil"] },
+  { name: "vegetable oil", category: "staple", synonyms: ["sunflower oil", "rapeseed oil"] },
+  { name: "soy sauce", category: "staple", synonyms: ["soya sauce", "light soy sauce", "dark soy sauce"] },
+  { name: "stock cube", category: "staple", synonyms: ["stock cubes", "bouillon", "stock pot"], us: ["bouillon cube"] },
+  { name: "vinegar", category: "staple", synonyms: ["white wine vinegar", "cider vinegar"] },
+  { name: "honey", category: "staple" },
+  { name: "peanut butter", category: "staple" },
+  { name: "pesto", category: "staple" },
+  { name: "mayonnaise", category: "staple", synonyms: ["mayo"] },
+
+  /* ---- spice / herb ---- */
+  { name: "salt", category: "spice", synonyms: ["sea salt", "table salt"] },
+  { name: "black pepper", category: "spice", synonyms: ["pepper", "ground black pepper", "peppercorns"] },
+  { name: "curry powder", category: "spice", synonyms: ["madras curry powder"] },
+  { name: "garam masala", category: "spice" },
+  { name: "cumin", category: "spice", synonyms: ["ground cumin", "cumin seeds"] },
+  { name: "jeera", category: "spice", synonyms: ["jeera powder"] },
+  { name: "turmeric", category: "spice", synonyms: ["ground turmeric", "haldi"] },
+  { name: "paprika", category: "spice", synonyms: ["smoked paprika"] },
+  { name: "chilli powder", category: "spice", synonyms: ["chilli flakes", "cayenne"], us: ["chili powder"] },
+  { name: "cinnamon", category: "spice", synonyms: ["ground cinnamon"] },
+  { name: "cloves", category: "spice" },
+  { name: "mixed dried herbs", category: "spice", synonyms: ["mixed herbs", "dried herbs", "italian seasoning"] },
+  { name: "oregano", category: "spice" },
+  { name: "thyme", category: "spice" },
+  { name: "basil", category: "spice", shelfLife: 4 },
+  { name: "coriander", category: "spice", synonyms: ["coriander leaf"], us: ["cilantro"], shelfLife: 4 },
+  { name: "parsley", category: "spice", shelfLife: 4 },
+  { name: "maggi seasoning", category: "spice", synonyms: ["maggi", "maggi cube", "knorr cube"] },
+];
+
+// Days fresh items keep when the entry doesn't say (animal protein is 3)
+export const SHELF_LIFE_DEFAULTS = { veg: 7, fruit: 7, dairy: 7 };
@@ -0,0 +1,206 @@
+// /data/nutrients.js
+// Per-100 g nutrients for the canonical ingredient names in data/ingredients.js,
+// used to estimate nutrition for LLM and local recipes (see lib/nutrition.js).
+// Rough UK composition-table values; dry weights for rice, pasta, lentils etc.
+//
+//   [kcal, protein g, carbs g, fat g, fibre g, salt g]
+
+const SPICE = [300, 12, 50, 10, 25, 0.1];
+const HERB = [25, 3, 4, 0.5, 3, 0];
+
+export const NUTRIENTS = {
+  /* ---- protein ---- */
+  chicken: [106, 24, 0, 1.1, 0, 0.2],
+  "chicken breast": [106, 24, 0, 1.1, 0, 0.2],
+  "chicken thighs": [177, 18, 0, 11.5, 0, 0.2],
+  beef: [190, 20, 0, 12, 0, 0.15],
+  "beef mince": [230, 19, 0, 17, 0, 0.2],
+  lamb: [240, 17, 0, 19, 0, 0.2],
+  "lamb mince": [250, 17, 0, 20, 0, 0.2],
+  pork: [180, 20, 0, 11, 0, 0.15],
+  bacon: [290, 16, 0, 25, 0, 2.8],
+  ham: [110, 18, 1, 4, 0, 2],
+  sausage: [270, 13, 8, 21, 1, 1.7],
+  chorizo: [455, 24, 2, 38, 0, 4],
+  turkey: [105, 23, 0, 1.5, 0, 0.2],
+  fish: [80, 18, 0, 0.7, 0, 0.2],
+  salmon: [200, 20, 0, 13, 0, 0.15],
+  tuna: [110, 25, 0, 1, 0, 0.9],
+  mackerel: [240, 19, 0, 18, 0, 0.3],
+  sardines: [200, 23, 0, 12, 0, 0.7],
+  prawns: [70, 15, 0, 1, 0, 0.6],
+  egg: [130, 12.5, 0.5, 9, 0, 0.4],
+  tofu: [120, 13, 1, 7, 0.5, 0],
+  chickpeas: [120, 7, 15, 2.5, 5, 0.3],
+  lentils: [320, 24, 48, 1.3, 11, 0],
+  beans: [95, 6.5, 13, 0.6, 6, 0.3],
+  "kidney beans": [100, 7, 14, 0.6, 6, 0.3],
+  "black beans": [110, 7, 16, 0.5, 7, 0.3],
+  "butter beans": [80, 6, 12, 0.5, 5, 0.3],
+  "cannellini beans": [90, 6.5, 13, 0.5, 6, 0.3],
+  "baked beans": [80, 4.7, 13, 0.3, 3.7, 0.6],
+  "black eyed beans": [115, 8, 20, 0.5, 6, 0.1],
+  peanuts: [570, 26, 13, 49, 8.5, 0],
+
+  /* ---- veg ---- */
+  onion: [40, 1.1, 8, 0.1, 1.7, 0],
+  "red onion": [40, 1.1, 8, 0.1, 1.7, 0],
+  "spring onion": [32, 1.8, 7, 0.2, 2.6, 0],
+  shallot: [72, 2.5, 17, 0.1, 3, 0],
+  garlic: [149, 6.4, 33, 0.5, 2.1, 0],
+  ginger: [80, 1.8, 18, 0.8, 2, 0],
+  tomatoes: [20, 1, 3.5, 0.2, 1, 0.05],
+  "cherry tomatoes": [18, 0.9, 3, 0.2, 1.2, 0],
+  "tomato puree": [80, 4.3, 14, 0.4, 3, 0.2],
+  passata: [30, 1.3, 5, 0.2, 1, 0.1],
+  courgette: [17, 1.2, 3, 0.3, 1, 0],
+  aubergine: [25, 1, 6, 0.2, 3, 0],
+  "bell pepper": [26, 1, 5, 0.3, 1.7, 0],
+  chilli: [40, 2, 9, 0.4, 1.5, 0],
+  "scotch bonnet": [40, 2, 9, 0.4, 1.5, 0],
+  "butternut squash": [45, 1, 11, 0.1, 2, 0],
+  squash: [45, 1, 11, 0.1, 2, 0],
+  pumpkin: [26, 1, 6.5, 0.1, 0.5, 0],
+  carrot: [41, 0.9, 10, 0.2, 2.8, 0.1],
+  potato: [77, 2, 17, 0.1, 2.2, 0],
+  "sweet potato": [86, 1.6, 20, 0.1, 3, 0.1],
+  yam: [118, 1.5, 28, 0.2, 4, 0],
+  broccoli: [34, 2.8, 7, 0.4, 2.6, 0],
+  cauliflower: [25, 1.9, 5, 0.3, 2, 0],
+  cabbage: [25, 1.3, 6, 0.1, 2.5, 0],
+  kale: [49, 4.3, 9, 0.9, 3.6, 0.1],
+  spinach: [23, 2.9, 3.6, 0.4, 2.2, 0.2],
+  lettuce: [15, 1.4, 2.9, 0.2, 1.3, 0],
+  cucumber: [15, 0.7, 3.6, 0.1, 0.5, 0],
+  mushroom: [22, 3.1, 3.3, 0.3, 1, 0],
+  peas: [81, 5.4, 14, 0.4, 5, 0],
+  "green beans": [31, 1.8, 7, 0.2, 2.7, 0],
+  sweetcorn: [86, 3.3, 19, 1.4, 2, 0],
+  leek: [61, 1.5, 14, 0.3, 1.8, 0],
+  celery: [16, 0.7, 3, 0.2, 1.6, 0.2],
+  beetroot: [43, 1.6, 10, 0.2, 2.8, 0.2],
+  okra: [33, 1.9, 7, 0.2, 3.2, 0],
+  plantain: [122, 1.3, 32, 0.4, 2.3, 0],
+  avocado: [160, 2, 9, 15, 7, 0],
+
+  /* ---- fruit ---- */
+  banana: [89, 1.1, 23, 0.3, 2.6, 0],
+  apple: [52, 0.3, 14, 0.2, 2.4, 0],
+  pear: [57, 0.4, 15, 0.1, 3.1, 0],
+  orange: [47, 0.9, 12, 0.1, 2.4, 0],
+  lemon: [29, 1.1, 9, 0.3, 2.8, 0],
+  lime: [30, 0.7, 11, 0.2, 2.8, 0],
+  coconut: [354, 3.3, 15, 33, 9, 0],
+
+  /* ---- dairy ---- */
+  milk: [50, 3.4, 4.8, 1.8, 0, 0.1],
+  cheese: [416, 25, 0.1, 35, 0, 1.8],
+  cheddar: [416, 25, 0.1, 35, 0, 1.8],
+  feta: [265, 14, 4, 21, 0, 2.7],
+  mozzarella: [280, 22, 2, 20, 0, 1],
+  parmesan: [390, 36, 0, 28, 0, 1.6],
+  halloumi: [320, 22, 2, 25, 0, 2.7],
+  paneer: [320, 20, 3, 25, 0, 0.1],
+  butter: [740, 0.6, 0.6, 82, 0, 1.2],
+  yogurt: [80, 5, 6, 4, 0, 0.1],
+  cream: [450, 1.6, 2.7, 48, 0, 0.1],
+  "creme fraiche": [380, 2.4, 2.6, 40, 0, 0.1],
+  "almond milk": [15, 0.5, 0.3, 1.1, 0.2, 0.1],
+  "oat milk": [45, 1, 6.5, 1.5, 0.8, 0.1],
+  "coconut milk": [170, 1.5, 3, 17, 0, 0.05],
+  "coconut cream": [330, 3, 6, 34, 0, 0.1],
+
+  /* ---- staple ---- */
+  rice: [350, 7, 78, 1, 1, 0],
+  "risotto rice": [350, 7, 78, 1, 1, 0],
+  pasta: [355, 12, 72, 1.5, 3, 0],
+  spaghetti: [355, 12, 72, 1.5, 3, 0],
+  orzo: [355, 12, 72, 1.5, 3, 0],
+  "egg noodles": [380, 13, 70, 4, 3, 0.2],
+  "rice noodles": [360, 6, 82, 0.5, 1.6, 0],
+  noodles: [450, 9, 60, 20, 2.5, 2.5],
+  couscous: [360, 13, 73, 1.5, 5, 0],
+  oats: [375, 11, 60, 8, 9, 0],
+  bread: [250, 9, 46, 3, 3, 1],
+  tortilla: [300, 8, 50, 7, 3, 1.2],
+  wrap: [300, 8, 50, 7, 3, 1.2],
+  flour: [340, 10, 72, 1.3, 3, 0],
+  sugar: [400, 0, 100, 0, 0, 0],
+  "olive oil": [880, 0, 0, 100, 0, 0],
+  "vegetable oil": [880, 0, 0, 100, 0, 0],
+  "soy sauce": [60, 8, 6, 0, 0.8, 14],
+  "stock cube": [270, 8, 20, 17, 1, 48],
+  vinegar: [20, 0, 0.5, 0, 0, 0],
+  honey: [300, 0.3, 80, 0, 0, 0],
+  "peanut butter": [600, 25, 13, 50, 6, 1],
+  pesto: [450, 5, 4, 45, 2, 2.5],
+  mayonnaise: [700, 1, 1.5, 76, 0, 1.5],
+
+  /* ---- spice / herb ---- */
+  salt: [0, 0, 0, 0, 0, 100],
+  "black pepper": SPICE,
+  "curry powder": SPICE,
+  "garam masala": SPICE,
+  cumin: SPICE,
+  jeera: SPICE,
+  turmeric: SPICE,
+  paprika: SPICE,
+  "chilli powder": SPICE,
+  cinnamon: SPICE,
+  cloves: SPICE,
+  "mixed dried herbs": SPICE,
+  oregano: SPICE,
+  thyme: SPICE,
+  basil: HERB,
+  coriander: HERB,
+  parsley: HERB,
+  "maggi seasoning": [220, 10, 20, 10, 0, 55],
+};
+
+// Grams per piece, for counted ingredients ("1 onion", "2 rashers", "1 tin" of tuna)
+export const PIECE_WEIGHTS = {
+  bacon: 25,
+  sausage: 60,
+  fish: 140,
+  salmon: 120,
+  tuna: 145,
+  egg: 58,
+  onion: 150,
+  "red onion": 150,
+  "spring onion": 15,
+  shallot: 30,
+  garlic: 5,
+  tomatoes: 85,
+  "cherry tomatoes": 15,
+  courgette: 200,
+  aubergine: 250,
+  "bell pepper": 160,
+  chilli: 10,
+  "scotch bonnet": 10,
+  "butternut squash": 1000,
+  carrot: 80,
+  potato: 170,
+  "sweet potato": 200,
+  broccoli: 300,
+  cauliflower: 600,
+  cabbage: 900,
+  lettuce: 300,
+  cucumber: 300,
+  leek: 200,
+  celery: 40,
+  beetroot: 100,
+  plantain: 250,
+  avocado: 150,
+  banana: 120,
+  apple: 150,
+  pear: 170,
+  orange: 150,
+  lemon: 100,
+  lime: 60,
+  noodles: 70,
+  bread: 40,
+  tortilla: 60,
+  wrap: 60,
+  "stock cube": 10,
+  "maggi seasoning": 4,
+};
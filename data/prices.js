@@ -0,0 +1,177 @@
+// /data/prices.js
+// Supermarket prices per kg (per litre for liquids) for the canonical names in
+// data/ingredients.js, used by lib/cost.js. Base table is GBP from the big UK
+// chains' own-brand ranges; other regions scale it and may override items.
+//
+// Override at deploy time with PRICE_OVERRIDES='{"chickpeas": 1.8}' or per
+// request with prefs.prices, both in the region's currency per kg.
+
+const SPICE = 15;
+const HERB = 20;
+
+export const BASE_PRICES = {
+  /* ---- protein ---- */
+  chicken: 6,
+  "chicken breast": 7.5,
+  "chicken thighs": 5,
+  beef: 12,
+  "beef mince": 7,
+  lamb: 13,
+  "lamb mince": 9,
+  pork: 7,
+  bacon: 9,
+  ham: 10,
+  sausage: 6,
+  chorizo: 14,
+  turkey: 8,
+  fish: 12,
+  salmon: 18,
+  tuna: 8,
+  mackerel: 9,
+  sardines: 6,
+  prawns: 16,
+  egg: 4.5,
+  tofu: 6,
+  chickpeas: 1.5,
+  lentils: 3,
+  beans: 1.5,
+  "kidney beans": 1.5,
+  "black beans": 2,
+  "butter beans": 1.7,
+  "cannellini beans": 1.7,
+  "baked beans": 1.6,
+  "black eyed beans": 2,
+  peanuts: 5,
+
+  /* ---- veg ---- */
+  onion: 1,
+  "red onion": 1.3,
+  "spring onion": 4,
+  shallot: 3,
+  garlic: 6,
+  ginger: 5,
+  tomatoes: 1.2,
+  "cherry tomatoes": 3.5,
+  "tomato puree": 4,
+  passata: 1.4,
+  courgette: 2,
+  aubergine: 2.5,
+  "bell pepper": 3,
+  chilli: 8,
+  "scotch bonnet": 10,
+  "butternut squash": 1.2,
+  squash: 1.5,
+  pumpkin: 1.5,
+  carrot: 0.8,
+  potato: 0.8,
+  "sweet potato": 1.5,
+  yam: 3,
+  broccoli: 2,
+  cauliflower: 1.5,
+  cabbage: 1,
+  kale: 3,
+  spinach: 4,
+  lettuce: 2.5,
+  cucumber: 2.5,
+  mushroom: 3,
+  peas: 1.5,
+  "green beans": 4,
+  sweetcorn: 2,
+  leek: 2,
+  celery: 1.5,
+  beetroot: 2,
+  okra: 6,
+  plantain: 2.5,
+  avocado: 5,
+
+  /* ---- fruit ---- */
+  banana: 1,
+  apple: 2,
+  pear: 2,
+  orange: 2,
+  lemon: 3,
+  lime: 4,
+  coconut: 3,
+
+  /* ---- dairy ---- */
+  milk: 0.8,
+  cheese: 8,
+  cheddar: 8,
+  feta: 9,
+  mozzarella: 7,
+  parmesan: 20,
+  halloumi: 12,
+  paneer: 10,
+  butter: 8,
+  yogurt: 2.5,
+  cream: 4.5,
+  "creme fraiche": 5,
+  "almond milk": 1.5,
+  "oat milk": 1.6,
+  "coconut milk": 2.2,
+  "coconut cream": 5,
+
+  /* ---- staple ---- */
+  rice: 1.5,
+  "risotto rice": 3,
+  pasta: 1.2,
+  spaghetti: 1.2,
+  orzo: 3,
+  "egg noodles": 3,
+  "rice noodles": 4,
+  noodles: 3,
+  couscous: 2.5,
+  oats: 1.2,
+  bread: 1.8,
+  tortilla: 3.5,
+  wrap: 3.5,
+  flour: 0.9,
+  sugar: 1.1,
+  "olive oil": 9,
+  "vegetable oil": 2.5,
+  "soy sauce": 4,
+  "stock cube": 10,
+  vinegar: 1.5,
+  honey: 6,
+  "peanut butter": 5,
+  pesto: 9,
+  mayonnaise: 4,
+
+  /* ---- spice / herb ---- */
+  salt: 1,
+  "black pepper": 20,
+  "curry powder": SPICE,
+  "garam masala": SPICE,
+  cumin: SPICE,
+  jeera: SPICE,
+  turmeric: SPICE,
+  paprika: SPICE,
+  "chilli powder": SPICE,
+  cinnamon: SPICE,
+  cloves: SPICE,
+  "mixed dried herbs": SPICE,
+  oregano: SPICE,
+  thyme: SPICE,
+  basil: HERB,
+  coriander: HERB,
+  parsley: HERB,
+  "maggi seasoning": 10,
+};
+
+//   factor     multiplier applied to BASE_PRICES
+//   overrides  per-kg prices that don't follow the factor
+//   tariff     electricity price per kWh (lib/energy.js), overridable with
+//              ENERGY_TARIFF or prefs.tariff
+export const PRICE_REGIONS = {
+  GB: { currency: "GBP", factor: 1, overrides: {}, tariff: 0.25 },
+  IE: { currency: "EUR", factor: 1.25, overrides: {}, tariff: 0.36 },
+  EU: { currency: "EUR", factor: 1.15, overrides: { "olive oil": 8 }, tariff: 0.3 },
+  US: {
+    currency: "USD",
+    factor: 1.35,
+    overrides: { "beef mince": 11, avocado: 4, "black beans": 2.2 },
+    tariff: 0.17,
+  },
+};
+
+export const DEFAULT_PRICE_REGION = "GB";
@@ -0,0 +1,133 @@
+// /data/products.js
+// Branded packs -> canonical ingredient (data/ingredients.js), for the tins,
+// jars and packets whose labels Vision reads but our ontology doesn't know
+// ("Napolina", "Beanz"). See lib/products.js.
+//
+//   code        GTIN printed under the barcode (EAN-13 / UPC-A / EAN-8)
+//   brand       as printed on the pack
+//   name        product name without the brand, matched against the OCR words;
+//               a row without one matches the brand alone (single-product brands)
+//   ingredient  canonical name
+//   quantity    pack size, "400g"
+//
+// Only a handful of bundled rows carry a code, so barcode matching needs
+// PRODUCTS_FILE: barcodes are per pack size and market, and come from an Open
+// Food Facts extract for the region served (e.g. OFF's CSV export filtered to
+// countries_tags en:united-kingdom). PRODUCTS_FILE points at a JSON array (or
+// JSONL) of these rows or of OFF's own code / brands / product_name / quantity
+// fields; its rows are added to these and win on a shared code. Without it,
+// packs are still recognised from brand + product name.
+
+export const PRODUCTS = [
+  /* ---- tins & jars ---- */
+  {
+    code: "5000157024671",
+    brand: "Heinz",
+    name: "Beanz",
+    ingredient: "baked beans",
+    quantity: "415g",
+  },
+  { brand: "Heinz", name: "Baked Beans", ingredient: "baked beans", quantity: "415g" },
+  { brand: "Branston", name: "Baked Beans", ingredient: "baked beans", quantity: "410g" },
+  { brand: "Napolina", name: "Chopped Tomatoes", ingredient: "tomatoes", quantity: "400g" },
+  { brand: "Napolina", name: "Plum Tomatoes", ingredient: "tomatoes", quantity: "400g" },
+  { brand: "Napolina", name: "Cherry Tomatoes", ingredient: "cherry tomatoes", quantity: "400g" },
+  { brand: "Napolina", name: "Passata", ingredient: "passata", quantity: "500g" },
+  { brand: "Napolina", name: "Tomato Puree", ingredient: "tomato puree", quantity: "200g" },
+  { brand: "Napolina", name: "Chick Peas", ingredient: "chickpeas", quantity: "400g" },
+  { brand: "Napolina", name: "Red Kidney Beans", ingredient: "kidney beans", quantity: "400g" },
+  { brand: "Napolina", name: "Cannellini Beans", ingredient: "cannellini beans", quantity: "400g" },
+  { brand: "Napolina", name: "Butter Beans", ingredient: "butter beans", quantity: "400g" },
+  { brand: "Napolina", name: "Spaghetti", ingredient: "spaghetti", quantity: "500g" },
+  { brand: "Napolina", name: "Penne", ingredient: "pasta", quantity: "500g" },
+  { brand: "Napolina", name: "Fusilli", ingredient: "pasta", quantity: "500g" },
+  { brand: "Napolina", name: "Olive Oil", ingredient: "olive oil" },
+  { brand: "Mutti", name: "Passata", ingredient: "passata", quantity: "700g" },
+  { brand: "Mutti", name: "Polpa", ingredient: "tomatoes", quantity: "400g" },
+  { brand: "Mutti", name: "Tomato Paste", ingredient: "tomato puree" },
+  { brand: "Cirio", name: "Chopped Tomatoes", ingredient: "tomatoes", quantity: "400g" },
+  { brand: "Princes", name: "Tuna Chunks", ingredient: "tuna", quantity: "145g" },
+  { brand: "Princes", name: "Mackerel Fillets", ingredient: "mackerel", quantity: "125g" },
+  { brand: "Princes", name: "Red Kidney Beans", ingredient: "kidney beans", quantity: "400g" },
+  { brand: "John West", name: "Tuna", ingredient: "tuna", quantity: "145g" },
+  { brand: "John West", name: "Sardines", ingredient: "sardines", quantity: "120g" },
+  { brand: "John West", name: "Mackerel", ingredient: "mackerel", quantity: "125g" },
+  { brand: "John West", name: "Salmon", ingredient: "salmon", quantity: "213g" },
+  { brand: "Green Giant", name: "Sweetcorn", ingredient: "sweetcorn", quantity: "198g" },
+  { brand: "KTC", name: "Coconut Milk", ingredient: "coconut milk", quantity: "400ml" },
+  { brand: "KTC", name: "Chick Peas", ingredient: "chickpeas", quantity: "400g" },
+  { brand: "KTC", name: "Vegetable Oil", ingredient: "vegetable oil" },
+  { brand: "Blue Dragon", name: "Coconut Milk", ingredient: "coconut milk", quantity: "400ml" },
+  { brand: "Blue Dragon", name: "Egg Noodles", ingredient: "egg noodles", quantity: "300g" },
+  { brand: "Blue Dragon", name: "Rice Noodles", ingredient: "rice noodles" },
+  { brand: "Blue Dragon", name: "Soy Sauce", ingredient: "soy sauce" },
+  { brand: "Sharwood's", name: "Coconut Milk", ingredient: "coconut milk", quantity: "400ml" },
+  { brand: "Sharwood's", name: "Egg Noodles", ingredient: "egg noodles" },
+  { brand: "Amoy", name: "Soy Sauce", ingredient: "soy sauce" },
+  { brand: "Amoy", name: "Egg Noodles", ingredient: "egg noodles" },
+  { brand: "Amoy", name: "Straight to Wok Noodles", ingredient: "noodles", quantity: "300g" },
+  { brand: "Kikkoman", ingredient: "soy sauce" },
+  { brand: "Gino", name: "Tomato Paste", ingredient: "tomato puree", quantity: "210g" },
+  { brand: "Gino", ingredient: "tomato puree" },
+  { brand: "Tasty Tom", ingredient: "tomato puree" },
+  { brand: "Titus", name: "Sardines", ingredient: "sardines", quantity: "125g" },
+  { brand: "Peak", name: "Evaporated Milk", ingredient: "milk", quantity: "410g" },
+  { brand: "Peak", name: "Milk Powder", ingredient: "milk" },
+  { brand: "Dano", name: "Milk", ingredient: "milk" },
+  { brand: "Hellmann's", ingredient: "mayonnaise" },
+  { brand: "Sun-Pat", ingredient: "peanut butter" },
+  { brand: "Whole Earth", name: "Peanut Butter", ingredient: "peanut butter" },
+  { brand: "Filippo Berio", ingredient: "olive oil" },
+
+  /* ---- dry goods ---- */
+  { brand: "Tilda", ingredient: "rice" },
+  { brand: "Ben's Original", name: "Long Grain Rice", ingredient: "rice" },
+  { brand: "Ben's Original", name: "Basmati", ingredient: "rice" },
+  { brand: "Uncle Ben's", name: "Rice", ingredient: "rice" },
+  { brand: "Quaker", ingredient: "oats" },
+  {
+    code: "8076800195057",
+    brand: "Barilla",
+    name: "Spaghetti",
+    ingredient: "spaghetti",
+    quantity: "500g",
+  },
+  { code: "8076802085738", brand: "Barilla", name: "Penne", ingredient: "pasta", quantity: "500g" },
+  { brand: "Barilla", name: "Fusilli", ingredient: "pasta", quantity: "500g" },
+  { brand: "De Cecco", ingredient: "pasta" },
+  { brand: "Golden Penny", name: "Spaghetti", ingredient: "spaghetti", quantity: "500g" },
+  { brand: "Indomie", ingredient: "noodles" },
+  { brand: "Allinson", ingredient: "flour" },
+  { brand: "McDougalls", ingredient: "flour" },
+  { brand: "Silver Spoon", ingredient: "sugar" },
+  { brand: "Tate & Lyle", name: "Sugar", ingredient: "sugar" },
+  { brand: "Oxo", ingredient: "stock cube" },
+  { brand: "Knorr", name: "Stock Cubes", ingredient: "stock cube" },
+  { brand: "Knorr", name: "Stock Pot", ingredient: "stock cube" },
+  { brand: "Maggi", ingredient: "maggi seasoning" },
+  { brand: "Old El Paso", name: "Tortillas", ingredient: "tortilla" },
+  { brand: "Old El Paso", name: "Wraps", ingredient: "wrap" },
+  { brand: "Mission", name: "Wraps", ingredient: "wrap" },
+  { brand: "Warburtons", ingredient: "bread" },
+  { brand: "Hovis", ingredient: "bread" },
+  { brand: "Schwartz", name: "Paprika", ingredient: "paprika" },
+  { brand: "Schwartz", name: "Cumin", ingredient: "cumin" },
+  { brand: "Schwartz", name: "Turmeric", ingredient: "turmeric" },
+  { brand: "Schwartz", name: "Garam Masala", ingredient: "garam masala" },
+  { brand: "Schwartz", name: "Chilli Powder", ingredient: "chilli powder" },
+  { brand: "Schwartz", name: "Mixed Herbs", ingredient: "mixed dried herbs" },
+  { brand: "Schwartz", name: "Oregano", ingredient: "oregano" },
+  { brand: "Schwartz", name: "Cinnamon", ingredient: "cinnamon" },
+
+  /* ---- chilled ---- */
+  { brand: "Cathedral City", ingredient: "cheddar" },
+  { brand: "Pilgrims Choice", ingredient: "cheddar" },
+  { brand: "Lurpak", ingredient: "butter" },
+  { brand: "Kerrygold", name: "Butter", ingredient: "butter" },
+  { brand: "Anchor", name: "Butter", ingredient: "butter" },
+  { brand: "Yeo Valley", name: "Yogurt", ingredient: "yogurt" },
+  { brand: "Oatly", ingredient: "oat milk" },
+  { brand: "Alpro", name: "Oat", ingredient: "oat milk" },
+  { brand: "Alpro", name: "Almond", ingredient: "almond milk" },
+  { brand: "Cauldron", name: "Tofu", ingredient: "tofu" },
+];
@@ -0,0 +1,923 @@
+// /data/recipes.js
+// Bundled savoury dinner corpus for offline / no-key deployments.
+// Each template is expanded over its slot options (see lib/local-recipes.js), e.g.
+// "coconut-curry" x 5 proteins x 5 veg = 25 concrete recipes.
+//
+// Ingredient tuple: [name, amount, unit, note?]; amounts are for `servings`.
+// Slot option: { label, ing, word?, prep? } -- `ing` may be one tuple or a list of them;
+// `prep` becomes its own step when set.
+// Step strings can use {slot} (lowercase ingredient word) and {slot.prep}, and
+// {slot?eggs,prawns:text} / {slot?!eggs:text} for text that only applies when the
+// slot's word is (or isn't) one of those; a step left empty is dropped.
+// Slot `p` is the main ingredient: the local scorer marks down recipes whose `p`
+// the pantry doesn't have.
+// Optional per template: `cuisine` (a data/cuisines.js key; otherwise the
+// classifier guesses) and `meals` (prefs.mealType values, default lunch + dinner).
+
+/* ----------------------- Shared slot options ----------------------- */
+const P = {
+  chickpeas: { label: "Chickpea", ing: ["chickpeas", 400, "g", "tinned, drained"] },
+  lentils: { label: "Red Lentil", ing: ["lentils", 200, "g", "red, rinsed"], word: "lentils" },
+  kidneyBeans: { label: "Kidney Bean", ing: ["kidney beans", 400, "g", "tinned, drained"] },
+  blackBeans: { label: "Black Bean", ing: ["black beans", 400, "g", "tinned, drained"] },
+  butterBeans: { label: "Butter Bean", ing: ["butter beans", 400, "g", "tinned, drained"] },
+  chicken: {
+    label: "Chicken",
+    ing: ["chicken", 500, "g", "diced"],
+    prep: "Brown the chicken in a little oil for 5–6 min, then set aside.",
+  },
+  beef: {
+    label: "Beef",
+    ing: ["beef", 400, "g", "thinly sliced"],
+    prep: "Sear the beef in a very hot pan for 2 min, then set aside.",
+  },
+  mince: {
+    label: "Beef",
+    ing: ["beef mince", 500, "g"],
+    word: "mince",
+    prep: "Brown the mince in a dry pan for 6–8 min, breaking it up.",
+  },
+  lambMince: {
+    label: "Lamb",
+    ing: ["lamb mince", 500, "g"],
+    word: "mince",
+    prep: "Brown the mince in a dry pan for 6–8 min, breaking it up.",
+  },
+  pork: {
+    label: "Pork",
+    ing: ["pork", 450, "g", "strips"],
+    prep: "Fry the pork in a little oil for 5 min until golden, then set aside.",
+  },
+  sausage: {
+    label: "Sausage",
+    ing: ["sausage", 6, "", "thickly sliced"],
+    word: "sausages",
+    prep: "Fry the sausage pieces for 6–8 min until browned, then set aside.",
+  },
+  prawns: { label: "Prawn", ing: ["prawns", 300, "g", "raw, peeled"] },
+  salmon: { label: "Salmon", ing: ["salmon", 4, "", "fillets"] },
+  tuna: { label: "Tuna", ing: ["tuna", 2, "tin", "drained"] },
+  egg: { label: "Egg", ing: ["egg", 4, ""], word: "eggs" },
+  halloumi: {
+    label: "Halloumi",
+    ing: ["halloumi", 225, "g", "sliced"],
+    prep: "Fry the halloumi slices for 1–2 min each side until golden.",
+  },
+  tofu: {
+    label: "Tofu",
+    ing: ["tofu", 400, "g", "firm, cubed"],
+    prep: "Pat the tofu dry and fry for 6–8 min until crisp, then set aside.",
+  },
+  paneer: {
+    label: "Paneer",
+    ing: ["paneer", 225, "g", "cubed"],
+    prep: "Fry the paneer cubes for 3–4 min until golden, then set aside.",
+  },
+  feta: { label: "Feta", ing: ["feta", 200, "g", "crumbled"] },
+};
+
+const V = {
+  spinach: { label: "Spinach", ing: ["spinach", 200, "g"] },
+  squash: { label: "Squash", ing: ["butternut squash", 500, "g", "peeled, cubed"], word: "squash" },
+  courgette: { label: "Courgette", ing: ["courgette", 2, "", "sliced"] },
+  sweetPotato: { label: "Sweet Potato", ing: ["sweet potato", 2, "", "cubed"] },
+  cauliflower: { label: "Cauliflower", ing: ["cauliflower", 1, "", "small, in florets"] },
+  broccoli: { label: "Broccoli", ing: ["broccoli", 1, "", "head, in florets"] },
+  pepper: { label: "Pepper", ing: ["bell pepper", 2, "", "sliced"], word: "peppers" },
+  cabbage: { label: "Cabbage", ing: ["cabbage", 0.25, "", "shredded"] },
+  carrot: { label: "Carrot", ing: ["carrot", 3, "", "diced"], word: "carrots" },
+  mushroom: { label: "Mushroom", ing: ["mushroom", 250, "g", "sliced"], word: "mushrooms" },
+  potato: { label: "Potato", ing: ["potato", 600, "g", "cubed"], word: "potatoes" },
+  peas: { label: "Pea", ing: ["peas", 200, "g", "frozen"] },
+  kale: { label: "Kale", ing: ["kale", 150, "g", "shredded"] },
+  aubergine: { label: "Aubergine", ing: ["aubergine", 1, "", "cubed"] },
+  tomato: { label: "Tomato", ing: ["tomatoes", 400, "g", "tinned, chopped"], word: "tomatoes" },
+  leek: { label: "Leek", ing: ["leek", 2, "", "sliced"], word: "leeks" },
+  greenBeans: { label: "Green Bean", ing: ["green beans", 200, "g", "trimmed"] },
+  sweetcorn: { label: "Sweetcorn", ing: ["sweetcorn", 200, "g"] },
+};
+
+const LEMON = { label: "Lemon", ing: ["lemon", 1, "", "zest and juice"] };
+const CHERRY_TOMATO = { label: "Cherry Tomato", ing: ["cherry tomatoes", 250, "g", "halved"], word: "tomatoes" };
+
+/* ----------------------- Templates ----------------------- */
+export const RECIPE_TEMPLATES = [
+  {
+    key: "coconut-curry",
+    cuisine: "indian",
+    title: "{p} & {v} Coconut Curry",
+    time: 30,
+    energy: "hob",
+    servings: 4,
+    slots: {
+      p: [P.chickpeas, P.chicken, P.lentils, P.kidneyBeans, P.prawns],
+      v: [V.spinach, V.squash, V.courgette, V.sweetPotato, V.cauliflower],
+    },
+    ingredients: [
+      "{p}",
+      "{v}",
+      ["coconut milk", 400, "ml", "tinned"],
+      ["onion", 1, "", "chopped"],
+      ["garlic", 3, "clove", "crushed"],
+      ["ginger", 1, "tbsp", "grated"],
+      ["curry powder", 2, "tbsp"],
+      ["tomatoes", 200, "g", "tinned, chopped"],
+      ["rice", 300, "g", "to serve"],
+    ],
+    steps: [
+      "{p.prep}",
+      "Soften the onion in a little oil for 5 min, then add the garlic, ginger and curry powder and cook for 1 min.",
+      "Stir in the tomatoes, coconut milk and {v}; simmer for 12–15 min until the veg is tender.",
+      "Add the {p} and simmer for 5 more min until {p?chicken,prawns:cooked}{p?!chicken,prawns:hot} through.",
+      "Season and serve with the rice.",
+    ],
+  },
+  {
+    key: "stir-fry",
+    cuisine: "chinese",
+    title: "{p} & {v} Stir-Fry",
+    time: 20,
+    energy: "hob",
+    servings: 4,
+    slots: {
+      p: [P.chicken, P.beef, P.prawns, P.tofu, P.pork],
+      v: [V.broccoli, V.pepper, V.cabbage, V.carrot, V.mushroom],
+    },
+    ingredients: [
+      "{p}",
+      "{v}",
+      ["spring onion", 4, "", "sliced"],
+      ["garlic", 2, "clove", "crushed"],
+      ["ginger", 1, "tbsp", "grated"],
+      ["soy sauce", 3, "tbsp"],
+      ["egg noodles", 250, "g"],
+    ],
+    steps: [
+      "{p.prep}",
+      "Cook the noodles according to the pack, then drain.",
+      "Stir-fry the {v} in a hot wok with a little oil for 3–4 min.",
+      "Add the garlic, ginger and spring onion for 1 min, then the {p} and soy sauce.",
+      "Toss through the noodles until everything is glossy and hot.",
+    ],
+  },
+  {
+    key: "fried-rice",
+    cuisine: "chinese",
+    title: "{p} & {v} Fried Rice",
+    time: 20,
+    energy: "hob",
+    servings: 3,
+    slots: {
+      p: [P.egg, P.chicken, P.prawns, P.tofu],
+      v: [V.peas, V.carrot, V.pepper, V.sweetcorn],
+    },
+    ingredients: [
+      "{p}",
+      "{v}",
+      ["rice", 250, "g", "cooked and cooled"],
+      ["spring onion", 3, "", "sliced"],
+      ["garlic", 2, "clove", "crushed"],
+      ["soy sauce", 2, "tbsp"],
+    ],
+    steps: [
+      "{p.prep}",
+      "Fry the {v} and garlic in a hot wok with oil for 3 min.",
+      "Add the rice and stir-fry for 4–5 min until it starts to crisp.",
+      "Push the rice aside, add the {p} and cook through, then toss everything together.",
+      "Season with soy sauce and scatter over the spring onion.",
+    ],
+  },
+  {
+    key: "jollof",
+    cuisine: "nigerian",
+    title: "{p} & {v} Jollof Rice",
+    time: 45,
+    energy: "hob",
+    servings: 4,
+    slots: {
+      p: [P.chicken, P.beef, P.prawns, P.egg, { label: "Veggie", ing: ["carrot", 2, "", "diced"], word: "carrots" }],
+      v: [V.pepper, V.peas],
+    },
+    ingredients: [
+      "{p}",
+      "{v}",
+      ["rice", 350, "g", "long grain"],
+      ["tomatoes", 400, "g", "tinned, chopped"],
+      ["tomato puree", 2, "tbsp"],
+      ["onion", 2, "", "chopped"],
+      ["scotch bonnet", 1, "", "optional"],
+      ["stock cube", 1, ""],
+      ["curry powder", 1, "tsp"],
+      ["mixed dried herbs", 1, "tsp"],
+    ],
+    steps: [
+      "{p.prep}",
+      "Blend the tomatoes, one onion and the scotch bonnet until smooth.",
+      "Fry the other onion for 5 min, add the tomato puree and cook for 2 min, then add the blended sauce and fry for 10 min until reduced.",
+      "Stir in the rice, crumbled stock cube, curry powder, herbs and 500 ml water; cover tightly and cook on low for 20 min.",
+      "Fold in the {p} and {v}, cover and steam for 5 min more.",
+    ],
+  },
+  {
+    key: "chilli",
+    cuisine: "mexican",
+    title: "{p} & {v} Chilli",
+    time: 40,
+    energy: "hob",
+    servings: 4,
+    slots: {
+      p: [P.mince, P.kidneyBeans, P.lentils, P.blackBeans],
+      v: [V.pepper, V.sweetPotato, V.courgette, V.sweetcorn],
+    },
+    ingredients: [
+      "{p}",
+      "{v}",
+      ["onion", 1, "", "chopped"],
+      ["garlic", 2, "clove", "crushed"],
+      ["tomatoes", 400, "g", "tinned, chopped"],
+      ["cumin", 1, "tsp"],
+      ["chilli powder", 1, "tsp"],
+      ["rice", 300, "g", "to serve"],
+    ],
+    steps: [
+      "{p.prep}",
+      "Soften the onion and garlic in oil for 5 min, then stir in the cumin and chilli powder.",
+      "Add the {v}, tomatoes and a splash of water; simmer for 20 min.",
+      "Stir in the {p} and simmer for 10 min until thick.",
+      "Serve with rice.",
+    ],
+  },
+  {
+    key: "tomato-pasta",
+    cuisine: "italian",
+    title: "{p} & {v} Tomato Pasta",
+    time: 20,
+    energy: "hob",
+    servings: 4,
+    slots: {
+      p: [P.chicken, P.tuna, P.prawns, P.sausage, P.chickpeas],
+      v: [V.spinach, V.courgette, V.mushroom, V.pepper],
+    },
+    ingredients: [
+      "{p}",
+      "{v}",
+      ["pasta", 350, "g"],
+      ["tomatoes", 400, "g", "tinned, chopped"],
+      ["onion", 1, "", "chopped"],
+      ["garlic", 2, "clove", "crushed"],
+      ["mixed dried herbs", 1, "tsp"],
+      ["cheese", 40, "g", "grated, to serve"],
+    ],
+    steps: [
+      "{p.prep}",
+      "Cook the pasta according to the pack.",
+      "Meanwhile fry the onion, garlic and {v} for 5 min, then add the tomatoes and herbs and simmer for 8 min.",
+      "Stir in the {p} and heat through.",
+      "Toss with the drained pasta and top with cheese.",
+    ],
+  },
+  {
+    key: "pasta-bake",
+    cuisine: "italian",
+    meals: ["dinner"],
+    title: "{p} & {v} Pasta Bake",
+    time: 40,
+    energy: "oven",
+    servings: 4,
+    slots: {
+      p: [P.chicken, P.tuna, P.sausage, P.lentils],
+      v: [V.broccoli, V.pepper, V.mushroom, V.sweetcorn],
+    },
+    ingredients: [
+      "{p}",
+      "{v}",
+      ["pasta", 350, "g"],
+      ["tomatoes", 400, "g", "tinned, chopped"],
+      ["onion", 1, "", "chopped"],
+      ["garlic", 2, "clove", "crushed"],
+      ["cheddar", 100, "g", "grated"],
+    ],
+    steps: [
+      "Heat the oven to 200°C (180°C fan).",
+      "{p.prep}",
+      "Boil the pasta for 2 min less than the pack says, adding the {v} for the last 2 min, then drain.",
+      "Fry the onion and garlic for 5 min, add the tomatoes and simmer for 5 min.",
+      "Mix the pasta, sauce and {p} in a baking dish, top with cheddar and bake for 20 min until bubbling.",
+    ],
+  },
+  {
+    key: "traybake",
+    meals: ["dinner"],
+    title: "{p} & {v} Traybake",
+    time: 45,
+    energy: "oven",
+    servings: 4,
+    slots: {
+      p: [P.chicken, P.sausage, P.salmon, P.halloumi, P.chickpeas],
+      v: [V.potato, V.squash, V.pepper, V.sweetPotato],
+    },
+    ingredients: [
+      "{p}",
+      "{v}",
+      ["red onion", 2, "", "wedges"],
+      ["olive oil", 2, "tbsp"],
+      ["mixed dried herbs", 2, "tsp"],
+      ["garlic", 4, "clove", "whole"],
+      ["lemon", 1, ""],
+    ],
+    steps: [
+      "Heat the oven to 220°C (200°C fan).",
+      "Toss the {v}, onion and garlic with the oil and herbs on a large tray; roast for 20 min.",
+      "Add the {p} to the tray and roast for 15–20 min more until everything is golden and cooked through.",
+      "Squeeze over the lemon before serving.",
+    ],
+  },
+  {
+    key: "soup",
+    title: "{v} & {p} Soup",
+    time: 30,
+    energy: "hob",
+    servings: 4,
+    slots: {
+      v: [V.carrot, V.squash, V.sweetPotato, V.tomato, V.cauliflower, V.leek],
+      p: [P.lentils, P.chickpeas, P.butterBeans],
+    },
+    ingredients: [
+      "{v}",
+      "{p}",
+      ["onion", 1, "", "chopped"],
+      ["garlic", 2, "clove", "crushed"],
+      ["stock cube", 1, ""],
+      ["cumin", 1, "tsp"],
+      ["bread", 4, "slice", "to serve"],
+    ],
+    steps: [
+      "Soften the onion and garlic in oil for 5 min, then add the cumin.",
+      "Add the {v}, {p}, crumbled stock cube and 1 litre of water.",
+      "Simmer for 20 min until everything is soft.",
+      "Blend until smooth (or leave chunky), season and serve with bread.",
+    ],
+  },
+  {
+    key: "risotto",
+    cuisine: "italian",
+    title: "{p} & {v} Risotto",
+    time: 35,
+    energy: "hob",
+    servings: 4,
+    slots: {
+      v: [V.mushroom, V.squash, V.peas, V.spinach, V.leek],
+      p: [P.chicken, P.prawns, LEMON],
+    },
+    ingredients: [
+      "{v}",
+      "{p}",
+      ["risotto rice", 300, "g"],
+      ["onion", 1, "", "finely chopped"],
+      ["garlic", 2, "clove", "crushed"],
+      ["stock cube", 2, ""],
+      ["butter", 25, "g"],
+      ["cheese", 40, "g", "grated"],
+    ],
+    steps: [
+      "{p.prep}",
+      "Dissolve the stock cubes in 1.2 litres of hot water.",
+      "Soften the onion and garlic in the butter, add the rice and stir for 1 min.",
+      "Add the stock a ladle at a time, stirring, for 18–20 min; add the {v} halfway through.",
+      "Stir in the cheese and the {p}, season and rest for 2 min.",
+    ],
+  },
+  {
+    key: "fajitas",
+    cuisine: "mexican",
+    title: "{p} & {v} Fajitas",
+    time: 20,
+    energy: "hob",
+    servings: 4,
+    slots: {
+      p: [P.chicken, P.beef, P.prawns, P.halloumi, P.blackBeans],
+      v: [V.pepper, V.courgette, V.mushroom],
+    },
+    ingredients: [
+      "{p}",
+      "{v}",
+      ["onion", 1, "", "sliced"],
+      ["tortilla", 8, ""],
+      ["paprika", 1, "tsp"],
+      ["cumin", 1, "tsp"],
+      ["lime", 1, ""],
+      ["yogurt", 100, "g", "to serve"],
+    ],
+    steps: [
+      "{p.prep}",
+      "Fry the onion and {v} over a high heat for 6–8 min until charred at the edges.",
+      "Add the {p}, paprika and cumin and toss for 2 min; squeeze over the lime.",
+      "Warm the tortillas and fill with the mix and a spoon of yogurt.",
+    ],
+  },
+  {
+    key: "quesadillas",
+    cuisine: "mexican",
+    title: "{p} & {v} Quesadillas",
+    time: 15,
+    energy: "hob",
+    servings: 2,
+    slots: {
+      p: [P.chicken, P.blackBeans, P.kidneyBeans, P.tuna],
+      v: [V.sweetcorn, V.pepper, V.spinach],
+    },
+    ingredients: [
+      "{p}",
+      "{v}",
+      ["tortilla", 4, ""],
+      ["cheddar", 120, "g", "grated"],
+      ["spring onion", 2, "", "sliced"],
+    ],
+    steps: [
+      "{p.prep}",
+      "Scatter cheddar, {p}, {v} and spring onion over half of each tortilla and fold.",
+      "Dry-fry for 2–3 min each side until crisp and the cheese has melted.",
+      "Cut into wedges to serve.",
+    ],
+  },
+  {
+    key: "noodle-soup",
+    title: "{p} & {v} Noodle Soup",
+    time: 20,
+    energy: "hob",
+    servings: 2,
+    slots: {
+      p: [P.chicken, P.prawns, P.tofu, P.egg],
+      v: [V.spinach, V.mushroom, V.carrot, V.cabbage],
+    },
+    ingredients: [
+      "{p}",
+      "{v}",
+      ["egg noodles", 150, "g"],
+      ["stock cube", 1, ""],
+      ["ginger", 1, "tbsp", "sliced"],
+      ["garlic", 2, "clove", "sliced"],
+      ["soy sauce", 2, "tbsp"],
+      ["spring onion", 2, "", "sliced"],
+    ],
+    steps: [
+      "{p.prep}",
+      "Simmer 800 ml water with the stock cube, ginger and garlic for 5 min.",
+      "Add the {v} and noodles and cook for 4 min.",
+      "{p?eggs:Soft-boil the eggs in a separate pan for 6–7 min, then peel and halve them.}",
+      "{p?prawns:Add the prawns and simmer for 3 min until pink.}{p?chicken,tofu:Add the {p} and heat through.}",
+      "Season with soy sauce and serve topped with spring onion{p?eggs: and the eggs}.",
+    ],
+  },
+  {
+    key: "dal",
+    cuisine: "indian",
+    title: "{v} Dal",
+    time: 35,
+    energy: "hob",
+    servings: 4,
+    slots: {
+      v: [V.spinach, V.sweetPotato, V.squash, V.tomato, V.cauliflower, V.kale, V.carrot],
+    },
+    ingredients: [
+      "{v}",
+      ["lentils", 250, "g", "red, rinsed"],
+      ["onion", 1, "", "chopped"],
+      ["garlic", 3, "clove", "crushed"],
+      ["ginger", 1, "tbsp", "grated"],
+      ["turmeric", 1, "tsp"],
+      ["cumin", 1, "tsp"],
+      ["garam masala", 1, "tsp"],
+      ["rice", 300, "g", "to serve"],
+    ],
+    steps: [
+      "Simmer the lentils in 900 ml water with the turmeric for 20 min, stirring now and then.",
+      "Meanwhile fry the onion for 6 min, then add the garlic, ginger, cumin and garam masala for 1 min.",
+      "Stir the spiced onions and {v} into the lentils and cook for 8 min more.",
+      "Season and serve with rice.",
+    ],
+  },
+  {
+    key: "stew",
+    title: "{p} & {v} Stew",
+    time: 60,
+    energy: "hob",
+    servings: 4,
+    slots: {
+      p: [P.beef, P.chicken, P.chickpeas, P.butterBeans],
+      v: [V.potato, V.carrot, V.sweetPotato],
+    },
+    ingredients: [
+      "{p}",
+      "{v}",
+      ["onion", 1, "", "chopped"],
+      ["garlic", 2, "clove", "crushed"],
+      ["tomato puree", 2, "tbsp"],
+      ["stock cube", 1, ""],
+      ["mixed dried herbs", 1, "tsp"],
+      ["flour", 1, "tbsp"],
+    ],
+    steps: [
+      "{p.prep}",
+      "Soften the onion and garlic for 5 min, stir in the flour and tomato puree for 1 min.",
+      "Add the {v}, crumbled stock cube, herbs and 600 ml water.",
+      "Return the {p} to the pan, cover and simmer for 40 min until tender.",
+    ],
+  },
+  {
+    key: "air-fryer",
+    title: "Air Fryer {p} with {v}",
+    time: 25,
+    energy: "air fryer",
+    servings: 2,
+    slots: {
+      p: [P.chicken, P.salmon, P.halloumi, P.tofu],
+      v: [V.potato, V.broccoli, V.courgette, V.sweetPotato],
+    },
+    ingredients: [
+      "{p}",
+      "{v}",
+      ["olive oil", 1, "tbsp"],
+      ["paprika", 1, "tsp"],
+      ["garlic", 1, "clove", "crushed"],
+      ["lemon", 0.5, ""],
+    ],
+    steps: [
+      "Toss the {v} with half the oil and paprika; air fry at 200°C for 10 min.",
+      "Rub the {p} with the rest of the oil, paprika and garlic.",
+      "Add to the basket and air fry for 10–12 min more, shaking halfway, until cooked through.",
+      "Finish with a squeeze of lemon.",
+    ],
+  },
+  {
+    key: "jacket-potato",
+    cuisine: "british",
+    title: "Jacket Potatoes with {t}",
+    time: 60,
+    energy: "oven",
+    servings: 2,
+    slots: {
+      t: [
+        {
+          label: "Tuna & Sweetcorn",
+          ing: [
+            ["tuna", 1, "tin", "drained"],
+            ["sweetcorn", 100, "g"],
+            ["mayonnaise", 2, "tbsp"],
+          ],
+          word: "tuna",
+        },
+        { label: "Cheesy Beans", ing: ["baked beans", 400, "g"], word: "beans" },
+        { label: "Chilli Beans", ing: ["kidney beans", 400, "g", "tinned"], word: "beans" },
+        {
+          label: "Cheese & Coleslaw",
+          ing: [
+            ["cabbage", 0.25, "", "shredded"],
+            ["carrot", 1, "", "grated"],
+            ["mayonnaise", 2, "tbsp"],
+          ],
+          word: "slaw",
+        },
+      ],
+    },
+    ingredients: [
+      ["potato", 2, "", "large baking"],
+      "{t}",
+      ["cheddar", 60, "g", "grated"],
+      ["butter", 15, "g"],
+    ],
+    steps: [
+      "Heat the oven to 200°C (180°C fan). Prick the potatoes and bake for 55–60 min until crisp.",
+      "Warm or mix the {t} filling while the potatoes finish.",
+      "Split the potatoes, add butter, pile in the filling and top with cheddar.",
+    ],
+  },
+  {
+    key: "couscous",
+    cuisine: "moroccan",
+    title: "{p} Couscous with {v}",
+    time: 20,
+    energy: "hob",
+    servings: 2,
+    slots: {
+      p: [P.chickpeas, P.chicken, P.halloumi, P.feta],
+      v: [V.courgette, V.pepper, V.squash],
+    },
+    ingredients: [
+      "{p}",
+      "{v}",
+      ["couscous", 150, "g"],
+      ["stock cube", 1, ""],
+      ["lemon", 1, ""],
+      ["red onion", 1, "", "chopped"],
+      ["cumin", 1, "tsp"],
+    ],
+    steps: [
+      "{p.prep}",
+      "Pour 200 ml boiling stock over the couscous, cover and leave for 5 min.",
+      "Fry the {v} and onion with the cumin for 8 min until soft and charred.",
+      "Fluff the couscous, fold in the veg, the {p} and lemon juice.",
+    ],
+  },
+  {
+    key: "biryani",
+    cuisine: "indian",
+    meals: ["dinner"],
+    title: "{p} & {v} Biryani",
+    time: 45,
+    energy: "hob",
+    servings: 4,
+    slots: {
+      p: [P.chicken, P.egg, P.paneer, P.chickpeas],
+      v: [V.peas, V.cauliflower, V.potato],
+    },
+    ingredients: [
+      "{p}",
+      "{v}",
+      ["rice", 300, "g", "basmati"],
+      ["onion", 2, "", "sliced"],
+      ["garlic", 2, "clove", "crushed"],
+      ["ginger", 1, "tbsp", "grated"],
+      ["garam masala", 2, "tsp"],
+      ["yogurt", 100, "g"],
+      ["stock cube", 1, ""],
+    ],
+    steps: [
+      "{p.prep}",
+      "Fry the onions for 10 min until deep golden; add garlic, ginger and garam masala for 1 min.",
+      "Stir in the rice, {v}, yogurt, crumbled stock cube and 600 ml water.",
+      "Cover and cook on low for 15 min, then fold in the {p}, cover and rest for 5 min.",
+    ],
+  },
+  {
+    key: "frittata",
+    cuisine: "italian",
+    meals: ["breakfast", "lunch", "dinner"],
+    title: "{v} & {c} Frittata",
+    time: 25,
+    energy: "hob",
+    servings: 2,
+    slots: {
+      v: [V.potato, V.spinach, V.mushroom, V.courgette, V.broccoli, V.pepper],
+      c: [
+        { label: "Cheddar", ing: ["cheddar", 60, "g", "grated"] },
+        { label: "Feta", ing: ["feta", 100, "g", "crumbled"] },
+      ],
+    },
+    ingredients: [["egg", 6, ""], "{v}", "{c}", ["onion", 1, "", "sliced"], ["olive oil", 1, "tbsp"]],
+    steps: [
+      "Fry the onion and {v} in the oil in an ovenproof pan for 8–10 min until tender.",
+      "Beat the eggs with seasoning and pour over the veg; scatter with the {c}.",
+      "Cook on a low heat for 8 min until almost set, then finish under a hot grill for 2–3 min.",
+    ],
+  },
+  {
+    key: "shakshuka",
+    cuisine: "middle eastern",
+    meals: ["breakfast", "lunch", "dinner"],
+    title: "{v} Shakshuka",
+    time: 25,
+    energy: "hob",
+    servings: 2,
+    slots: {
+      v: [V.pepper, V.spinach, V.courgette, V.aubergine, V.kale],
+    },
+    ingredients: [
+      "{v}",
+      ["egg", 4, ""],
+      ["tomatoes", 400, "g", "tinned, chopped"],
+      ["onion", 1, "", "sliced"],
+      ["garlic", 2, "clove", "crushed"],
+      ["cumin", 1, "tsp"],
+      ["paprika", 1, "tsp"],
+      ["bread", 4, "slice", "to serve"],
+    ],
+    steps: [
+      "Fry the onion and {v} for 8 min, then add the garlic, cumin and paprika for 1 min.",
+      "Add the tomatoes and simmer for 8 min until thick.",
+      "Make 4 hollows, crack in the eggs, cover and cook for 5–7 min until the whites set.",
+      "Serve with bread.",
+    ],
+  },
+  {
+    key: "egg-stew",
+    cuisine: "nigerian",
+    meals: ["breakfast", "lunch", "dinner"],
+    title: "Nigerian-Style {p} Pepper Stew",
+    time: 40,
+    energy: "hob",
+    servings: 4,
+    slots: {
+      p: [P.egg, P.chicken, P.beef, { label: "Fish", ing: ["fish", 4, "", "white fillets"], word: "fish" }],
+    },
+    ingredients: [
+      "{p}",
+      ["tomatoes", 400, "g", "tinned"],
+      ["bell pepper", 2, "", "red"],
+      ["scotch bonnet", 1, ""],
+      ["onion", 2, ""],
+      ["stock cube", 1, ""],
+      ["curry powder", 1, "tsp"],
+      ["rice", 300, "g", "to serve"],
+    ],
+    steps: [
+      "{p.prep}",
+      "Blend the tomatoes, peppers, scotch bonnet and one onion.",
+      "Fry the other onion, sliced, in oil for 5 min; add the blend and fry for 20 min, stirring, until the oil rises.",
+      "{p?eggs:Hard-boil the eggs for 9 min, then peel them.}",
+      "Add the stock cube, curry powder and {p} and simmer for 10 min.",
+      "Serve with rice.",
+    ],
+  },
+  {
+    key: "pesto-pasta",
+    cuisine: "italian",
+    title: "{p} & {v} Pesto Pasta",
+    time: 15,
+    energy: "hob",
+    servings: 2,
+    slots: {
+      p: [P.chicken, P.prawns, CHERRY_TOMATO],
+      v: [V.broccoli, V.courgette, V.spinach, V.greenBeans],
+    },
+    ingredients: ["{p}", "{v}", ["pasta", 200, "g"], ["pesto", 4, "tbsp"], ["lemon", 0.5, ""]],
+    steps: [
+      "{p.prep}",
+      "Cook the pasta, adding the {v} for the last 3 min.",
+      "Drain, keeping a splash of water, and toss with the pesto, lemon juice and the {p}.",
+    ],
+  },
+  {
+    key: "hash",
+    meals: ["breakfast", "lunch", "dinner"],
+    title: "{p} & {v} Hash",
+    time: 25,
+    energy: "hob",
+    servings: 2,
+    slots: {
+      p: [
+        P.sausage,
+        P.egg,
+        P.chickpeas,
+        {
+          label: "Bacon",
+          ing: ["bacon", 4, "rasher", "chopped"],
+          word: "bacon",
+          prep: "Fry the bacon until crisp, then set aside.",
+        },
+      ],
+      v: [V.potato, V.sweetPotato, V.cabbage],
+    },
+    ingredients: ["{p}", "{v}", ["onion", 1, "", "chopped"], ["paprika", 1, "tsp"], ["olive oil", 1, "tbsp"]],
+    steps: [
+      "{p.prep}",
+      "{v?!cabbage:Par-boil the {v} for 5 min and drain well.}",
+      "Fry the {v} with the onion and paprika in the oil for 12–15 min until crisp, turning only occasionally.",
+      "{p?eggs:Make four dips in the hash, crack in the eggs, cover and cook for 4–5 min until the whites set.}{p?!eggs:Add the {p} and cook until hot through.}",
+    ],
+  },
+  {
+    key: "cottage-pie",
+    cuisine: "british",
+    meals: ["dinner"],
+    title: "{p} {t}",
+    time: 60,
+    energy: "oven",
+    servings: 4,
+    slots: {
+      p: [P.mince, P.lambMince, P.lentils],
+      t: [
+        { label: "Cottage Pie", ing: ["potato", 900, "g", "peeled"], word: "potatoes" },
+        { label: "Pie with Sweet Potato Mash", ing: ["sweet potato", 900, "g", "peeled"], word: "sweet potatoes" },
+      ],
+    },
+    ingredients: [
+      "{p}",
+      "{t}",
+      ["onion", 1, "", "chopped"],
+      ["carrot", 2, "", "diced"],
+      ["tomato puree", 2, "tbsp"],
+      ["stock cube", 1, ""],
+      ["butter", 30, "g"],
+      ["milk", 50, "ml"],
+    ],
+    steps: [
+      "Heat the oven to 200°C (180°C fan). Boil the {t} for 15 min, then mash with the butter and milk.",
+      "{p.prep}",
+      "Add the onion and carrot to the {p} and cook for 5 min, then stir in the tomato puree, stock cube and 300 ml water; simmer for 15 min.",
+      "Spoon into a dish, top with the mash and bake for 25 min until golden.",
+    ],
+  },
+  {
+    key: "warm-salad",
+    title: "Warm {p} & {v} Salad",
+    time: 20,
+    energy: "hob",
+    servings: 2,
+    slots: {
+      p: [P.chickpeas, P.chicken, P.halloumi, P.tuna, P.egg],
+      v: [V.pepper, V.squash, V.greenBeans],
+    },
+    ingredients: [
+      "{p}",
+      "{v}",
+      ["lettuce", 1, "", "torn"],
+      ["cucumber", 0.5, "", "chopped"],
+      ["olive oil", 2, "tbsp"],
+      ["lemon", 1, ""],
+    ],
+    steps: [
+      "{p.prep}",
+      "Fry or roast the {v} with a little oil until tender and charred.",
+      "Whisk the oil with lemon juice and seasoning.",
+      "{p?eggs:Boil the eggs for 8 min, then cool, peel and quarter them.}",
+      "Toss the lettuce, cucumber, warm {v} and {p} with the dressing.",
+    ],
+  },
+  {
+    key: "fishcakes",
+    cuisine: "british",
+    title: "{p} Fishcakes with {v}",
+    time: 35,
+    energy: "hob",
+    servings: 4,
+    slots: {
+      p: [P.tuna, P.salmon],
+      v: [V.peas, V.greenBeans, V.broccoli],
+    },
+    ingredients: [
+      "{p}",
+      "{v}",
+      ["potato", 500, "g", "peeled"],
+      ["spring onion", 3, "", "sliced"],
+      ["egg", 1, ""],
+      ["flour", 3, "tbsp"],
+      ["lemon", 1, ""],
+    ],
+    steps: [
+      "Boil the potatoes for 15 min, drain and mash.",
+      "Mix with the flaked {p}, spring onion and lemon zest; shape into 8 cakes.",
+      "Dip in beaten egg then flour, and fry for 3–4 min each side.",
+      "Serve with the {v}, boiled or steamed.",
+    ],
+  },
+  {
+    key: "tagine",
+    cuisine: "moroccan",
+    meals: ["dinner"],
+    title: "{p} & {v} Tagine",
+    time: 45,
+    energy: "hob",
+    servings: 4,
+    slots: {
+      p: [P.chicken, P.chickpeas, { label: "Lamb", ing: ["lamb", 500, "g", "diced"], prep: "Brown the lamb in batches for 5 min, then set aside." }],
+      v: [V.squash, V.sweetPotato, V.carrot, V.aubergine],
+    },
+    ingredients: [
+      "{p}",
+      "{v}",
+      ["onion", 1, "", "chopped"],
+      ["garlic", 2, "clove", "crushed"],
+      ["cumin", 1, "tsp"],
+      ["cinnamon", 1, "tsp"],
+      ["tomatoes", 400, "g", "tinned, chopped"],
+      ["stock cube", 1, ""],
+      ["couscous", 250, "g", "to serve"],
+    ],
+    steps: [
+      "{p.prep}",
+      "Soften the onion and garlic, then add the cumin and cinnamon for 1 min.",
+      "Add the {v}, tomatoes, stock cube and 300 ml water; simmer for 20 min.",
+      "Add the {p} and simmer for 10–15 min more until tender.",
+      "Serve over couscous.",
+    ],
+  },
+  {
+    key: "teriyaki",
+    cuisine: "japanese",
+    title: "{p} Teriyaki with {v}",
+    time: 25,
+    energy: "hob",
+    servings: 2,
+    slots: {
+      p: [P.chicken, P.salmon, P.tofu],
+      v: [V.broccoli, V.greenBeans, V.pepper],
+    },
+    ingredients: [
+      "{p}",
+      "{v}",
+      ["soy sauce", 3, "tbsp"],
+      ["sugar", 1, "tbsp"],
+      ["garlic", 1, "clove", "crushed"],
+      ["ginger", 1, "tsp", "grated"],
+      ["rice", 150, "g", "to serve"],
+    ],
+    steps: [
+      "Cook the rice.",
+      "{p.prep}",
+      "Mix the soy sauce, sugar, garlic, ginger and 3 tbsp water.",
+      "Fry the {p} until cooked through, pour in the sauce and bubble until sticky.",
+      "Steam or stir-fry the {v} and serve everything over the rice.",
+    ],
+  },
+];
@@ -0,0 +1,112 @@
+// /data/substitutions.js
+// Pantry swaps for missing recipe ingredients (see lib/substitutions.js).
+//
+//   key   recipe ingredient: a canonical name from data/ingredients.js, or a
+//         common recipe word we don't stock as such (buttermilk, chicken stock)
+//   use   pantry items that together replace it; all of them must be there
+//   note  how to make the swap work, shown next to the ingredient
+//
+// Options are tried in order, so put the closest swap first.
+
+export const SUBSTITUTIONS = {
+  /* ---- dairy ---- */
+  buttermilk: [
+    { use: ["milk", "lemon"], note: "1 cup milk + 1 tbsp lemon juice, left 5 min" },
+    { use: ["milk", "vinegar"], note: "1 cup milk + 1 tbsp vinegar, left 5 min" },
+    { use: ["yogurt"], note: "thinned with a splash of water" },
+  ],
+  "sour cream": [{ use: ["yogurt"] }, { use: ["creme fraiche"] }],
+  cream: [
+    { use: ["creme fraiche"] },
+    { use: ["yogurt"], note: "stir in off the heat so it doesn't split" },
+    { use: ["coconut cream"] },
+    { use: ["milk", "butter"], note: "3/4 cup milk + 1/4 cup melted butter" },
+  ],
+  "creme fraiche": [{ use: ["yogurt"] }, { use: ["cream", "lemon"] }],
+  yogurt: [{ use: ["creme fraiche"] }],
+  milk: [{ use: ["oat milk"] }, { use: ["almond milk"] }],
+  butter: [
+    { use: ["olive oil"], note: "use 3/4 of the amount" },
+    { use: ["vegetable oil"], note: "use 3/4 of the amount" },
+  ],
+  cheese: [{ use: ["cheddar"] }],
+  cheddar: [{ use: ["cheese"] }],
+  parmesan: [{ use: ["cheddar"], note: "mature, finely grated" }],
+  mozzarella: [{ use: ["cheddar"] }],
+  feta: [{ use: ["halloumi"] }],
+  halloumi: [{ use: ["paneer"] }],
+  paneer: [{ use: ["halloumi"] }, { use: ["tofu"], note: "firm tofu, pressed" }],
+
+  /* ---- veg & aromatics ---- */
+  shallot: [{ use: ["onion"], note: "half a small onion per shallot" }, { use: ["red onion"] }],
+  "spring onion": [{ use: ["onion"], note: "a little, finely chopped" }, { use: ["red onion"] }],
+  "red onion": [{ use: ["onion"] }],
+  onion: [{ use: ["red onion"] }, { use: ["shallot"], note: "2 shallots per onion" }],
+  chilli: [{ use: ["chilli powder"], note: "1/2 tsp per fresh chilli" }],
+  "scotch bonnet": [{ use: ["chilli"] }, { use: ["chilli powder"] }],
+  tomatoes: [{ use: ["passata"] }, { use: ["cherry tomatoes"] }],
+  "cherry tomatoes": [{ use: ["tomatoes"] }],
+  passata: [{ use: ["tomatoes"], note: "blended or mashed" }],
+  "tomato puree": [{ use: ["passata"], note: "cook it down by half" }, { use: ["tomatoes"], note: "cook it down well" }],
+  "sweet potato": [{ use: ["butternut squash"] }, { use: ["potato"] }],
+  "butternut squash": [{ use: ["sweet potato"] }, { use: ["pumpkin"] }],
+  pumpkin: [{ use: ["butternut squash"] }],
+  spinach: [{ use: ["kale"] }],
+  kale: [{ use: ["spinach"] }, { use: ["cabbage"], note: "shredded" }],
+  courgette: [{ use: ["aubergine"] }],
+  lemon: [{ use: ["lime"] }, { use: ["vinegar"], note: "a splash, for acidity" }],
+  lime: [{ use: ["lemon"] }],
+
+  /* ---- herbs & spices ---- */
+  "fresh herbs": [{ use: ["mixed dried herbs"], note: "1 tsp dried per 1 tbsp fresh" }],
+  basil: [
+    { use: ["mixed dried herbs"], note: "1 tsp dried per 1 tbsp fresh" },
+    { use: ["oregano"], note: "1 tsp dried per 1 tbsp fresh" },
+  ],
+  coriander: [{ use: ["parsley"] }],
+  parsley: [{ use: ["coriander"] }, { use: ["mixed dried herbs"], note: "1 tsp dried per 1 tbsp fresh" }],
+  thyme: [{ use: ["mixed dried herbs"] }, { use: ["oregano"] }],
+  oregano: [{ use: ["mixed dried herbs"] }, { use: ["thyme"] }],
+  "garam masala": [{ use: ["curry powder"] }],
+  "curry powder": [{ use: ["garam masala", "turmeric"] }],
+  cumin: [{ use: ["jeera"] }],
+  jeera: [{ use: ["cumin"] }],
+
+  /* ---- store cupboard ---- */
+  "chicken stock": [{ use: ["stock cube"], note: "1 cube per 500 ml hot water" }],
+  "vegetable stock": [{ use: ["stock cube"], note: "1 cube per 500 ml hot water" }],
+  "beef stock": [{ use: ["stock cube"], note: "1 cube per 500 ml hot water" }],
+  broth: [{ use: ["stock cube"], note: "1 cube per 500 ml hot water" }],
+  stock: [{ use: ["stock cube"], note: "1 cube per 500 ml hot water" }],
+  "olive oil": [{ use: ["vegetable oil"] }],
+  "vegetable oil": [{ use: ["olive oil"] }],
+  "soy sauce": [{ use: ["maggi seasoning"], note: "use half as much" }],
+  honey: [{ use: ["sugar"] }],
+  sugar: [{ use: ["honey"] }],
+  vinegar: [{ use: ["lemon"] }],
+  "coconut milk": [{ use: ["coconut cream"], note: "loosened with water" }, { use: ["cream"] }],
+  "coconut cream": [{ use: ["coconut milk"], note: "simmer to thicken" }],
+
+  /* ---- carbs ---- */
+  spaghetti: [{ use: ["pasta"] }],
+  pasta: [{ use: ["spaghetti"] }],
+  orzo: [{ use: ["rice"] }, { use: ["pasta"] }],
+  "risotto rice": [{ use: ["rice"], note: "less creamy; stir often" }],
+  "egg noodles": [{ use: ["noodles"] }, { use: ["rice noodles"] }, { use: ["spaghetti"] }],
+  "rice noodles": [{ use: ["noodles"] }, { use: ["egg noodles"] }],
+  noodles: [{ use: ["egg noodles"] }, { use: ["rice noodles"] }, { use: ["spaghetti"] }],
+  couscous: [{ use: ["rice"] }],
+  tortilla: [{ use: ["wrap"] }],
+  wrap: [{ use: ["tortilla"] }],
+
+  /* ---- protein ---- */
+  chickpeas: [{ use: ["butter beans"] }, { use: ["cannellini beans"] }],
+  "kidney beans": [{ use: ["black beans"] }, { use: ["beans"] }],
+  "black beans": [{ use: ["kidney beans"] }, { use: ["beans"] }],
+  "butter beans": [{ use: ["cannellini beans"] }, { use: ["chickpeas"] }],
+  "cannellini beans": [{ use: ["butter beans"] }, { use: ["chickpeas"] }],
+  "chicken breast": [{ use: ["chicken thighs"] }, { use: ["chicken"] }],
+  "chicken thighs": [{ use: ["chicken breast"] }, { use: ["chicken"] }],
+  "beef mince": [{ use: ["lamb mince"] }],
+  "lamb mince": [{ use: ["beef mince"] }],
+};
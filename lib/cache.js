@@ -0,0 +1,159 @@
+// /lib/cache.js
+// Result cache for the slow, metered upstreams: provider results keyed on the
+// sorted pantry + prefs, Vision results keyed on the image hash.
+//
+// A store is { name, get(key) -> value | undefined, set(key, value, ttlMs) },
+// sync or async. The default is an in-memory LRU (per warm function instance);
+// with Upstash / Vercel KV credentials in env it's Redis over their REST API,
+// shared across instances. setCacheStore() swaps in anything else.
+//
+//   UPSTASH_REDIS_REST_URL + UPSTASH_REDIS_REST_TOKEN (or KV_REST_API_URL +
+//   KV_REST_API_TOKEN)  use Redis
+//   CACHE_MAX_ENTRIES   in-memory LRU size (default 500)
+//   CACHE_TTL_<NAME>    seconds, overrides a provider's / Vision's default; 0 = off
+//   CACHE_DISABLED=1    never read or write
+//
+// The cache never fails a request: store errors and slow stores count as a miss.
+
+import { createHash } from "node:crypto";
+import { fetchJson } from "./http.js";
+import { withTimeout } from "./timing.js";
+
+const MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES) || 500;
+const STORE_TIMEOUT_MS = 250;
+
+/* ----------------------- Stores ----------------------- */
+// LRU on Map insertion order; values are cloned so callers can't mutate them
+export function memoryStore({ max = MAX_ENTRIES } = {}) {
+  const entries = new Map();
+  return {
+    name: "memory",
+    get(key) {
+      const e = entries.get(key);
+      if (!e) return undefined;
+      entries.delete(key);
+      if (e.expires <= Date.now()) return undefined;
+      entries.set(key, e);
+      return structuredClone(e.value);
+    },
+    set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value: structuredClone(value), expires: Date.now() + ttlMs });
+      while (entries.size > max) entries.delete(entries.keys().next().value);
+    },
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+// Anything with Redis' get(key) / set(key, value, "PX", ms), e.g. an ioredis
+// client or a stand-in with the same two methods
+export function redisStore(client, { prefix = "dinnersnap:" } = {}) {
+  return {
+    name: "redis",
+    async get(key) {
+      const raw = await client.get(prefix + key);
+      return raw == null ? undefined : JSON.parse(raw);
+    },
+    async set(key, value, ttlMs) {
+      await client.set(prefix + key, JSON.stringify(value), "PX", Math.max(1, Math.round(ttlMs)));
+    },
+  };
+}
+
+// Upstash / Vercel KV REST: POST ["GET", key] -> { result }. Same two methods
+// as an ioredis client, for redisStore().
+export function restRedisClient(url, token) {
+  const call = (command) =>
+    fetchJson(
+      url,
+      {
+        method: "POST",
+        headers: { authorization: `Bearer ${token}`, "content-type": "application/json" },
+        body: JSON.stringify(command),
+      },
+      { upstream: "cache", timeoutMs: STORE_TIMEOUT_MS, retries: 0 }
+    ).then((j) => j.result);
+  return {
+    get: (key) => call(["GET", key]),
+    set: (...args) => call(["SET", ...args]),
+  };
+}
+
+function storeFromEnv(env = process.env) {
+  const url = env.UPSTASH_REDIS_REST_URL || env.KV_REST_API_URL;
+  const token = env.UPSTASH_REDIS_REST_TOKEN || env.KV_REST_API_TOKEN;
+  return url && token ? redisStore(restRedisClient(url, token)) : memoryStore();
+}
+
+let store = storeFromEnv();
+
+export const cacheStore = () => store;
+
+export function setCacheStore(next) {
+  if (!next || typeof next.get !== "function" || typeof next.set !== "function") {
+    throw new Error("cache store needs get() and set()");
+  }
+  store = next;
+}
+
+/* ----------------------- Keys ----------------------- */
+// JSON with object keys sorted, so { a, b } and { b, a } hash the same
+function stableJson(v) {
+  if (Array.isArray(v)) return `[${v.map(stableJson).join(",")}]`;
+  if (v && typeof v === "object") {
+    return `{${Object.keys(v)
+      .filter((k) => v[k] !== undefined)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableJson(v[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
+
+export const hashOf = (s) => createHash("sha256").update(s).digest("hex");
+
+// "provider:spoonacular:<sha256>"
+export const cacheKey = (namespace, parts) => `${namespace}:${hashOf(stableJson(parts))}`;
+
+// Prefs that change what an upstream returns; the rest (servings, units, likes,
+// budget...) only filter, scale or re-rank afterwards. Providers whose request
+// reads more name them in `cachePrefs`.
+export const PROVIDER_PREFS = ["diet", "allergies", "time", "mealType", "cuisine"];
+
+export const keyedPrefs = (prefs = {}, keys = PROVIDER_PREFS) =>
+  Object.fromEntries(
+    keys.filter((k) => prefs?.[k] != null && prefs[k] !== "").map((k) => [k, prefs[k]])
+  );
+
+/* ----------------------- Policy ----------------------- */
+// prefs.noCache: don't read the cache (fresh results still refresh it)
+export const cacheBypass = (prefs) => Boolean(prefs?.noCache);
+
+// Default TTL unless CACHE_TTL_<NAME> (seconds) is set; 0 = not cached
+export function ttlFor(name, defaultMs = 0) {
+  if (process.env.CACHE_DISABLED === "1") return 0;
+  const raw = process.env[`CACHE_TTL_${String(name).toUpperCase()}`];
+  const secs = raw == null || raw === "" ? NaN : Number(raw);
+  return Number.isFinite(secs) ? Math.max(0, secs * 1000) : defaultMs;
+}
+
+/* ----------------------- Access ----------------------- */
+export async function cacheGet(key) {
+  try {
+    return await withTimeout(() => store.get(key), STORE_TIMEOUT_MS, "cache-timeout");
+  } catch (e) {
+    console.log("cache get failed:", store.name, e?.message || e);
+    return undefined;
+  }
+}
+
+export async function cacheSet(key, value, ttlMs) {
+  if (!(ttlMs > 0)) return;
+  try {
+    await withTimeout(() => store.set(key, value, ttlMs), STORE_TIMEOUT_MS, "cache-timeout");
+  } catch (e) {
+    console.log("cache set failed:", store.name, e?.message || e);
+  }
+}
@@ -0,0 +1,118 @@
+// /lib/cost.js
+// Recipe costs from the price table in data/prices.js: the whole dish at
+// pro-rata prices, and the part of it we'd actually have to buy (`missing`).
+
+import { BASE_PRICES, DEFAULT_PRICE_REGION, PRICE_REGIONS } from "../data/prices.js";
+import { canonicalIngredient } from "./ingredients.js";
+import { gramsPerServing, recipeServings } from "./nutrition.js";
+
+const round2 = (x) => Math.round(x * 100) / 100;
+
+// { name: price } with junk dropped; names are matched like recipe ingredients
+function cleanPrices(obj) {
+  const out = {};
+  if (!obj || typeof obj !== "object") return out;
+  for (const [k, v] of Object.entries(obj)) {
+    const price = Number(v);
+    if (price >= 0 && Number.isFinite(price)) out[String(k).toLowerCase().trim()] = price;
+  }
+  return out;
+}
+
+function envOverrides() {
+  try {
+    return cleanPrices(JSON.parse(process.env.PRICE_OVERRIDES || "{}"));
+  } catch {
+    console.log("PRICE_OVERRIDES is not valid JSON, ignoring");
+    return {};
+  }
+}
+
+/* ----------------------- Price table ----------------------- */
+// prefs.region picks the table; PRICE_OVERRIDES and ENERGY_TARIFF only apply to
+// the deployment's own region (PRICE_REGION, GB by default) since they're written
+// in that currency.
+export function priceTable(prefs = {}) {
+  const envRegion = String(process.env.PRICE_REGION || DEFAULT_PRICE_REGION).toUpperCase();
+  const asked = String(prefs.region || envRegion).toUpperCase();
+  const region = PRICE_REGIONS[asked] ? asked : DEFAULT_PRICE_REGION;
+  const { currency, factor, overrides, tariff: regionTariff } = PRICE_REGIONS[region];
+
+  const prices = {};
+  for (const [name, price] of Object.entries(BASE_PRICES)) prices[name] = price * factor;
+  Object.assign(prices, overrides);
+  if (region === envRegion) Object.assign(prices, envOverrides());
+  Object.assign(prices, cleanPrices(prefs.prices));
+
+  // Electricity per kWh, same currency (see lib/energy.js)
+  const envTariff = region === envRegion ? Number(process.env.ENERGY_TARIFF) : NaN;
+  const prefTariff = Number(prefs.tariff);
+  const tariff = prefTariff > 0 ? prefTariff : envTariff > 0 ? envTariff : regionTariff;
+
+  return { region, currency, prices, tariff };
+}
+
+/* ----------------------- Recipes ----------------------- */
+export function priceRecipe(recipe, table) {
+  const ingredients = Array.isArray(recipe?.ingredients) ? recipe.ingredients : [];
+  const servings = recipeServings(recipe);
+  let total = 0;
+  let missing = 0;
+  const unpriced = [];
+
+  for (const ing of ingredients) {
+    const n = String(ing.name || "").toLowerCase().trim();
+    const name = table.prices[n] != null ? n : canonicalIngredient(n);
+    const perKg = table.prices[name];
+    if (perKg == null) {
+      unpriced.push(n);
+      continue;
+    }
+    const cost = ((gramsPerServing(ing, name, servings) * servings) / 1000) * perKg;
+    total += cost;
+    if (!ing.have && !ing.substitute) missing += cost;
+  }
+
+  return {
+    currency: table.currency,
+    region: table.region,
+    total: round2(total),
+    perServing: round2(total / servings),
+    missing: round2(missing),
+    unpriced,
+  };
+}
+
+export function withCost(recipe, table) {
+  const pricing = priceRecipe(recipe, table);
+  return { ...recipe, cost: pricing.total, pricing };
+}
+
+/* ----------------------- Budget ----------------------- */
+// prefs.budget is what the user is willing to spend on top of their pantry
+export function budgetPref(prefs = {}) {
+  const b = Number(prefs.budget);
+  return b > 0 && Number.isFinite(b) ? b : null;
+}
+
+// -> { kept, dropped } like enforceDiet; kept is cheapest-to-shop first (stable)
+export function enforceBudget(recipes, budget) {
+  if (budget == null) return { kept: recipes, dropped: [] };
+  const kept = [];
+  const dropped = [];
+  for (const r of recipes) {
+    if (r.pricing && r.pricing.missing > budget) {
+      dropped.push({ id: r.id, title: r.title, missing: r.pricing.missing });
+    } else {
+      kept.push(r);
+    }
+  }
+  const spend = (r) => r.pricing?.missing ?? 0;
+  return {
+    kept: kept
+      .map((r, i) => ({ r, i }))
+      .sort((a, b) => spend(a.r) - spend(b.r) || a.i - b.i)
+      .map((x) => x.r),
+    dropped,
+  };
+}
@@ -0,0 +1,123 @@
+// /lib/cuisine.js
+// prefs.mealType / prefs.cuisine, and a keyword classifier that tags any
+// recipe (local, Spoonacular, LLM) with cuisines from data/cuisines.js.
+
+import { CUISINE_ALIASES, CUISINES } from "../data/cuisines.js";
+import { normTerm, termWords } from "./ingredients.js";
+
+/* ----------------------- Meal types ----------------------- */
+//   prompt       what the LLM is asked for
+//   spoonacular  complexSearch `type` (none: any type, the title filters decide)
+//   sweet        cakes, pancakes, puddings are fine
+//   drinks       smoothies / shakes are fine (alcohol never is)
+export const MEAL_TYPES = {
+  breakfast: { prompt: "BREAKFAST", spoonacular: "breakfast", sweet: true, drinks: true },
+  lunch: { prompt: "savoury LUNCH", spoonacular: null, sweet: false, drinks: false },
+  dinner: { prompt: "savoury DINNER", spoonacular: "main course", sweet: false, drinks: false },
+  snack: { prompt: "SNACK", spoonacular: "snack", sweet: true, drinks: true },
+  dessert: { prompt: "DESSERT", spoonacular: "dessert", sweet: true, drinks: false },
+  side: { prompt: "savoury SIDE DISH", spoonacular: "side dish", sweet: false, drinks: false },
+};
+
+const MEAL_ALIASES = {
+  brunch: "breakfast",
+  supper: "dinner",
+  tea: "dinner",
+  main: "dinner",
+  "main course": "dinner",
+  starter: "side",
+  "side dish": "side",
+  pudding: "dessert",
+  sweet: "dessert",
+};
+
+// prefs.mealType -> a MEAL_TYPES key, "dinner" when unset or unknown
+export function mealTypePref(prefs = {}) {
+  const v = String(prefs?.mealType || "").trim().toLowerCase();
+  const key = MEAL_ALIASES[v] || v;
+  return MEAL_TYPES[key] ? key : "dinner";
+}
+
+/* ----------------------- Cuisines ----------------------- */
+// prefs.cuisine: "Indian", "Indian, Thai" or ["nigerian"]
+// -> { known: [CUISINES keys], other: [names we have no keywords for] } or null
+export function cuisinePref(prefs = {}) {
+  const raw = prefs?.cuisine;
+  const list = Array.isArray(raw) ? raw : typeof raw === "string" ? raw.split(",") : [];
+  const known = new Set();
+  const other = [];
+  for (const item of list) {
+    const name = String(item).trim().toLowerCase();
+    if (!name || name === "any") continue;
+    if (CUISINES[name]) known.add(name);
+    else if (CUISINE_ALIASES[name]) CUISINE_ALIASES[name].forEach((c) => known.add(c));
+    else other.push(name);
+  }
+  return known.size || other.length ? { known: [...known], other } : null;
+}
+
+// For the LLM prompt: "Nigerian or Indian"
+export const cuisineLabel = (pref) =>
+  [...pref.known, ...pref.other]
+    .map((c) => c.replace(/\b\w/g, (ch) => ch.toUpperCase()))
+    .join(" or ");
+
+// complexSearch `cuisine`, or null when one of the asked cuisines has no equivalent
+export function spoonacularCuisine(pref) {
+  if (!pref || pref.other.length) return null;
+  return [...new Set(pref.known.map((c) => CUISINES[c].spoonacular))].join(",");
+}
+
+/* ----------------------- Classifier ----------------------- */
+const TITLE_POINTS = 2;
+const INGREDIENT_POINTS = 1;
+const MIN_POINTS = 2;
+const MAX_TAGS = 2;
+
+// Word list with plurals folded: "Potatoes" -> "potato", "noodles" -> "noodle"
+const stems = (s) => termWords(s).map((w) => w.replace(/(oes|s)$/, (m) => (m === "oes" ? "o" : "")));
+const phrase = (s) => ` ${stems(s).join(" ")} `;
+
+const KEYWORDS = Object.entries(CUISINES).map(([key, c]) => ({
+  key,
+  titles: c.titles.map(phrase),
+  ingredients: c.ingredients.map(phrase),
+}));
+
+// -> cuisine keys, best first ([] when nothing is convincing)
+export function classifyCuisines(recipe) {
+  const title = phrase(recipe?.title);
+  const names = (recipe?.ingredients || []).map((i) => phrase(i?.name));
+  const found = (kw, text) => text.includes(kw);
+
+  return KEYWORDS.map(({ key, titles, ingredients }) => ({
+    key,
+    points:
+      TITLE_POINTS * titles.filter((kw) => found(kw, title)).length +
+      INGREDIENT_POINTS * ingredients.filter((kw) => names.some((n) => found(kw, n))).length,
+  }))
+    .filter((c) => c.points >= MIN_POINTS)
+    .sort((a, b) => b.points - a.points)
+    .slice(0, MAX_TAGS)
+    .map((c) => c.key);
+}
+
+// Provider tags ("Italian", "European") -> our keys; broad or unknown ones dropped
+export function cuisineKeys(names) {
+  const keys = new Set();
+  for (const n of names || []) {
+    const name = normTerm(n);
+    if (CUISINES[name]) keys.add(name);
+    else if (CUISINE_ALIASES[name]?.length === 1) keys.add(CUISINE_ALIASES[name][0]);
+  }
+  return [...keys];
+}
+
+// Adds `cuisines` unless the provider already set them
+export const withCuisines = (recipe) =>
+  Array.isArray(recipe.cuisines) && recipe.cuisines.length
+    ? recipe
+    : { ...recipe, cuisines: classifyCuisines(recipe) };
+
+export const matchesCuisine = (recipe, pref) =>
+  Boolean(pref) && (recipe.cuisines || classifyCuisines(recipe)).some((c) => pref.known.includes(c));
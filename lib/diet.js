@@ -0,0 +1,500 @@
+// /lib/diet.js
+// Dietary profiles + allergen rules. Every provider's output goes through
+// enforceDiet() before it reaches the client, so keep the term lists strict.
+
+/* ----------------------- Ingredient groups ----------------------- */
+// terms: words that put an ingredient in the group (plurals matched automatically)
+// safe: phrases removed before matching (coconut milk is not dairy, etc.)
+const GROUPS = {
+  meat: {
+    terms: [
+      "chicken",
+      "beef",
+      "pork",
+      "lamb",
+      "mutton",
+      "goat",
+      "veal",
+      "venison",
+      "duck",
+      "turkey",
+      "bacon",
+      "ham",
+      "sausage",
+      "chorizo",
+      "salami",
+      "pepperoni",
+      "prosciutto",
+      "pancetta",
+      "mince",
+      "steak",
+      "meatball",
+      "suya",
+      "gelatin",
+      "gelatine",
+      "lard",
+      "suet",
+    ],
+    safe: [
+      "veggie mince",
+      "vegan mince",
+      "soy mince",
+      "soya mince",
+      "quorn mince",
+      "veggie sausage",
+      "vegan sausage",
+      "vegetable stock",
+    ],
+  },
+  pork: {
+    terms: [
+      "pork",
+      "bacon",
+      "ham",
+      "sausage",
+      "chorizo",
+      "salami",
+      "pepperoni",
+      "prosciutto",
+      "pancetta",
+      "lard",
+      "gelatin",
+      "gelatine",
+    ],
+    safe: ["veggie sausage", "vegan sausage", "chicken sausage", "beef sausage", "halal sausage"],
+  },
+  fish: {
+    terms: [
+      "fish",
+      "salmon",
+      "tuna",
+      "cod",
+      "haddock",
+      "mackerel",
+      "sardine",
+      "anchovy",
+      "anchovies",
+      "trout",
+      "tilapia",
+      "pollock",
+      "hake",
+      "sea bass",
+      "stockfish",
+      "worcestershire",
+    ],
+    safe: [],
+  },
+  shellfish: {
+    terms: [
+      "shrimp",
+      "prawn",
+      "crab",
+      "lobster",
+      "crayfish",
+      "langoustine",
+      "mussel",
+      "clam",
+      "oyster",
+      "scallop",
+      "squid",
+      "calamari",
+      "octopus",
+      "crawfish",
+    ],
+    safe: ["oyster mushroom"],
+  },
+  dairy: {
+    terms: [
+      "milk",
+      "cheese",
+      "butter",
+      "buttermilk",
+      "cream",
+      "yogurt",
+      "yoghurt",
+      "feta",
+      "cheddar",
+      "mozzarella",
+      "parmesan",
+      "halloumi",
+      "paneer",
+      "ricotta",
+      "mascarpone",
+      "ghee",
+      "whey",
+      "casein",
+      "creme fraiche",
+      "custard",
+      "kefir",
+      "pesto",
+    ],
+    safe: [
+      "coconut milk",
+      "coconut cream",
+      "coconut yogurt",
+      "almond milk",
+      "oat milk",
+      "soy milk",
+      "soya milk",
+      "rice milk",
+      "cashew milk",
+      "peanut butter",
+      "almond butter",
+      "cashew butter",
+      "nut butter",
+      "cocoa butter",
+      "butter bean",
+      "cream of tartar",
+      "vegan cheese",
+      "vegan butter",
+      "vegan pesto",
+      "dairy free",
+    ],
+  },
+  egg: {
+    terms: ["egg", "mayonnaise", "mayo", "aioli", "meringue"],
+    safe: ["eggplant", "egg free", "vegan mayo", "vegan mayonnaise"],
+  },
+  gluten: {
+    terms: [
+      "wheat",
+      "flour",
+      "bread",
+      "breadcrumb",
+      "pasta",
+      "spaghetti",
+      "penne",
+      "macaroni",
+      "lasagne",
+      "lasagna",
+      "orzo",
+      "noodle",
+      "couscous",
+      "bulgur",
+      "semolina",
+      "barley",
+      "rye",
+      "spelt",
+      "seitan",
+      "tortilla",
+      "wrap",
+      "pitta",
+      "pita",
+      "naan",
+      "chapati",
+      "cracker",
+      "biscuit",
+      "soy sauce",
+      "stock cube",
+      "malt",
+      "beer",
+      "oats",
+    ],
+    safe: [
+      "gluten free",
+      "rice noodle",
+      "rice flour",
+      "gram flour",
+      "chickpea flour",
+      "corn flour",
+      "cornflour",
+      "coconut flour",
+      "almond flour",
+      "buckwheat",
+      "corn tortilla",
+      "rice paper",
+      "tamari",
+    ],
+  },
+  treeNuts: {
+    terms: [
+      "nut",
+      "almond",
+      "cashew",
+      "walnut",
+      "pecan",
+      "hazelnut",
+      "pistachio",
+      "macadamia",
+      "brazil nut",
+      "pine nut",
+      "chestnut",
+      "praline",
+      "marzipan",
+      "frangipane",
+      "pesto",
+    ],
+    safe: ["water chestnut", "nut free", "nutritional yeast"],
+  },
+  peanut: {
+    terms: ["peanut", "groundnut", "monkey nut", "satay"],
+    safe: [],
+  },
+  sesame: {
+    terms: ["sesame", "tahini", "hummus", "houmous", "halva", "za'atar", "zaatar"],
+    safe: [],
+  },
+  soy: {
+    terms: ["soy", "soya", "tofu", "tempeh", "edamame", "miso", "tamari"],
+    safe: [],
+  },
+  mustard: { terms: ["mustard"], safe: [] },
+  celery: { terms: ["celery", "celeriac", "stock cube"], safe: [] },
+  lupin: { terms: ["lupin", "lupini"], safe: [] },
+  sulphites: {
+    terms: ["sulphite", "sulfite", "wine", "dried apricot"],
+    safe: [],
+  },
+  alcohol: {
+    terms: [
+      "wine",
+      "beer",
+      "brandy",
+      "rum",
+      "vodka",
+      "gin",
+      "whisky",
+      "whiskey",
+      "bourbon",
+      "tequila",
+      "liqueur",
+      "cognac",
+      "sherry",
+      "mirin",
+      "cider",
+    ],
+    safe: ["wine vinegar", "cider vinegar"],
+  },
+  honey: { terms: ["honey"], safe: [] },
+};
+
+/* ----------------------- Diets + allergies ----------------------- */
+const DIETS = {
+  vegan: ["meat", "fish", "shellfish", "dairy", "egg", "honey"],
+  vegetarian: ["meat", "fish", "shellfish"],
+  pescatarian: ["meat"],
+  halal: ["pork", "alcohol"],
+  "gluten-free": ["gluten"],
+  "dairy-free": ["dairy"],
+};
+
+const DIET_ALIASES = {
+  veggie: "vegetarian",
+  pescetarian: "pescatarian",
+  "gluten free": "gluten-free",
+  glutenfree: "gluten-free",
+  coeliac: "gluten-free",
+  celiac: "gluten-free",
+  "dairy free": "dairy-free",
+  dairyfree: "dairy-free",
+  "lactose free": "dairy-free",
+};
+
+const ALLERGIES = {
+  nuts: ["treeNuts", "peanut"],
+  "tree nuts": ["treeNuts"],
+  peanut: ["peanut"],
+  shellfish: ["shellfish"],
+  fish: ["fish"],
+  seafood: ["fish", "shellfish"],
+  egg: ["egg"],
+  sesame: ["sesame"],
+  soy: ["soy"],
+  gluten: ["gluten"],
+  dairy: ["dairy"],
+  mustard: ["mustard"],
+  celery: ["celery"],
+  lupin: ["lupin"],
+  sulphites: ["sulphites"],
+};
+
+const ALLERGY_ALIASES = {
+  nut: "nuts",
+  "tree nut": "tree nuts",
+  treenuts: "tree nuts",
+  peanuts: "peanut",
+  groundnut: "peanut",
+  crustacean: "shellfish",
+  crustaceans: "shellfish",
+  molluscs: "shellfish",
+  eggs: "egg",
+  soya: "soy",
+  wheat: "gluten",
+  milk: "dairy",
+  lactose: "dairy",
+  sulfites: "sulphites",
+  sulphite: "sulphites",
+  sulfite: "sulphites",
+};
+
+// Spoonacular supports these natively; everything else relies on our filter.
+const SPOON_DIETS = {
+  vegan: "vegan",
+  vegetarian: "vegetarian",
+  pescatarian: "pescetarian",
+  "gluten-free": "gluten free",
+};
+const SPOON_INTOLERANCES = {
+  nuts: ["peanut", "tree nut"],
+  "tree nuts": ["tree nut"],
+  peanut: ["peanut"],
+  shellfish: ["shellfish"],
+  fish: ["seafood"],
+  seafood: ["seafood", "shellfish"],
+  egg: ["egg"],
+  sesame: ["sesame"],
+  soy: ["soy"],
+  gluten: ["gluten"],
+  dairy: ["dairy"],
+  sulphites: ["sulfite"],
+};
+
+/* ----------------------- Matching ----------------------- */
+const normText = (s) =>
+  String(s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z' ]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// word-boundary match with optional plural: "egg" matches "eggs", not "eggplant"
+const termRe = (term) => new RegExp(`(^|[^a-z])${escapeRe(normText(term))}(e?s)?(?=$|[^a-z])`);
+
+const compiled = {};
+function groupMatcher(group) {
+  if (!compiled[group]) {
+    const g = GROUPS[group];
+    compiled[group] = {
+      terms: g.terms.map((t) => ({ term: t, re: termRe(t) })),
+      safe: g.safe.map((s) => termRe(s)),
+    };
+  }
+  return compiled[group];
+}
+
+function matchGroup(text, group) {
+  const m = groupMatcher(group);
+  let s = ` ${normText(text)} `;
+  for (const re of m.safe) s = s.replace(new RegExp(re.source, "g"), "$1 ");
+  const hit = m.terms.find((t) => t.re.test(s));
+  return hit ? hit.term : null;
+}
+
+/* ----------------------- Profile ----------------------- */
+const asList = (v) =>
+  (Array.isArray(v) ? v : typeof v === "string" ? v.split(",") : [])
+    .map((x) => normText(String(x).replace(/[-_]/g, " ")))
+    .filter(Boolean);
+
+export function dietProfile(prefs = {}) {
+  const diets = [];
+  const allergies = [];
+  const unknownDiets = [];
+
+  for (const d0 of asList(prefs?.diet)) {
+    const d = DIET_ALIASES[d0] || (DIETS[d0] ? d0 : null);
+    if (d && !diets.includes(d)) diets.push(d);
+    else if (!d) unknownDiets.push(d0);
+  }
+
+  for (const a0 of asList(prefs?.allergies)) {
+    const a = ALLERGY_ALIASES[a0] || a0;
+    if (!allergies.includes(a)) allergies.push(a);
+  }
+
+  // rules: [{ rule: "vegan" | "allergy:nuts", group?, term? }]
+  const rules = [];
+  for (const d of diets) {
+    for (const group of DIETS[d]) rules.push({ rule: d, group });
+  }
+  for (const a of allergies) {
+    if (ALLERGIES[a]) {
+      for (const group of ALLERGIES[a]) rules.push({ rule: `allergy:${a}`, group });
+    } else {
+      // unknown allergen (kiwi, mango...) -> treat the word itself as forbidden
+      rules.push({ rule: `allergy:${a}`, term: a, re: termRe(a) });
+    }
+  }
+
+  return { diets, allergies, unknownDiets, rules };
+}
+
+export const hasRestrictions = (profile) => Boolean(profile?.rules?.length);
+
+// All rule breaches for one ingredient name / title.
+export function violationsFor(text, profile) {
+  const out = [];
+  if (!hasRestrictions(profile)) return out;
+  for (const r of profile.rules) {
+    const hit = r.group ? matchGroup(text, r.group) : r.re.test(` ${normText(text)} `) ? r.term : null;
+    if (hit) out.push({ rule: r.rule, term: hit });
+  }
+  return out;
+}
+
+export const ingredientAllowed = (name, profile) => !violationsFor(name, profile).length;
+
+export function recipeViolations(recipe, profile) {
+  if (!hasRestrictions(profile)) return [];
+  const out = [];
+  const seen = new Set();
+  const check = (text, where) => {
+    for (const v of violationsFor(text, profile)) {
+      const k = `${v.rule}|${v.term}`;
+      if (seen.has(k)) continue;
+      seen.add(k);
+      out.push({ ...v, where });
+    }
+  };
+  check(recipe?.title, "title");
+  for (const ing of recipe?.ingredients || []) check(ing?.name, ing?.name);
+  return out;
+}
+
+// Final server-side gate. Violating recipes are dropped, never shown.
+export function enforceDiet(recipes, profile) {
+  if (!hasRestrictions(profile)) return { kept: recipes, dropped: [] };
+  const kept = [];
+  const dropped = [];
+  for (const r of recipes) {
+    const v = recipeViolations(r, profile);
+    if (v.length) dropped.push({ id: r.id, title: r.title, violations: v });
+    else kept.push(r);
+  }
+  return { kept, dropped };
+}
+
+/* ----------------------- Provider helpers ----------------------- */
+export function spoonacularDietParams(profile) {
+  const diet = profile.diets.map((d) => SPOON_DIETS[d]).filter(Boolean);
+  const intolerances = [...new Set(profile.allergies.flatMap((a) => SPOON_INTOLERANCES[a] || []))];
+
+  // Not expressible as a Spoonacular diet/intolerance -> push into excludeIngredients too
+  const exclude = [];
+  if (profile.diets.includes("halal")) exclude.push(...GROUPS.pork.terms);
+  if (profile.diets.includes("dairy-free") && !intolerances.includes("dairy")) intolerances.push("dairy");
+  for (const a of profile.allergies) {
+    if (SPOON_INTOLERANCES[a]) continue;
+    if (ALLERGIES[a]) exclude.push(...ALLERGIES[a].flatMap((g) => GROUPS[g].terms));
+    else exclude.push(a);
+  }
+
+  return { diet, intolerances, exclude: [...new Set(exclude)] };
+}
+
+export function dietPromptLines(profile) {
+  const lines = [];
+  if (profile.diets.length) {
+    lines.push(`The recipe MUST be: ${profile.diets.join(", ")}.`);
+  }
+  if (profile.allergies.length) {
+    lines.push(
+      `Allergies (these must NOT appear in any form, including sauces, stocks and garnishes): ${profile.allergies.join(", ")}.`
+    );
+  }
+  return lines;
+}
@@ -0,0 +1,198 @@
+// /lib/energy.js
+// Which appliances a recipe needs (read off its steps) and roughly what running
+// them costs: average draw x minutes per step, priced at the region's tariff.
+
+const round2 = (x) => Math.round(x * 100) / 100;
+
+// Average draw in kW while cooking (thermostats cycle, so well under the rating)
+export const APPLIANCES = {
+  hob: { kw: 1.2 },
+  oven: { kw: 1.5, preheatMin: 10, preheatKw: 2.2 },
+  grill: { kw: 1.6 },
+  "air fryer": { kw: 1.2 },
+  microwave: { kw: 0.9 },
+  "slow cooker": { kw: 0.2 },
+};
+
+// Checked in order; a step can match several ("bake, then finish under the grill")
+const STEP_PATTERNS = [
+  ["microwave", /\bmicrowav/],
+  ["slow cooker", /\bslow[\s-]?cooker\b|\bcrock[\s-]?pot\b/],
+  ["oven", /\boven\b|\bbak(e|ed|es|ing)\b|\broast(ed|ing|s)?\b|\bgas mark\b|\bpre-?heat\b|\b\d{3}\s*°\s*[cf]?\b|\b\d{3}\s*(c|f)\b/],
+  ["grill", /\bgrill(ed|ing)?\b|\bbroil/],
+  [
+    "hob",
+    /\bhob\b|\bstove(top)?\b|\bsaucepan\b|\bpan\b|\bwok\b|\bskillet\b|\bsimmer|\bboil|\bfry\b|\bfrying\b|\bsaut[eé]|\bstir[\s-]?fr|\b(low|medium|high)(-high)? heat\b/,
+  ],
+];
+
+// Spoonacular step equipment names -> appliance
+const EQUIPMENT = {
+  oven: "oven",
+  "baking sheet": "oven",
+  "baking pan": "oven",
+  "casserole dish": "oven",
+  "air fryer": "air fryer",
+  microwave: "microwave",
+  "slow cooker": "slow cooker",
+  grill: "grill",
+  broiler: "grill",
+  "frying pan": "hob",
+  pan: "hob",
+  pot: "hob",
+  "sauce pan": "hob",
+  saucepan: "hob",
+  wok: "hob",
+  skillet: "hob",
+  stove: "hob",
+};
+
+const ALIASES = {
+  stove: "hob",
+  stovetop: "hob",
+  cooker: "hob",
+  hob: "hob",
+  "gas hob": "hob",
+  "induction hob": "hob",
+  oven: "oven",
+  grill: "grill",
+  broiler: "grill",
+  airfryer: "air fryer",
+  "air fryer": "air fryer",
+  microwave: "microwave",
+  "slow cooker": "slow cooker",
+  crockpot: "slow cooker",
+};
+
+export const normAppliance = (a) => {
+  const k = String(a || "")
+    .toLowerCase()
+    .replace(/[-_]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  return ALIASES[k] || ALIASES[k.replace(/ /g, "")] || null;
+};
+
+// "10 min", "5-6 minutes", "1 hour", "2 hrs" -> minutes (upper bound of a range)
+function stepMinutes(text) {
+  let total = 0;
+  const re = /(\d+(?:\.\d+)?)(?:\s*(?:-|–|to)\s*(\d+(?:\.\d+)?))?\s*(hours?|hrs?|minutes?|mins?)\b/gi;
+  for (const m of String(text || "").matchAll(re)) {
+    const n = Number(m[2] || m[1]);
+    total += /^h/i.test(m[3]) ? n * 60 : n;
+  }
+  return total;
+}
+
+function stepAppliances(step) {
+  const found = new Set();
+  for (const e of step.equipment || []) {
+    const a = EQUIPMENT[String(e).toLowerCase()];
+    if (a) found.add(a);
+  }
+  let text = String(step.text || "").toLowerCase();
+  // "air fry at 200°C" is neither the hob's "fry" nor an oven temperature
+  const AIR_FRY = /\bair[\s-]?fr\w*/g;
+  if (AIR_FRY.test(text)) {
+    found.add("air fryer");
+    text = text.replace(AIR_FRY, " ").replace(/\b\d{3}\s*°?\s*[cf]?\b/g, " ");
+  }
+  for (const [name, re] of STEP_PATTERNS) {
+    if (re.test(text)) found.add(name);
+  }
+  // "pan" is also a roasting pan; don't count the hob when the oven is named
+  if (found.has("oven") && found.has("hob") && !/\bhob\b|\bsimmer|\bboil|\bfry\b|\bheat\b/.test(text)) {
+    found.delete("hob");
+  }
+  return [...found];
+}
+
+/* ----------------------- Estimation ----------------------- */
+// -> { [appliance]: minutes } for every appliance the recipe uses
+export function applianceMinutes(recipe) {
+  const steps = Array.isArray(recipe?.steps) ? recipe.steps : [];
+  const minutes = {};
+  let lastAppliance = null;
+
+  for (const s of steps) {
+    const step = typeof s === "string" ? { text: s } : s || {};
+    const used = stepAppliances(step);
+    const mins = Number(step.minutes) > 0 ? Number(step.minutes) : stepMinutes(step.text);
+    for (const a of used) minutes[a] = minutes[a] || 0;
+    // Untagged "cook for 20 min" belongs to whatever was last switched on
+    const target = used.length ? used : lastAppliance ? [lastAppliance] : [];
+    for (const a of target) minutes[a] = (minutes[a] || 0) + mins / target.length;
+    if (used.length) lastAppliance = used[used.length - 1];
+  }
+
+  const declared = normAppliance(recipe?.energy);
+  if (!Object.keys(minutes).length && declared) minutes[declared] = 0;
+  if (!Object.keys(minutes).length) minutes.hob = 0;
+
+  // No timings in the steps: spread the recipe's cook time over what it uses
+  const timed = Object.values(minutes).reduce((a, b) => a + b, 0);
+  if (!timed) {
+    const names = Object.keys(minutes);
+    const cookMin = (Number(recipe?.time) || 25) * 0.7;
+    for (const a of names) minutes[a] = cookMin / names.length;
+  }
+  return minutes;
+}
+
+// -> { appliance, appliances, minutes, kWh, cost, currency, tariff }
+export function estimateEnergy(recipe, table) {
+  const minutes = applianceMinutes(recipe);
+  let kWh = 0;
+  for (const [a, mins] of Object.entries(minutes)) {
+    const spec = APPLIANCES[a];
+    kWh += (spec.kw * mins) / 60;
+    if (spec.preheatMin) kWh += (spec.preheatKw * spec.preheatMin) / 60;
+  }
+
+  const appliances = Object.keys(minutes);
+  const appliance = appliances.reduce((best, a) =>
+    APPLIANCES[a].kw * minutes[a] > APPLIANCES[best].kw * minutes[best] ? a : best
+  );
+
+  return {
+    appliance,
+    appliances,
+    minutes: Object.fromEntries(Object.entries(minutes).map(([a, m]) => [a, Math.round(m)])),
+    kWh: round2(kWh),
+    cost: round2(kWh * table.tariff),
+    currency: table.currency,
+    tariff: table.tariff,
+  };
+}
+
+export function withEnergy(recipe, table) {
+  const energyUse = estimateEnergy(recipe, table);
+  return { ...recipe, energy: energyUse.appliance, energyUse };
+}
+
+/* ----------------------- Prefs ----------------------- */
+// -> Set of appliances the user has, or null for "anything"
+export function appliancesPref(prefs = {}) {
+  const list = Array.isArray(prefs.appliances)
+    ? prefs.appliances
+    : typeof prefs.appliances === "string"
+      ? prefs.appliances.split(",")
+      : null;
+  if (!list) return null;
+  const have = new Set(list.map(normAppliance).filter(Boolean));
+  return have.size ? have : null;
+}
+
+// -> { kept, dropped } like enforceDiet
+export function enforceAppliances(recipes, have) {
+  if (!have) return { kept: recipes, dropped: [] };
+  const kept = [];
+  const dropped = [];
+  for (const r of recipes) {
+    const needs = r.energyUse?.appliances || [normAppliance(r.energy) || "hob"];
+    const missing = needs.filter((a) => !have.has(a));
+    if (missing.length) dropped.push({ id: r.id, title: r.title, missing });
+    else kept.push(r);
+  }
+  return { kept, dropped };
+}
@@ -0,0 +1,111 @@
+// /lib/freshness.js
+// Use-soon ranking: pantry items that are about to go off (an expiry date, a
+// days-left count or a plain useSoon flag from the client, otherwise the
+// ingredient's shelf life) lift the recipes that use them.
+
+import { pantryMatches, shelfLifeDays } from "./ingredients.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const USE_SOON_DAYS = 3; // at or under this many days left counts as "use soon"
+const FRESH_WEIGHT = 0.3; // score per unit of urgency used
+const MAX_BOOST = 0.45;
+
+// Whole days from today (UTC) to an ISO date; null when unparseable
+export function daysUntil(date, now = Date.now()) {
+  const t = Date.parse(String(date ?? ""));
+  if (!Number.isFinite(t)) return null;
+  const today = Math.floor(now / DAY_MS) * DAY_MS;
+  return Math.floor((t - today) / DAY_MS);
+}
+
+const round2 = (x) => Math.round(x * 100) / 100;
+
+// item: a cleanPantry item, optionally with expires / daysLeft / useSoon
+// -> { daysLeft, useSoon, urgency, expired }
+export function freshnessOf(item, now = Date.now()) {
+  let daysLeft = Number.isFinite(item?.daysLeft) ? Math.floor(item.daysLeft) : null;
+  if (item?.expires) {
+    const d = daysUntil(item.expires, now);
+    if (d != null) daysLeft = daysLeft == null ? d : Math.min(daysLeft, d);
+  }
+
+  if (daysLeft != null && daysLeft < 0) {
+    return { daysLeft, useSoon: false, urgency: 0, expired: true };
+  }
+  if (daysLeft != null) {
+    const urgency = round2(Math.min(1, 1.5 / (daysLeft + 0.5)));
+    return { daysLeft, useSoon: Boolean(item.useSoon) || daysLeft <= USE_SOON_DAYS, urgency, expired: false };
+  }
+  if (item?.useSoon) return { daysLeft: null, useSoon: true, urgency: 1, expired: false };
+
+  // Nothing from the client: very perishable things still nudge a little
+  const shelf = shelfLifeDays(item?.name);
+  const urgency = shelf <= 3 ? 0.3 : shelf <= 7 ? 0.1 : 0;
+  return { daysLeft: null, useSoon: false, urgency, expired: false };
+}
+
+// Adds daysLeft / useSoon / urgency / expired to pantry items where they apply
+export function annotateFreshness(pantryItems, now = Date.now()) {
+  return pantryItems.map((p) => {
+    const f = freshnessOf(p, now);
+    return {
+      ...p,
+      ...(f.daysLeft != null ? { daysLeft: f.daysLeft } : {}),
+      ...(f.useSoon ? { useSoon: true } : {}),
+      ...(f.urgency ? { urgency: f.urgency } : {}),
+      ...(f.expired ? { expired: true } : {}),
+    };
+  });
+}
+
+// Accepted items with any urgency, most urgent first -> [{ name, urgency, daysLeft?, useSoon? }]
+export function urgentItems(pantryItems) {
+  return pantryItems
+    .filter((p) => p.accepted !== false && p.urgency > 0)
+    .sort((a, b) => b.urgency - a.urgency)
+    .map((p) => ({
+      name: p.name,
+      urgency: p.urgency,
+      ...(p.daysLeft != null ? { daysLeft: p.daysLeft } : {}),
+      ...(p.useSoon ? { useSoon: true } : {}),
+    }));
+}
+
+// A recipe "uses" a pantry item when an owned ingredient or a swap is it
+export const usesPantryItem = (recipe, item) =>
+  (recipe.ingredients || []).some(
+    (ing) =>
+      (ing.have && pantryMatches(item, String(ing.name || "").toLowerCase())) ||
+      ing.substitute?.use.includes(item)
+  );
+
+/* ----------------------- Ranking ----------------------- */
+// Bumps `score` by the urgency of the pantry items the recipe uses and lists
+// the use-soon ones in `usesSoon`
+export function boostFresh(recipe, urgent) {
+  if (!urgent.length || !Array.isArray(recipe?.ingredients)) return recipe;
+  const used = urgent.filter((u) => usesPantryItem(recipe, u.name));
+  if (!used.length) return recipe;
+
+  const bump = Math.min(MAX_BOOST, FRESH_WEIGHT * used.reduce((acc, u) => acc + u.urgency, 0));
+  const usesSoon = used.filter((u) => u.useSoon).map((u) => u.name);
+  const base = typeof recipe.score === "number" ? recipe.score : 0.5;
+  return {
+    ...recipe,
+    score: round2(base + bump),
+    freshBoost: round2(bump),
+    ...(usesSoon.length ? { usesSoon } : {}),
+  };
+}
+
+// LLM prompt line naming what to cook with first
+export function freshnessPromptLines(pantry, pantryItems) {
+  const soon = urgentItems(pantryItems).filter((u) => u.useSoon && pantry.includes(u.name));
+  if (!soon.length) return [];
+  const left = (d) => (d <= 0 ? "today" : d === 1 ? "1 day" : `${d} days`);
+  const text = soon
+    .slice(0, 6)
+    .map((u) => (u.daysLeft != null ? `${u.name} (${left(u.daysLeft)})` : u.name))
+    .join(", ");
+  return [`Use these first, they go off soon: ${text}. Build the dish around them.`];
+}
@@ -0,0 +1,177 @@
+// /lib/http.js
+// Resilient JSON fetch for upstream APIs (Vision, Spoonacular, the LLM):
+// HTTP status checked, transient failures retried with jittered backoff inside
+// the caller's time budget (Retry-After respected), and a circuit breaker per
+// upstream so one that keeps failing is skipped instead of eating its timeout.
+// Breaker state lives in module scope, i.e. per warm function instance.
+//
+// Errors carry err.code:
+//   TIMEOUT | NETWORK | RATE_LIMITED | SERVER_ERROR | CLIENT_ERROR | BAD_JSON | CIRCUIT_OPEN
+// plus err.upstream, err.attempts and, for HTTP errors, err.status / err.body.
+
+import { nowMs } from "./timing.js";
+
+const DEFAULT_RETRIES = 2;
+const BACKOFF_BASE_MS = 200;
+const MIN_ATTEMPT_MS = 300; // not worth another attempt with less time than this
+const BREAKER_THRESHOLD = Number(process.env.BREAKER_THRESHOLD) || 5;
+const BREAKER_COOLDOWN_MS = Number(process.env.BREAKER_COOLDOWN_MS) || 30_000;
+
+const TRANSIENT = new Set(["TIMEOUT", "NETWORK", "RATE_LIMITED", "SERVER_ERROR"]);
+
+// Marks our own errors: fetch's AbortError (a DOMException) has a numeric code too
+const HTTP_ERROR = Symbol("http-error");
+
+function httpError(code, message, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  err[HTTP_ERROR] = true;
+  Object.assign(err, extra);
+  return err;
+}
+
+const statusCode = (status) =>
+  status === 429 ? "RATE_LIMITED" : status >= 500 ? "SERVER_ERROR" : "CLIENT_ERROR";
+
+// "120" or an HTTP date -> ms, or null
+function retryAfterMs(value) {
+  if (!value) return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(value);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/* ----------------------- Circuit breaker ----------------------- */
+// closed -> (BREAKER_THRESHOLD transient failures in a row) -> open for
+// BREAKER_COOLDOWN_MS -> half-open: one trial call closes or re-opens it
+const breakers = new Map();
+
+function breakerFor(upstream) {
+  if (!breakers.has(upstream)) {
+    breakers.set(upstream, { failures: 0, openUntil: 0, trial: false, lastError: null });
+  }
+  return breakers.get(upstream);
+}
+
+function stateOf(b) {
+  if (b.openUntil > Date.now()) return "open";
+  return b.openUntil ? "half-open" : "closed";
+}
+
+function allow(b) {
+  const state = stateOf(b);
+  if (state === "open") return false;
+  if (state === "half-open") {
+    if (b.trial) return false;
+    b.trial = true;
+  }
+  return true;
+}
+
+function recordSuccess(b) {
+  Object.assign(b, { failures: 0, openUntil: 0, trial: false });
+}
+
+function recordFailure(b, code) {
+  b.lastError = code;
+  b.trial = false;
+  if (!TRANSIENT.has(code)) return;
+  b.failures++;
+  // A failed half-open trial re-opens straight away
+  if (b.failures >= BREAKER_THRESHOLD || b.openUntil) {
+    b.openUntil = Date.now() + BREAKER_COOLDOWN_MS;
+  }
+}
+
+// For debug: { vision: { state, failures, lastError?, openForMs? }, ... }
+export function breakerState() {
+  return Object.fromEntries(
+    [...breakers].map(([name, b]) => {
+      const state = stateOf(b);
+      return [
+        name,
+        {
+          state,
+          failures: b.failures,
+          ...(b.lastError ? { lastError: b.lastError } : {}),
+          ...(state === "open" ? { openForMs: b.openUntil - Date.now() } : {}),
+        },
+      ];
+    })
+  );
+}
+
+/* ----------------------- Fetching ----------------------- */
+async function attempt(url, opts, ms, upstream) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), ms);
+  try {
+    const r = await fetch(url, { ...opts, signal: controller.signal });
+    const text = await r.text();
+    let body;
+    try {
+      body = text ? JSON.parse(text) : {};
+    } catch {
+      body = undefined;
+    }
+    if (!r.ok) {
+      throw httpError(statusCode(r.status), `${upstream}: HTTP ${r.status}`, {
+        status: r.status,
+        body,
+        retryAfter: retryAfterMs(r.headers.get("retry-after")),
+      });
+    }
+    if (body === undefined) throw httpError("BAD_JSON", `${upstream}: response is not JSON`);
+    return body;
+  } catch (e) {
+    if (controller.signal.aborted) throw httpError("TIMEOUT", `${upstream}-timeout`);
+    if (e?.[HTTP_ERROR]) throw e;
+    throw httpError("NETWORK", `${upstream}: ${e?.message || e}`);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Parsed JSON body, or throws one of the errors above. timeoutMs is the whole
+// budget, retries and backoff included.
+export async function fetchJson(
+  url,
+  opts = {},
+  { upstream, timeoutMs = 2500, retries = DEFAULT_RETRIES } = {}
+) {
+  const b = breakerFor(upstream);
+  if (!allow(b)) {
+    throw httpError("CIRCUIT_OPEN", `${upstream}: circuit open`, { upstream, attempts: 0 });
+  }
+
+  const until = nowMs() + timeoutMs;
+  for (let n = 1; ; n++) {
+    try {
+      const body = await attempt(url, opts, Math.max(1, until - nowMs()), upstream);
+      recordSuccess(b);
+      return body;
+    } catch (e) {
+      Object.assign(e, { upstream, attempts: n });
+      const wait = e.retryAfter ?? Math.random() * BACKOFF_BASE_MS * 2 ** (n - 1);
+      const retry =
+        TRANSIENT.has(e.code) && n <= retries && nowMs() + wait + MIN_ATTEMPT_MS < until;
+      if (!retry) {
+        recordFailure(b, e.code);
+        throw e;
+      }
+      console.log(`${upstream} ${e.code}, retry ${n} in ${Math.round(wait)} ms`);
+      await sleep(wait);
+    }
+  }
+}
+
+// Compact error for provider info / debug
+export const errorInfo = (e) => ({
+  error: String(e?.message || e),
+  ...(e?.code ? { errorClass: e.code } : {}),
+  ...(e?.status ? { status: e.status } : {}),
+  ...(e?.attempts > 1 ? { attempts: e.attempts } : {}),
+});
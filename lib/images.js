@@ -0,0 +1,243 @@
+// /lib/images.js
+// Uploaded photos -> what Vision wants: format sniffed from the magic bytes
+// (never trusted from the content type), long edge capped and re-encoded to
+// JPEG when too big, HEIC always. Re-encoding uses sharp, loaded on first need;
+// without it, images that are already small enough still go through untouched.
+//
+// HEIC goes through sharp when its libvips can decode HEVC; the prebuilt one
+// can't, so heic-decode (libheif in wasm, loaded on first need) hands sharp the
+// pixels instead.
+//
+// decodeBarcodes() reads EAN / UPC-A codes off the pixels for lib/products.js,
+// with ZXing (pure JS) on sharp's greyscale output; both load on first need.
+//
+// Errors carry err.code:
+//   UNSUPPORTED_IMAGE  not JPEG / PNG / WebP / HEIC ("unsupported-image"), or
+//                      HEIC with neither decoder ("heic-not-supported") (415)
+//   IMAGE_TOO_LARGE    still over maxBytes after downscaling (413)
+
+const VISION_MAX_EDGE = Number(process.env.VISION_MAX_EDGE) || 1600; // px, plenty for OCR
+const JPEG_QUALITY = 85;
+
+function imageError(code, message, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+/* ----------------------- Sniffing ----------------------- */
+const HEIC_BRANDS = new Set(["heic", "heix", "heim", "heis", "hevc", "hevx", "mif1", "msf1"]);
+
+const ascii = (buf, start, end) => buf.subarray(start, end).toString("latin1");
+
+// -> "jpeg" | "png" | "webp" | "heic" | null
+export function sniffImage(buf) {
+  if (!buf || buf.length < 12) return null;
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return "jpeg";
+  if (buf.readUInt32BE(0) === 0x89504e47 && buf.readUInt32BE(4) === 0x0d0a1a0a) return "png";
+  if (ascii(buf, 0, 4) === "RIFF" && ascii(buf, 8, 12) === "WEBP") return "webp";
+  // ISO BMFF: [size]["ftyp"][major brand]...
+  if (ascii(buf, 4, 8) === "ftyp" && HEIC_BRANDS.has(ascii(buf, 8, 12))) return "heic";
+  return null;
+}
+
+// What we accept
+export const MIME_TYPES = {
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+  heic: "image/heic",
+};
+
+/* ----------------------- Dimensions ----------------------- */
+// Read off the header, no decoding. -> { width, height } or null
+function jpegSize(buf) {
+  let i = 2;
+  while (i + 9 < buf.length) {
+    if (buf[i] !== 0xff) return null;
+    const marker = buf[i + 1];
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      i += 2;
+      continue;
+    }
+    // SOF0-15, except DHT / JPG / DAC
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: buf.readUInt16BE(i + 5), width: buf.readUInt16BE(i + 7) };
+    }
+    i += 2 + buf.readUInt16BE(i + 2);
+  }
+  return null;
+}
+
+function webpSize(buf) {
+  if (buf.length < 30) return null;
+  const chunk = ascii(buf, 12, 16);
+  if (chunk === "VP8 ") {
+    return { width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === "VP8L") {
+    const bits = buf.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === "VP8X") {
+    return { width: buf.readUIntLE(24, 3) + 1, height: buf.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+export function imageSize(buf, format = sniffImage(buf)) {
+  try {
+    if (format === "png") return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+    if (format === "jpeg") return jpegSize(buf);
+    if (format === "webp") return webpSize(buf);
+  } catch {
+    // truncated header
+  }
+  return null;
+}
+
+/* ----------------------- Re-encoding ----------------------- */
+let sharpModule;
+async function loadSharp() {
+  sharpModule ??= import("sharp").then(
+    (m) => m.default,
+    () => null
+  );
+  return sharpModule;
+}
+
+let heicModule;
+async function loadHeicDecode() {
+  heicModule ??= import("heic-decode").then(
+    (m) => m.default,
+    () => null
+  );
+  return heicModule;
+}
+
+// Auto-rotated (EXIF), long edge <= maxEdge, JPEG. `input` is sharp's options,
+// e.g. { raw: { width, height, channels } } for decoded pixels.
+async function reencode(buf, maxEdge, input = { failOn: "error" }) {
+  const sharp = await loadSharp();
+  if (!sharp) return null;
+  const { data, info } = await sharp(buf, input)
+    .rotate()
+    .resize({ width: maxEdge, height: maxEdge, fit: "inside", withoutEnlargement: true })
+    .jpeg({ quality: JPEG_QUALITY, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+// sharp first, in case its libvips was built with HEVC; else heic-decode's RGBA
+async function reencodeHeic(buf, maxEdge) {
+  try {
+    return await reencode(buf, maxEdge);
+  } catch (e) {
+    console.log("sharp can't read HEIC, trying heic-decode:", e?.message || e);
+  }
+  const decode = await loadHeicDecode();
+  if (!decode) return null;
+  const { width, height, data } = await decode({ buffer: buf });
+  const pixels = Buffer.from(data.buffer, data.byteOffset, data.length);
+  return reencode(pixels, maxEdge, { raw: { width, height, channels: 4 } });
+}
+
+// buf: raw image bytes; maxBytes: Vision's limit for the encoded image
+// -> { data: Buffer, format, bytes, width?, height?, resized, original: { format, bytes } }
+export async function prepareImage(buf, { maxBytes, maxEdge = VISION_MAX_EDGE } = {}) {
+  const format = sniffImage(buf);
+  if (!format) throw imageError("UNSUPPORTED_IMAGE", "unsupported-image");
+
+  const size = imageSize(buf, format);
+  const original = { format, bytes: buf.length, ...(size || {}) };
+  // Vision doesn't read HEIC, so it's always re-encoded
+  const tooBig =
+    format === "heic" ||
+    buf.length > maxBytes ||
+    !size ||
+    Math.max(size.width, size.height) > maxEdge;
+  if (!tooBig) return { data: buf, format, bytes: buf.length, ...size, resized: false, original };
+
+  let out = null;
+  try {
+    out = format === "heic" ? await reencodeHeic(buf, maxEdge) : await reencode(buf, maxEdge);
+  } catch (e) {
+    console.log("image re-encode failed:", format, e?.message || e);
+  }
+  if (!out) {
+    if (format === "heic") {
+      throw imageError("UNSUPPORTED_IMAGE", "heic-not-supported", { format });
+    }
+    // No sharp (or it can't read this one): pass through what Vision reads anyway
+    if (buf.length > maxBytes) throw imageError("IMAGE_TOO_LARGE", "image-too-large");
+    return { data: buf, format, bytes: buf.length, ...(size || {}), resized: false, original };
+  }
+  if (out.data.length > maxBytes) throw imageError("IMAGE_TOO_LARGE", "image-too-large");
+  return {
+    data: out.data,
+    format: "jpeg",
+    bytes: out.data.length,
+    width: out.width,
+    height: out.height,
+    resized: true,
+    original,
+  };
+}
+
+/* ----------------------- Barcodes ----------------------- */
+let zxingModule;
+async function loadZxing() {
+  zxingModule ??= import("@zxing/library").then(
+    (m) => (m.MultiFormatOneDReader ? m : m.default),
+    () => null
+  );
+  return zxingModule;
+}
+
+// ZXing finds one code per pass: the whole frame, then overlapping quadrants
+// for the other packs in a cupboard photo. [left, top, width, height] fractions.
+const BARCODE_WINDOWS = [
+  [0, 0, 1, 1],
+  [0, 0, 0.6, 0.6],
+  [0.4, 0, 0.6, 0.6],
+  [0, 0.4, 0.6, 0.6],
+  [0.4, 0.4, 0.6, 0.6],
+];
+
+// buf: image bytes -> ["5000157024671", ...]; [] without sharp or ZXing
+export async function decodeBarcodes(buf) {
+  const [sharp, zx] = await Promise.all([loadSharp(), loadZxing()]);
+  if (!sharp || !zx) return [];
+  const { data, info } = await sharp(buf)
+    .rotate()
+    .greyscale()
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  if (info.channels !== 1) return [];
+
+  const luminance = new Uint8ClampedArray(data.buffer, data.byteOffset, data.length);
+  const frame = new zx.RGBLuminanceSource(luminance, info.width, info.height);
+  const hints = new Map([
+    [
+      zx.DecodeHintType.POSSIBLE_FORMATS,
+      [zx.BarcodeFormat.EAN_13, zx.BarcodeFormat.EAN_8, zx.BarcodeFormat.UPC_A],
+    ],
+    [zx.DecodeHintType.TRY_HARDER, true],
+  ]);
+  // The 1D reader directly: MultiFormatReader logs every miss
+  const reader = new zx.MultiFormatOneDReader(hints);
+  const found = new Set();
+  for (const [x, y, w, h] of BARCODE_WINDOWS) {
+    const left = Math.floor(x * info.width);
+    const top = Math.floor(y * info.height);
+    const region = frame.crop(left, top, Math.floor(w * info.width), Math.floor(h * info.height));
+    try {
+      found.add(reader.decode(new zx.BinaryBitmap(new zx.HybridBinarizer(region)), hints).getText());
+    } catch {
+      // NotFoundException / ChecksumException: nothing readable in this window
+    }
+  }
+  return [...found];
+}
@@ -0,0 +1,101 @@
+// /lib/ingredients.js
+// Lookup tables built once from the ontology in data/ingredients.js.
+
+import { INGREDIENTS, SHELF_LIFE_DEFAULTS } from "../data/ingredients.js";
+
+// lowercase, strip accents, letters only: "Tomato Purée" -> "tomato puree"
+export const normTerm = (s) =>
+  String(s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z]+/g, " ")
+    .trim();
+
+export const termWords = (s) => normTerm(s).split(" ").filter(Boolean);
+
+// tomatoes -> tomato, tomatoe; onion -> onions, oniones; berry -> berries
+function inflections(term) {
+  const words = term.split(" ");
+  const last = words.pop();
+  const forms = new Set();
+  if (last.endsWith("ies")) forms.add(last.slice(0, -3) + "y");
+  if (last.endsWith("es")) forms.add(last.slice(0, -2));
+  if (last.endsWith("s") && !last.endsWith("ss")) forms.add(last.slice(0, -1));
+  if (!last.endsWith("s")) {
+    forms.add(last + "s");
+    forms.add(last + "es");
+    if (last.endsWith("y")) forms.add(last.slice(0, -1) + "ies");
+  }
+  return [...forms].filter((f) => f.length >= 3).map((f) => [...words, f].join(" "));
+}
+
+/* ----------------------- Indexes ----------------------- */
+const BY_NAME = new Map(); // canonical -> entry
+const TERMS = new Map(); // any known term -> { name, via }
+
+function addTerm(term, name, via) {
+  const t = normTerm(term);
+  if (t && !TERMS.has(t)) TERMS.set(t, { name, via });
+}
+
+for (const e of INGREDIENTS) BY_NAME.set(e.name, e);
+
+// Precedence: canonical names, then synonyms/variants, then generated inflections,
+// so "pepper" stays black pepper even though "peppers" is a bell pepper synonym.
+for (const e of INGREDIENTS) addTerm(e.name, e.name, "name");
+for (const e of INGREDIENTS) {
+  for (const s of e.synonyms || []) addTerm(s, e.name, "synonym");
+  for (const s of [...(e.us || []), ...(e.uk || [])]) addTerm(s, e.name, "variant");
+}
+for (const [t, hit] of [...TERMS]) {
+  for (const f of inflections(t)) addTerm(f, hit.name, hit.via === "name" ? "plural" : hit.via);
+}
+
+export const MAX_PHRASE_WORDS = Math.max(...[...TERMS.keys()].map((t) => t.split(" ").length));
+
+// Every word that is part of some term; callVision keeps OCR tokens from this set.
+export const KNOWN_WORDS = new Set([...TERMS.keys()].flatMap((t) => t.split(" ")));
+
+// Single-word terms are the fuzzy-match candidates for misspelt tokens.
+export const SINGLE_WORD_TERMS = [...TERMS.keys()].filter((t) => !t.includes(" "));
+
+export const lookupTerm = (term) => TERMS.get(normTerm(term)) || null;
+
+// Recipe ingredient -> canonical name, trying shorter tails of the phrase:
+// "chopped tomatoes" -> tomatoes, "fresh baby spinach" -> spinach
+export function canonicalIngredient(name) {
+  const words = termWords(name);
+  for (let i = 0; i < words.length; i++) {
+    const hit = lookupTerm(words.slice(i).join(" "));
+    if (hit) return hit.name;
+  }
+  return null;
+}
+
+export const ingredientInfo = (name) => BY_NAME.get(name) || null;
+
+export const ingredientCategory = (name) => BY_NAME.get(name)?.category || null;
+
+// Days a canonical item keeps once bought; Infinity for tins and dry goods
+export function shelfLifeDays(name) {
+  const info = BY_NAME.get(name);
+  if (info?.shelfLife != null) return info.shelfLife;
+  if (info?.category === "protein") return info.animal ? 3 : Infinity;
+  if (info) return SHELF_LIFE_DEFAULTS[info.category] ?? Infinity;
+  return 7;
+}
+
+/* ----------------------- Pantry matching ----------------------- */
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const wordIn = (needle, hay) =>
+  new RegExp(`(^|\\s)${escapeRe(needle)}(s|es)?($|\\s)`).test(hay);
+
+// "chicken breast" covers "chicken"; "cheddar" does not cover "cheese"
+export const pantryMatches = (p, name) => {
+  const n = String(name || "").toLowerCase();
+  return p === n || wordIn(n, p) || wordIn(p, n);
+};
+
+export const pantryHas = (pantry, name) => pantry.some((p) => pantryMatches(p, name));
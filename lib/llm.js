@@ -0,0 +1,259 @@
+// /lib/llm.js
+// LLM backends behind one call. llmRecipes builds the prompt and normalises the
+// reply; this module only knows how to talk to each vendor's API.
+//
+//   env                per request (prefs.llm)
+//   LLM_BACKEND        backend       openai | ollama | llamacpp | vllm | anthropic
+//                                    (per request only if listed in LLM_ALLOWED_BACKENDS)
+//   LLM_BASE_URL       baseUrl       per request only if listed in LLM_ALLOWED_BASE_URLS
+//   LLM_MODEL          model         per request only if listed in LLM_ALLOWED_MODELS
+//   LLM_TEMPERATURE    temperature   0-1.5
+//   LLM_MAX_TOKENS     maxTokens     per recipe asked for
+//   LLM_JSON_MODE                    schema | json | off (default per backend)
+//   LLM_API_KEY                      else OPENAI_API_KEY / ANTHROPIC_API_KEY by backend
+//   LLM_LOCAL                        1: the env backend is a keyless server of ours
+//
+// ollama, llamacpp and vllm speak the OpenAI chat format and need no key.
+
+import { errorInfo, fetchJson } from "./http.js";
+
+/* ----------------------- Adapters ----------------------- */
+// OpenAI chat completions and everything that copies it
+const openaiAdapter = {
+  request({ baseUrl, model, apiKey, temperature, maxTokens, messages, jsonMode, schema }) {
+    return {
+      url: `${baseUrl}/chat/completions`,
+      headers: {
+        "content-type": "application/json",
+        ...(apiKey ? { authorization: `Bearer ${apiKey}` } : {}),
+      },
+      body: {
+        model,
+        temperature,
+        max_tokens: maxTokens,
+        messages,
+        ...(jsonMode === "schema"
+          ? {
+              response_format: {
+                type: "json_schema",
+                json_schema: { name: "dinner_recipes", strict: true, schema },
+              },
+            }
+          : jsonMode === "json"
+          ? { response_format: { type: "json_object" } }
+          : {}),
+      },
+    };
+  },
+  response(j) {
+    if (j?.error) return { error: j.error.message || String(j.error) };
+    const message = j?.choices?.[0]?.message;
+    if (message?.refusal) return { error: "llm-refused" };
+    return { content: message?.content };
+  },
+};
+
+// Anthropic messages API: system prompt is separate, no JSON mode (we repair instead)
+const anthropicAdapter = {
+  request({ baseUrl, model, apiKey, temperature, maxTokens, messages }) {
+    const system = messages.filter((m) => m.role === "system").map((m) => m.content).join("\n");
+    return {
+      url: `${baseUrl}/v1/messages`,
+      headers: {
+        "content-type": "application/json",
+        "anthropic-version": "2023-06-01",
+        ...(apiKey ? { "x-api-key": apiKey } : {}),
+      },
+      body: {
+        model,
+        temperature,
+        max_tokens: maxTokens,
+        ...(system ? { system } : {}),
+        messages: messages.filter((m) => m.role !== "system"),
+      },
+    };
+  },
+  response(j) {
+    if (j?.type === "error" || j?.error) return { error: j.error?.message || "anthropic-error" };
+    if (j?.stop_reason === "refusal") return { error: "llm-refused" };
+    const content = (j?.content || [])
+      .filter((c) => c.type === "text")
+      .map((c) => c.text)
+      .join("");
+    return { content };
+  },
+};
+
+const BACKENDS = {
+  openai: {
+    adapter: openaiAdapter,
+    baseUrl: "https://api.openai.com/v1",
+    model: "gpt-4o-mini",
+    jsonMode: "schema",
+    keyEnv: "OPENAI_API_KEY",
+  },
+  ollama: {
+    adapter: openaiAdapter,
+    baseUrl: "http://localhost:11434/v1",
+    model: "llama3.1",
+    jsonMode: "json",
+    local: true,
+  },
+  llamacpp: {
+    adapter: openaiAdapter,
+    baseUrl: "http://localhost:8080/v1",
+    model: "local",
+    jsonMode: "json",
+    local: true,
+  },
+  vllm: {
+    adapter: openaiAdapter,
+    baseUrl: "http://localhost:8000/v1",
+    model: "meta-llama/Llama-3.1-8B-Instruct",
+    jsonMode: "schema",
+    local: true,
+  },
+  anthropic: {
+    adapter: anthropicAdapter,
+    baseUrl: "https://api.anthropic.com",
+    model: "claude-3-5-haiku-latest",
+    jsonMode: "off",
+    keyEnv: "ANTHROPIC_API_KEY",
+  },
+};
+
+const ALIASES = { "llama.cpp": "llamacpp", "llama-cpp": "llamacpp", claude: "anthropic" };
+const JSON_MODES = ["schema", "json", "off"];
+
+const DEFAULT_TEMPERATURE = 0.45;
+const DEFAULT_MAX_TOKENS = 700; // per recipe
+const MAX_TOKENS_CAP = 4000;
+
+/* ----------------------- Config ----------------------- */
+const backendName = (v) => {
+  const n = String(v || "").trim().toLowerCase();
+  return ALIASES[n] || n;
+};
+
+const trimSlash = (u) => String(u || "").trim().replace(/\/+$/, "");
+
+const envList = (name, norm) =>
+  String(process.env[name] || "")
+    .split(",")
+    .map(norm)
+    .filter(Boolean);
+
+const numIn = (v, min, max) => {
+  const n = Number(v);
+  return v != null && v !== "" && Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : null;
+};
+
+// Env defaults, then prefs.llm on top. Per-request backends, base URLs and
+// models must be on the allowlists, otherwise anyone could point our key at
+// their own server, run the priciest model on it, or make us call whatever
+// listens on localhost.
+// -> { backend, baseUrl, model, temperature, maxTokens, jsonMode, apiKey, local, ignored }
+export function llmConfig(prefs = {}) {
+  const env = process.env;
+  const req = prefs?.llm && typeof prefs.llm === "object" ? prefs.llm : {};
+  const ignored = [];
+
+  let backend = backendName(env.LLM_BACKEND) || "openai";
+  if (!BACKENDS[backend]) {
+    ignored.push(`LLM_BACKEND=${env.LLM_BACKEND}`);
+    backend = "openai";
+  }
+  if (req.backend && backendName(req.backend) !== backend) {
+    const wanted = backendName(req.backend);
+    if (BACKENDS[wanted] && envList("LLM_ALLOWED_BACKENDS", backendName).includes(wanted)) {
+      backend = wanted;
+    } else ignored.push(`backend=${req.backend}`);
+  }
+  const def = BACKENDS[backend];
+  // LLM_BASE_URL / LLM_MODEL / LLM_API_KEY belong to the env backend only
+  const envBackend = (backendName(env.LLM_BACKEND) || "openai") === backend;
+
+  let baseUrl = (envBackend && trimSlash(env.LLM_BASE_URL)) || def.baseUrl;
+  if (req.baseUrl) {
+    if (envList("LLM_ALLOWED_BASE_URLS", trimSlash).includes(trimSlash(req.baseUrl))) {
+      baseUrl = trimSlash(req.baseUrl);
+    } else ignored.push("baseUrl");
+  }
+
+  let model = (envBackend && env.LLM_MODEL) || def.model;
+  if (req.model) {
+    if (envList("LLM_ALLOWED_MODELS", (m) => m.trim()).includes(String(req.model).trim())) {
+      model = String(req.model).trim();
+    } else ignored.push(`model=${req.model}`);
+  }
+
+  const jsonMode = JSON_MODES.includes(env.LLM_JSON_MODE) ? env.LLM_JSON_MODE : def.jsonMode;
+  const apiKey = (envBackend && env.LLM_API_KEY) || (def.keyEnv ? env[def.keyEnv] : "") || "";
+
+  return {
+    backend,
+    baseUrl,
+    model,
+    temperature:
+      numIn(req.temperature, 0, 1.5) ?? numIn(env.LLM_TEMPERATURE, 0, 1.5) ?? DEFAULT_TEMPERATURE,
+    maxTokens:
+      numIn(req.maxTokens, 100, MAX_TOKENS_CAP) ??
+      numIn(env.LLM_MAX_TOKENS, 100, MAX_TOKENS_CAP) ??
+      DEFAULT_MAX_TOKENS,
+    jsonMode,
+    apiKey,
+    // Keyless: a local backend, or one of ours that LLM_LOCAL vouches for. A
+    // different base URL alone can be a hosted proxy that still wants the key.
+    local: Boolean(def.local || (envBackend && /^(1|true|yes)$/i.test(env.LLM_LOCAL || ""))),
+    ...(ignored.length ? { ignored } : {}),
+  };
+}
+
+// Provider `enabled` check: hosted backends need a key, local ones don't
+export function llmEnabled(prefs) {
+  const cfg = llmConfig(prefs);
+  if (cfg.apiKey || cfg.local) return true;
+  return `no ${BACKENDS[cfg.backend].keyEnv || "LLM_API_KEY"}`;
+}
+
+/* ----------------------- Calling ----------------------- */
+// messages: [{ role: "system" | "user" | "assistant", content }]
+// -> { content } or { error, errorClass?, status? }
+export async function llmComplete(
+  cfg,
+  messages,
+  { schema, maxTokens = cfg.maxTokens, timeoutMs = 11000 } = {}
+) {
+  const { adapter } = BACKENDS[cfg.backend];
+  const { url, headers, body } = adapter.request({
+    ...cfg,
+    maxTokens: Math.min(MAX_TOKENS_CAP, Math.round(maxTokens)),
+    messages,
+    schema,
+  });
+
+  let j;
+  try {
+    j = await fetchJson(
+      url,
+      { method: "POST", headers, body: JSON.stringify(body) },
+      { upstream: cfg.backend, timeoutMs }
+    );
+  } catch (e) {
+    // Vendors put the useful message in the error body
+    const apiError = e.body ? adapter.response(e.body).error : null;
+    console.log("LLM fetch error:", cfg.backend, e?.code, apiError || e?.message || e);
+    return { ...errorInfo(e), ...(apiError ? { error: apiError } : {}) };
+  }
+
+  const out = adapter.response(j);
+  if (out.error) {
+    console.log("LLM API error:", cfg.backend, out.error);
+    return out;
+  }
+  if (!out.content || typeof out.content !== "string") {
+    console.log("LLM empty content:", cfg.backend, j);
+    return { error: "no content" };
+  }
+  return { content: out.content };
+}
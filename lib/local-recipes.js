@@ -0,0 +1,170 @@
+// /lib/local-recipes.js
+// In-process matcher over the bundled corpus in data/recipes.js. Used when
+// Spoonacular / the LLM are down, slow or not configured.
+
+import { RECIPE_TEMPLATES } from "../data/recipes.js";
+import { classifyCuisines, cuisinePref, mealTypePref } from "./cuisine.js";
+import { dietProfile, enforceDiet } from "./diet.js";
+import { applianceMinutes, appliancesPref } from "./energy.js";
+import { canonicalIngredient, ingredientCategory, pantryHas } from "./ingredients.js";
+import { timeCapPref } from "./rank.js";
+
+// Not counted as used/missed, same idea as Spoonacular's ignorePantry
+const STAPLES = new Set(["olive oil", "oil", "salt", "black pepper", "sugar", "flour", "water"]);
+const DEFAULT_MEALS = ["lunch", "dinner"];
+// Score multiplier per main ingredient (slot `p`, or a fixed protein) we don't have:
+// cheese and tortillas in stock don't make chicken quesadillas cookable
+const MISSING_MAIN_FACTOR = 0.5;
+
+/* ----------------------- Corpus expansion ----------------------- */
+const slug = (s) =>
+  String(s)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+
+const optionIngs = (opt) => (Array.isArray(opt.ing?.[0]) ? opt.ing : opt.ing ? [opt.ing] : []);
+const optionWord = (opt) => opt.word || optionIngs(opt)[0]?.[0] || opt.label.toLowerCase();
+
+// {slot} and {slot.prep}, then {slot?eggs,prawns:text} / {slot?!eggs:text}
+function fill(str, picked) {
+  return str
+    .replace(/\{(\w+)(\.prep)?\}/g, (_, slot, prep) => {
+      const opt = picked[slot];
+      if (!opt) return "";
+      return prep ? opt.prep || "" : optionWord(opt);
+    })
+    .replace(/\{(\w+)\?(!?)([\w ,]+):([^{}]*)\}/g, (_, slot, not, words, text) => {
+      const opt = picked[slot];
+      const hit = Boolean(opt) && words.split(",").some((w) => w.trim() === optionWord(opt));
+      return hit === !not ? text : "";
+    });
+}
+
+const isProtein = (name) => ingredientCategory(canonicalIngredient(name) || name) === "protein";
+
+function expandTemplate(t) {
+  const slotNames = Object.keys(t.slots || {});
+  let combos = [{}];
+  for (const name of slotNames) {
+    combos = combos.flatMap((c) => t.slots[name].map((opt) => ({ ...c, [name]: opt })));
+  }
+
+  const meals = t.meals || DEFAULT_MEALS;
+  return combos.map((picked) => {
+    const title = t.title
+      .replace(/\{(\w+)\}/g, (_, slot) => picked[slot]?.label || "")
+      .replace(/\s+/g, " ")
+      .trim();
+
+    const ingredients = [];
+    const main = [];
+    const seen = new Set();
+    for (const entry of t.ingredients) {
+      const slot = typeof entry === "string" ? entry.slice(1, -1) : null;
+      const tuples = slot ? optionIngs(picked[slot] || {}) : [entry];
+      for (const [name, amount, unit, note] of tuples) {
+        if (seen.has(name)) continue;
+        seen.add(name);
+        ingredients.push({ name, amount, unit: unit || "", ...(note ? { note } : {}) });
+        if (slot === "p" || (!slot && isProtein(name))) main.push(name);
+      }
+    }
+
+    const steps = t.steps.map((s) => fill(s, picked).trim()).filter(Boolean);
+
+    const recipe = {
+      id: `local-${t.key}-${slotNames.map((n) => slug(picked[n].label)).join("-")}`,
+      template: t.key,
+      title,
+      time: t.time,
+      energy: t.energy,
+      servings: t.servings,
+      meals,
+      ingredients,
+      main,
+      steps,
+    };
+    return { ...recipe, cuisines: t.cuisine ? [t.cuisine] : classifyCuisines(recipe) };
+  });
+}
+
+export const LOCAL_RECIPES = RECIPE_TEMPLATES.flatMap(expandTemplate);
+
+/* ----------------------- Matching ----------------------- */
+export function localRecipes(pantry, prefs = {}, limit = 3) {
+  const timeCap = timeCapPref(prefs);
+  const profile = dietProfile(prefs);
+  const have = appliancesPref(prefs);
+  const cookable = (r) => !have || Object.keys(applianceMinutes(r)).every((a) => have.has(a));
+  // The corpus is savoury mains: nothing for a dessert or a snack. Cuisines we
+  // have no keywords for can't be told apart, so those don't filter.
+  const mealType = mealTypePref(prefs);
+  const cuisine = cuisinePref(prefs);
+  const suits = (r) =>
+    r.meals.includes(mealType) &&
+    (!cuisine?.known.length || r.cuisines.some((c) => cuisine.known.includes(c)));
+
+  const { kept } = enforceDiet(
+    LOCAL_RECIPES.filter((r) => r.time <= timeCap && cookable(r) && suits(r)),
+    profile
+  );
+
+  const scored = kept
+    .map((r) => {
+      const ingredients = r.ingredients.map((ing) => ({
+        ...ing,
+        have: pantryHas(pantry, ing.name),
+      }));
+      const counted = ingredients.filter((ing) => !STAPLES.has(ing.name));
+      const used = counted.filter((ing) => ing.have).length;
+      const missed = counted.length - used;
+      const mainMissing = r.main.filter((name) => !pantryHas(pantry, name)).length;
+      const score =
+        (0.7 * (used / (used + missed + 1)) + 0.3 * (1 - Math.min(r.time, 60) / 60)) *
+        MISSING_MAIN_FACTOR ** mainMissing;
+      return { r, ingredients, used, missed, score };
+    })
+    .filter((x) => !pantry.length || x.used >= 1)
+    .sort((a, b) => b.score - a.score || a.missed - b.missed);
+
+  // One card per template first, so we don't return three near-identical curries
+  const picked = [];
+  const templates = new Set();
+  for (const x of scored) {
+    if (picked.length >= limit) break;
+    if (templates.has(x.r.template)) continue;
+    templates.add(x.r.template);
+    picked.push(x);
+  }
+  for (const x of scored) {
+    if (picked.length >= limit) break;
+    if (!picked.includes(x)) picked.push(x);
+  }
+
+  const results = picked.map(({ r, ingredients, score }) => ({
+    id: r.id,
+    template: r.template,
+    title: r.title,
+    time: r.time,
+    energy: r.energy,
+    servings: r.servings,
+    cuisines: r.cuisines,
+    score: Math.round(score * 100) / 100,
+    ingredients,
+    steps: r.steps.map((text, i) => ({ id: `${r.id}-s${i}`, text })),
+    badges: ["local"],
+  }));
+
+  return {
+    results,
+    info: {
+      corpusSize: LOCAL_RECIPES.length,
+      matched: scored.length,
+      kept: results.length,
+      timeCap,
+      mealType,
+      ...(cuisine ? { cuisine: [...cuisine.known, ...cuisine.other] } : {}),
+    },
+  };
+}
@@ -0,0 +1,116 @@
+// /lib/nutrition.js
+// Per-serving nutrition for every recipe: Spoonacular's own numbers when we
+// have them, otherwise an estimate from the table in data/nutrients.js.
+
+import { NUTRIENTS, PIECE_WEIGHTS } from "../data/nutrients.js";
+import { canonicalIngredient, ingredientCategory } from "./ingredients.js";
+import { isMeasure, toBase } from "./units.js";
+
+export const NUTRIENT_KEYS = ["kcal", "protein", "carbs", "fat", "fibre", "salt"];
+
+// Per-serving grams when a recipe gives no usable amount (e.g. the emergency card)
+const PORTIONS = { protein: 120, veg: 80, fruit: 80, dairy: 30, staple: 75, spice: 1 };
+
+const DEFAULT_SERVINGS = 2;
+
+const round1 = (x) => Math.round(x * 10) / 10;
+
+/* ----------------------- Amounts ----------------------- */
+const nutrientName = (name) => {
+  const n = String(name || "").toLowerCase().trim();
+  if (NUTRIENTS[n]) return n;
+  const c = canonicalIngredient(n);
+  return c && NUTRIENTS[c] ? c : null;
+};
+
+// Grams per serving for one ingredient line (canonical `name`). Lines without
+// a usable amount get a typical portion for the category. 1 ml ~ 1 g, as in lib/units.js.
+export function gramsPerServing(ing, name, servings) {
+  const amount = Number(ing.amount);
+  let grams = null;
+  if (amount > 0) {
+    grams =
+      !isMeasure(ing.unit) && PIECE_WEIGHTS[name]
+        ? amount * PIECE_WEIGHTS[name]
+        : toBase(amount, ing.unit)?.amount ?? null;
+  }
+  return grams != null ? grams / servings : PORTIONS[ingredientCategory(name)] ?? 50;
+}
+
+export const recipeServings = (recipe) =>
+  Number(recipe?.servings) > 0 ? Number(recipe.servings) : DEFAULT_SERVINGS;
+
+/* ----------------------- Estimation ----------------------- */
+export function estimateNutrition(recipe) {
+  const ingredients = Array.isArray(recipe?.ingredients) ? recipe.ingredients : [];
+  const servings = recipeServings(recipe);
+  const totals = [0, 0, 0, 0, 0, 0];
+  let matched = 0;
+
+  for (const ing of ingredients) {
+    const name = nutrientName(ing.name);
+    if (!name) continue;
+    matched++;
+    const perServing = gramsPerServing(ing, name, servings);
+    NUTRIENTS[name].forEach((v, i) => {
+      totals[i] += (v * perServing) / 100;
+    });
+  }
+
+  const out = Object.fromEntries(NUTRIENT_KEYS.map((k, i) => [k, round1(totals[i])]));
+  out.kcal = Math.round(totals[0]);
+  return {
+    ...out,
+    per: "serving",
+    source: "estimate",
+    coverage: ingredients.length ? Math.round((matched / ingredients.length) * 100) / 100 : 0,
+  };
+}
+
+// Spoonacular's nutrition.nutrients (addRecipeNutrition=true) is already per serving
+export function spoonacularNutrition(it) {
+  const list = it?.nutrition?.nutrients;
+  if (!Array.isArray(list) || !list.length) return null;
+  const get = (n) => Number(list.find((x) => x.name === n)?.amount) || 0;
+  return {
+    kcal: Math.round(get("Calories")),
+    protein: round1(get("Protein")),
+    carbs: round1(get("Carbohydrates")),
+    fat: round1(get("Fat")),
+    fibre: round1(get("Fiber")),
+    salt: round1((get("Sodium") * 2.5) / 1000),
+    per: "serving",
+    source: "spoonacular",
+  };
+}
+
+export const withNutrition = (recipe) =>
+  recipe?.nutrition ? recipe : { ...recipe, nutrition: estimateNutrition(recipe) };
+
+/* ----------------------- Prefs ----------------------- */
+export function nutritionPrefs(prefs = {}) {
+  const maxCalories = Number(prefs.maxCalories);
+  const minProtein = Number(prefs.minProtein);
+  return {
+    maxCalories: maxCalories > 0 ? maxCalories : null,
+    minProtein: minProtein > 0 ? minProtein : null,
+  };
+}
+
+// -> { kept, dropped } like enforceDiet
+export function enforceNutrition(recipes, limits) {
+  if (!limits.maxCalories && !limits.minProtein) return { kept: recipes, dropped: [] };
+  const kept = [];
+  const dropped = [];
+  for (const r of recipes) {
+    const n = r.nutrition || estimateNutrition(r);
+    const reasons = [];
+    if (limits.maxCalories && n.kcal > limits.maxCalories) reasons.push(`kcal ${n.kcal} > ${limits.maxCalories}`);
+    if (limits.minProtein && n.protein < limits.minProtein) {
+      reasons.push(`protein ${n.protein}g < ${limits.minProtein}g`);
+    }
+    if (reasons.length) dropped.push({ id: r.id, title: r.title, reasons });
+    else kept.push(r);
+  }
+  return { kept, dropped };
+}
@@ -0,0 +1,112 @@
+// /lib/plan.js
+// Greedy 3-7 day dinner plan over a pool of already-filtered recipes:
+// perishable pantry items get used first and early, and days that reuse
+// something already on the week's shopping list are preferred.
+
+import { usesPantryItem as uses } from "./freshness.js";
+import { pantryMatches, shelfLifeDays } from "./ingredients.js";
+
+const DEFAULT_DAYS = 5;
+
+export function planDaysPref(prefs = {}) {
+  const n = Math.round(Number(prefs.days));
+  return Number.isFinite(n) && n > 0 ? Math.min(7, Math.max(3, n)) : DEFAULT_DAYS;
+}
+
+/* ----------------------- Scoring ----------------------- */
+const URGENCY = 0.5; // per perishable item, scaled by how close it is to going off
+const REUSE = 0.1; // per missing ingredient already being bought this week
+const NEW_ITEM = 0.05; // per missing ingredient that adds to the shopping list
+const REPEAT = 0.5; // same local template twice in one week
+const SAME_MAIN = 0.15; // per earlier day with the same main (first) ingredient
+
+const usedUp = (ing, consumed) =>
+  ing.have && [...consumed].some((c) => pantryMatches(c, String(ing.name || "").toLowerCase()));
+
+// Missing ingredients, plus fresh pantry items an earlier day already used up
+const toBuy = (recipe, consumed) =>
+  (recipe.ingredients || [])
+    .filter((ing) => (!ing.have && !ing.substitute) || usedUp(ing, consumed))
+    .map((ing) => ({ name: String(ing.name || "").toLowerCase(), rebuy: Boolean(ing.have) }));
+
+const mainOf = (recipe) => String(recipe.ingredients?.[0]?.name || "").toLowerCase();
+
+function planScore(recipe, day, stock, bought, consumed, templates, mains) {
+  let urgency = 0;
+  for (const p of stock) {
+    if (p.usedOn || !Number.isFinite(p.shelf) || p.shelf <= day) continue;
+    if (uses(recipe, p.name)) urgency += URGENCY / (p.shelf - day);
+  }
+  let shopping = 0;
+  // Leftover packs (ginger, soy sauce) are worth reusing; a second chicken isn't
+  for (const { name, rebuy } of toBuy(recipe, consumed)) {
+    shopping += !rebuy && bought.has(name) ? REUSE : -NEW_ITEM;
+  }
+  const variety =
+    (recipe.template && templates.has(recipe.template) ? -REPEAT : 0) -
+    SAME_MAIN * mains.filter((m) => m && m === mainOf(recipe)).length;
+  const base = typeof recipe.score === "number" ? recipe.score : 0.5;
+  const round = (x) => Math.round(x * 100) / 100;
+  return {
+    total: base + urgency + shopping + variety,
+    parts: { base: round(base), urgency: round(urgency), shopping: round(shopping), variety: round(variety) },
+  };
+}
+
+/* ----------------------- Planning ----------------------- */
+// pool: recipes after the usual gates; pantry: accepted pantry names;
+// daysLeft: name -> days the client says it has left (beats the shelf life)
+// -> { days: [{ day, recipe, uses, score }], waste, unused }
+export function planWeek(pool, pantry, { days = DEFAULT_DAYS, timeCap = Infinity, daysLeft = {} } = {}) {
+  // An item that goes off today still has to be cooked on day 1
+  const shelfOf = (name) => (daysLeft[name] != null ? Math.max(1, daysLeft[name]) : shelfLifeDays(name));
+  const stock = pantry.map((name) => ({ name, shelf: shelfOf(name), usedOn: null }));
+  const candidates = pool.filter((r) => !(r.time > timeCap));
+  const bought = new Set();
+  const consumed = new Set(); // perishables eaten on an earlier day
+  const templates = new Set();
+  const mains = [];
+  const picked = new Set();
+  const out = [];
+
+  for (let day = 0; day < days; day++) {
+    let best = null;
+    for (const r of candidates) {
+      if (picked.has(r.id)) continue;
+      const s = planScore(r, day, stock, bought, consumed, templates, mains);
+      if (!best || s.total > best.total) best = { recipe: r, ...s };
+    }
+    if (!best) break;
+
+    // Used-up pantry items go back on the shopping list for this day
+    const recipe = {
+      ...best.recipe,
+      ingredients: (best.recipe.ingredients || []).map((ing) =>
+        usedUp(ing, consumed) ? { ...ing, have: false, usedUp: true } : ing
+      ),
+    };
+    picked.add(recipe.id);
+    if (recipe.template) templates.add(recipe.template);
+    mains.push(mainOf(recipe));
+    for (const { name } of toBuy(best.recipe, consumed)) bought.add(name);
+
+    const usedToday = [];
+    for (const p of stock) {
+      if (!p.usedOn && uses(recipe, p.name)) {
+        p.usedOn = day + 1;
+        usedToday.push(p.name);
+        if (Number.isFinite(p.shelf)) consumed.add(p.name);
+      }
+    }
+    out.push({ day: day + 1, recipe, uses: usedToday, score: best.parts });
+  }
+
+  return {
+    days: out,
+    // Perishables the plan never gets to before they'd go off
+    waste: stock
+      .filter((p) => !p.usedOn && Number.isFinite(p.shelf) && p.shelf <= days)
+      .map((p) => ({ name: p.name, shelfLifeDays: p.shelf })),
+    unused: stock.filter((p) => !p.usedOn).map((p) => p.name),
+  };
+}
@@ -0,0 +1,174 @@
+// /lib/products.js
+// Packaging -> pantry items via the product table in data/products.js (plus
+// PRODUCTS_FILE). Barcodes come first: decoded from the pixels
+// (lib/images.js decodeBarcodes) or, when the bars are blurred, the digits
+// printed under them as Vision's OCR read them. Brand + product-name words are
+// the fallback for packs whose barcode faces away or isn't in the table.
+// Barcodes need PRODUCTS_FILE (see data/products.js): few bundled rows have one.
+
+import { readFileSync } from "node:fs";
+import { PRODUCTS } from "../data/products.js";
+import { lookupTerm, MAX_PHRASE_WORDS, normTerm, termWords } from "./ingredients.js";
+import { parseQuantities } from "./units.js";
+
+// Observation scores by how the pack was recognised
+const SCORES = { barcode: 0.98, product: 0.9, partial: 0.8, brand: 0.75 };
+const NAME_STOP = new Set(["to", "in", "of", "and", "with", "the"]);
+const GTIN_LENGTHS = new Set([8, 12, 13, 14]);
+
+/* ----------------------- GTIN ----------------------- */
+// Mod-10 check digit: weights 3, 1, 3, ... from the right, check digit excluded
+export function gtinValid(code) {
+  const digits = String(code ?? "");
+  if (!/^\d+$/.test(digits) || !GTIN_LENGTHS.has(digits.length)) return false;
+  let sum = 0;
+  for (let i = digits.length - 2, w = 3; i >= 0; i--, w = 4 - w) sum += Number(digits[i]) * w;
+  return (10 - (sum % 10)) % 10 === Number(digits.at(-1));
+}
+
+// UPC-A "0 12345 67890 5" and EAN-13 "0012345678905" are the same GTIN-14
+const gtinKey = (code) => String(code).padStart(14, "0");
+
+// Valid GTINs in OCR text. Barcode digits come in space-separated groups
+// ("5 000157 024671") and may run into other numbers ("... 024671 415g"), so
+// the longest valid run of whole groups wins at each position.
+export function barcodesIn(text) {
+  const found = new Set();
+  for (const m of String(text ?? "").matchAll(/\d[\d ]*\d/g)) {
+    const groups = m[0].split(/ +/);
+    for (let i = 0; i < groups.length; i++) {
+      for (let j = groups.length; j > i; j--) {
+        const digits = groups.slice(i, j).join("");
+        if (digits.length > 14 || !gtinValid(digits)) continue;
+        found.add(digits);
+        i = j - 1;
+        break;
+      }
+    }
+  }
+  return [...found];
+}
+
+/* ----------------------- Table ----------------------- */
+// First (longest) known ingredient phrase in a product name
+function ingredientFromName(name) {
+  const words = termWords(name);
+  for (let n = Math.min(MAX_PHRASE_WORDS, words.length); n >= 1; n--) {
+    for (let i = 0; i + n <= words.length; i++) {
+      const hit = lookupTerm(words.slice(i, i + n).join(" "));
+      if (hit) return hit.name;
+    }
+  }
+  return null;
+}
+
+// Our rows or Open Food Facts' (code / brands / product_name / quantity)
+function normalizeRow(row) {
+  const brand = String(row.brand ?? String(row.brands ?? "").split(",")[0]).trim();
+  const name = String(row.name ?? row.product_name ?? "").trim();
+  const ingredient = row.ingredient
+    ? lookupTerm(row.ingredient)?.name || null
+    : ingredientFromName(name);
+  if (!ingredient || (!brand && !row.code)) return null;
+  const code = String(row.code ?? "").replace(/\D/g, "");
+  return {
+    ...(gtinValid(code) ? { code } : {}),
+    brand,
+    name,
+    ingredient,
+    ...(row.quantity ? { quantity: String(row.quantity) } : {}),
+  };
+}
+
+function loadExtract(path) {
+  try {
+    const text = readFileSync(path, "utf8").trim();
+    const rows = text.startsWith("[")
+      ? JSON.parse(text)
+      : text.split("\n").filter(Boolean).map((line) => JSON.parse(line));
+    console.log("products: loaded", rows.length, "rows from", path);
+    return rows;
+  } catch (e) {
+    console.log("products: can't read PRODUCTS_FILE", path, e?.message || e);
+    return [];
+  }
+}
+
+const ROWS = [
+  ...PRODUCTS,
+  ...(process.env.PRODUCTS_FILE ? loadExtract(process.env.PRODUCTS_FILE) : []),
+]
+  .map(normalizeRow)
+  .filter(Boolean);
+
+const BY_CODE = new Map(ROWS.filter((r) => r.code).map((r) => [gtinKey(r.code), r]));
+if (!process.env.PRODUCTS_FILE) {
+  console.log("products: no PRODUCTS_FILE, barcodes match", BY_CODE.size, "bundled rows only");
+}
+
+// normalised brand -> { phrase, rows }
+const BY_BRAND = new Map();
+for (const r of ROWS) {
+  const key = normTerm(r.brand);
+  if (!key) continue;
+  if (!BY_BRAND.has(key)) BY_BRAND.set(key, { phrase: ` ${key} `, rows: [] });
+  BY_BRAND.get(key).rows.push(r);
+}
+
+export const lookupBarcode = (code) =>
+  gtinValid(code) ? BY_CODE.get(gtinKey(code)) || null : null;
+
+/* ----------------------- Matching ----------------------- */
+const nameWords = (name) => termWords(name).filter((w) => !NAME_STOP.has(w));
+
+// Products of one brand seen in the text: every name word present beats most of
+// them present; a brand that only makes one thing matches on its own
+function brandProducts(rows, words) {
+  const scored = rows
+    .filter((r) => r.name)
+    .map((r) => {
+      const want = nameWords(r.name);
+      const have = want.filter((w) => words.has(w)).length;
+      return { r, ratio: want.length ? have / want.length : 0 };
+    });
+  const full = scored.filter((s) => s.ratio === 1);
+  if (full.length) return full.map((s) => ({ ...s.r, via: "product" }));
+  const best = scored.filter((s) => s.ratio >= 0.5).sort((a, b) => b.ratio - a.ratio)[0];
+  if (best) return [{ ...best.r, via: "partial" }];
+  return rows.filter((r) => !r.name).map((r) => ({ ...r, via: "brand" }));
+}
+
+// OCR text (+ barcodes decoded from the image) -> [{ brand, name, ingredient,
+// quantity?, code?, via }]
+export function productsInText(text, decoded = []) {
+  const out = [];
+  const seen = new Set();
+  const add = (p) => {
+    const key = `${p.brand}|${p.name}|${p.ingredient}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    out.push(p);
+  };
+
+  for (const code of new Set([...decoded, ...barcodesIn(text)])) {
+    const row = lookupBarcode(code);
+    if (row) add({ ...row, code, via: "barcode" });
+  }
+
+  const norm = ` ${normTerm(text)} `;
+  const words = new Set(termWords(text));
+  for (const { phrase, rows } of BY_BRAND.values()) {
+    if (norm.includes(phrase)) brandProducts(rows, words).forEach(add);
+  }
+  return out;
+}
+
+// cleanPantry observation: the canonical name, scored by how it was found,
+// with the pack size as its quantity
+export const productObservation = (p) => ({
+  text: p.ingredient,
+  feature: p.via === "barcode" ? "barcode" : "brand",
+  score: SCORES[p.via],
+  quantities: parseQuantities(p.quantity).map((q) => ({ ...q, at: null })),
+  product: [p.brand, p.name].filter(Boolean).join(" ") || p.code,
+});
@@ -0,0 +1,195 @@
+// /lib/providers.js
+// Recipe-provider registry. A provider is:
+//   {
+//     name: "spoonacular",
+//     enabled(prefs) -> true | "reason it's off",
+//     timeoutMs: 2500,
+//     maxResults?: 1,        // cap on cards this provider contributes to the merge (or (prefs) -> cap)
+//     fallback?: true,       // only consulted when every primary provider came back empty
+//     inProcess?: true,      // no I/O: runs on its own timeout even once the deadline is spent
+//     cacheTtlMs?: 3600000,  // cache results for this long (CACHE_TTL_<NAME> overrides)
+//     cachePrefs?: [...],    // prefs its request depends on (default PROVIDER_PREFS)
+//     cacheKey?(pantry, prefs, context) -> extra key parts beyond pantry + prefs
+//     fetch(pantry, prefs, { count, timeoutMs, ...context })
+//       -> { recipes: [...normalized], info: {...} }
+//   }
+// Order (= priority) and result count come from env or per-request prefs.
+
+import { cacheGet, cacheKey, cacheSet, keyedPrefs, ttlFor } from "./cache.js";
+import { nowMs, withTimeout } from "./timing.js";
+
+const DEFAULT_ORDER = ["llm", "spoonacular", "local", "emergency"];
+const DEFAULT_COUNT = 3;
+const MAX_COUNT = 10;
+
+const registry = new Map();
+
+export function registerProvider(def) {
+  if (!def?.name || typeof def.fetch !== "function") {
+    throw new Error("provider needs a name and a fetch()");
+  }
+  registry.set(def.name, { timeoutMs: 5000, enabled: () => true, ...def });
+}
+
+export const listProviders = () => [...registry.keys()];
+
+const asList = (v) =>
+  (Array.isArray(v) ? v : typeof v === "string" ? v.split(",") : [])
+    .map((x) => String(x).trim().toLowerCase())
+    .filter(Boolean);
+
+// -> { order: [names], count, unknown: [names] }
+export function providerPlan(prefs = {}) {
+  const requested = asList(prefs.providers);
+  const envOrder = asList(process.env.RECIPE_PROVIDERS);
+  const base = requested.length ? requested : envOrder.length ? envOrder : DEFAULT_ORDER;
+
+  const order = [...new Set(base)].filter((n) => registry.has(n));
+  const unknown = base.filter((n) => !registry.has(n));
+
+  const rawCount = Number(prefs.count ?? process.env.RECIPE_COUNT ?? DEFAULT_COUNT);
+  const count = Number.isFinite(rawCount)
+    ? Math.min(MAX_COUNT, Math.max(1, Math.round(rawCount)))
+    : DEFAULT_COUNT;
+
+  return { order, count, unknown };
+}
+
+// Errors and empty results aren't worth keeping
+const cacheable = (out, recipes) => recipes.length > 0 && !out?.info?.error;
+
+async function runOne(p, pantry, prefs, ctx, useCache) {
+  const t0 = nowMs();
+  const enabled = p.enabled(prefs);
+  if (enabled !== true) {
+    return { recipes: [], debug: { enabled: false, reason: String(enabled || "disabled") } };
+  }
+
+  const ttlMs = ttlFor(p.name, p.cacheTtlMs || 0);
+  const key =
+    ttlMs > 0
+      ? cacheKey(`provider:${p.name}`, {
+          pantry: [...pantry].sort(),
+          prefs: keyedPrefs(prefs, p.cachePrefs),
+          count: ctx.count,
+          extra: p.cacheKey ? p.cacheKey(pantry, prefs, ctx) : null,
+        })
+      : null;
+  const cache = !key ? undefined : useCache ? "miss" : "bypass";
+  if (key && useCache) {
+    const hit = await cacheGet(key);
+    if (hit) {
+      console.log(`${p.name} cache hit in`, nowMs() - t0, "ms count=", hit.recipes.length);
+      return {
+        recipes: hit.recipes,
+        debug: { ms: nowMs() - t0, count: hit.recipes.length, info: hit.info, cache: "hit" },
+      };
+    }
+  }
+
+  // The request deadline can cut a provider's own timeout short, but a spent
+  // deadline mustn't leave the user with nothing when an in-process one can answer
+  const budget = ctx.deadline ? ctx.deadline.budget(p.timeoutMs) : p.timeoutMs;
+  const timeoutMs = budget <= 0 && p.inProcess ? p.timeoutMs : budget;
+  if (timeoutMs <= 0) {
+    return { recipes: [], unfinished: true, debug: { skipped: "deadline" } };
+  }
+
+  try {
+    const out = await withTimeout(
+      () => p.fetch(pantry, prefs, { ...ctx, timeoutMs }),
+      timeoutMs,
+      `${p.name}-provider-timeout`
+    );
+    const recipes = Array.isArray(out?.recipes) ? out.recipes : [];
+    console.log(`${p.name} end in`, nowMs() - t0, "ms count=", recipes.length);
+    if (key && cacheable(out, recipes)) await cacheSet(key, { recipes, info: out?.info }, ttlMs);
+    return {
+      recipes,
+      debug: {
+        ms: nowMs() - t0,
+        count: recipes.length,
+        info: out?.info,
+        ...(cache ? { cache } : {}),
+      },
+    };
+  } catch (e) {
+    console.log(`${p.name} provider error:`, e?.message || e);
+    const cut = timeoutMs < p.timeoutMs && String(e?.message).endsWith("-provider-timeout");
+    return {
+      recipes: [],
+      ...(cut ? { unfinished: true } : {}),
+      debug: { ms: nowMs() - t0, error: String(e?.message || e), ...(cut ? { deadline: true } : {}) },
+    };
+  }
+}
+
+const limitOf = (p, prefs) =>
+  (typeof p.maxResults === "function" ? p.maxResults(prefs) : p.maxResults) ?? Infinity;
+
+function take(combined, list, limit, count) {
+  let taken = 0;
+  for (const rec of list) {
+    if (combined.length >= count || taken >= limit) break;
+    const id = String(rec.id || "").toLowerCase();
+    if (combined.some((r) => String(r.id || "").toLowerCase() === id)) continue;
+    combined.push(rec);
+    taken++;
+  }
+}
+
+// Runs the plan: primaries concurrently; fallbacks one by one until something
+// survives `filter` (e.g. the diet gate). Each provider's share (maxResults) is
+// pooled and `rank` orders the pool before it's cut to `count`; without one,
+// priority order wins.
+// context.deadline caps every provider's timeout; onProgress(recipes, name) gets
+// the merge of whatever has finished so far each time a provider settles.
+// cache: false skips reading the cache (fresh results still refresh it).
+export async function runProviders(
+  pantry,
+  prefs = {},
+  { filter = (r) => r, rank = (r) => r, context = {}, onProgress = () => {}, cache = true } = {}
+) {
+  const plan = providerPlan(prefs);
+  const ctx = { ...context, count: plan.count };
+  const providers = plan.order.map((n) => registry.get(n));
+  const primaries = providers.filter((p) => !p.fallback);
+  const fallbacks = providers.filter((p) => p.fallback);
+
+  const debug = {};
+  const unfinished = [];
+  const settled = new Map(); // name -> filtered recipes
+  const merge = () => {
+    const pool = [];
+    for (const p of providers) {
+      if (settled.has(p.name)) take(pool, settled.get(p.name), limitOf(p, prefs), Infinity);
+    }
+    return rank(pool).slice(0, plan.count);
+  };
+  const settle = (p, out) => {
+    debug[p.name] = out.debug;
+    if (out.unfinished) unfinished.push(p.name);
+    settled.set(p.name, filter(out.recipes));
+    onProgress(merge(), p.name);
+  };
+
+  await Promise.all(
+    primaries.map((p) => runOne(p, pantry, prefs, ctx, cache).then((out) => settle(p, out)))
+  );
+
+  for (const p of fallbacks) {
+    if (merge().length) break;
+    settle(p, await runOne(p, pantry, prefs, ctx, cache));
+  }
+
+  return {
+    recipes: merge(),
+    info: {
+      order: plan.order,
+      count: plan.count,
+      unknown: plan.unknown,
+      runs: debug,
+      ...(unfinished.length ? { unfinished } : {}),
+    },
+  };
+}
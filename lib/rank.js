@@ -0,0 +1,181 @@
+// /lib/rank.js
+// One ranking for every provider's recipes (instead of provider priority):
+// pantry coverage, missing ingredients, time against prefs.time, what's left to
+// buy against the budget, soft preferences (likes, cuisine) and use-soon items. Near-duplicates
+// across providers are collapsed into the better-scored one.
+
+import { budgetPref } from "./cost.js";
+import { cuisinePref, matchesCuisine } from "./cuisine.js";
+import { canonicalIngredient, termWords } from "./ingredients.js";
+
+// Weighted sum of parts in 0-1; env RANK_WEIGHTS (JSON) and prefs.rankWeights
+// override individual weights
+export const DEFAULT_WEIGHTS = {
+  coverage: 0.35, // share of ingredients we have (or can swap)
+  missing: 0.15, // fewer things to buy
+  time: 0.2, // within prefs.time
+  cost: 0.15, // missing-ingredient cost against the budget
+  prefs: 0.15, // prefs.likes found in the recipe, prefs.cuisine matched
+  fresh: 0.3, // uses pantry items that go off soon (lib/freshness.js)
+};
+
+const MAX_WEIGHT = 5;
+const DEFAULT_TIME = 25;
+const COST_REF = 5; // "expensive" when no budget is set, in the region's currency
+const MISSING_REF = 5; // this many things to buy scores 0
+const MAX_FRESH_BOOST = 0.45;
+
+// prefs.time in minutes, "30" as well as 30; DEFAULT_TIME when it isn't a number
+export function timePref(prefs = {}) {
+  const n = Number(prefs?.time);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_TIME;
+}
+
+// Hard limit for providers and the local corpus: a little over what was asked
+export const timeCapPref = (prefs) => Math.max(10, timePref(prefs) + 10);
+
+function weightOverrides(raw) {
+  let obj = raw;
+  if (typeof raw === "string") {
+    try {
+      obj = JSON.parse(raw);
+    } catch {
+      console.log("RANK_WEIGHTS is not JSON, ignored");
+      return {};
+    }
+  }
+  if (!obj || typeof obj !== "object") return {};
+  const out = {};
+  for (const [k, v] of Object.entries(obj)) {
+    const n = Number(v);
+    if (k in DEFAULT_WEIGHTS && Number.isFinite(n)) {
+      out[k] = Math.min(MAX_WEIGHT, Math.max(0, n));
+    }
+  }
+  return out;
+}
+
+export function rankWeights(prefs = {}) {
+  return {
+    ...DEFAULT_WEIGHTS,
+    ...weightOverrides(process.env.RANK_WEIGHTS),
+    ...weightOverrides(prefs?.rankWeights),
+  };
+}
+
+const asList = (v) =>
+  (Array.isArray(v) ? v : typeof v === "string" ? v.split(",") : [])
+    .map((x) => String(x).trim().toLowerCase())
+    .filter(Boolean);
+
+/* ----------------------- Features ----------------------- */
+const round2 = (x) => Math.round(x * 100) / 100;
+
+// -> { coverage, missing, time, cost, prefs, fresh }, each 0-1
+export function rankParts(recipe, prefs = {}) {
+  const ings = Array.isArray(recipe.ingredients) ? recipe.ingredients : [];
+  const covered = ings.filter((i) => i.have || i.substitute).length;
+  const short = recipe.stock?.short?.length || 0;
+  const toBuy = ings.length - covered + short;
+
+  const target = timePref(prefs);
+  const time = Number(recipe.time) || target;
+
+  const spend = recipe.pricing?.missing;
+  const costRef = budgetPref(prefs) || COST_REF;
+
+  // Mean of the soft preferences that are set; neutral when none are
+  const likes = asList(prefs?.likes);
+  const text = [recipe.title, ...ings.map((i) => i.name)].join(" ").toLowerCase();
+  const cuisine = cuisinePref(prefs);
+  const soft = [
+    ...(likes.length ? [likes.filter((l) => text.includes(l)).length / likes.length] : []),
+    ...(cuisine?.known.length ? [matchesCuisine(recipe, cuisine) ? 1 : 0] : []),
+  ];
+
+  return {
+    coverage: ings.length ? covered / ings.length : 0,
+    missing: 1 - Math.min(1, toBuy / MISSING_REF),
+    time: time <= target ? 1 : Math.max(0, 1 - (time - target) / target),
+    cost: typeof spend === "number" ? 1 - Math.min(1, spend / costRef) : 0.5,
+    prefs: soft.length ? soft.reduce((a, b) => a + b, 0) / soft.length : 0.5,
+    fresh: Math.min(1, (recipe.freshBoost || 0) / MAX_FRESH_BOOST),
+  };
+}
+
+export function scoreRecipe(recipe, weights, prefs) {
+  const parts = rankParts(recipe, prefs);
+  const total = Object.entries(parts).reduce((acc, [k, v]) => acc + (weights[k] || 0) * v, 0);
+  return {
+    total: round2(total),
+    parts: Object.fromEntries(Object.entries(parts).map(([k, v]) => [k, round2(v)])),
+  };
+}
+
+/* ----------------------- Duplicates ----------------------- */
+const TITLE_STOP = new Set([
+  "and",
+  "with",
+  "the",
+  "a",
+  "of",
+  "in",
+  "easy",
+  "quick",
+  "simple",
+  "style",
+]);
+const TITLE_SIMILAR = 0.6;
+const INGREDIENTS_SIMILAR = 0.5;
+
+const jaccard = (a, b) => {
+  if (!a.size && !b.size) return 0;
+  let both = 0;
+  for (const x of a) if (b.has(x)) both++;
+  return both / (a.size + b.size - both);
+};
+
+const titleWords = (r) =>
+  new Set(
+    termWords(r.title)
+      .map((w) => w.replace(/(es|s)$/, ""))
+      .filter((w) => w.length > 1 && !TITLE_STOP.has(w))
+  );
+
+const ingredientSet = (r) =>
+  new Set(
+    (r.ingredients || []).map((i) => {
+      const name = String(i.name || "").toLowerCase();
+      return canonicalIngredient(name) || name;
+    })
+  );
+
+// Same dish from two providers: similar titles and mostly the same ingredients
+export function isNearDuplicate(a, b) {
+  return (
+    jaccard(titleWords(a), titleWords(b)) >= TITLE_SIMILAR &&
+    jaccard(ingredientSet(a), ingredientSet(b)) >= INGREDIENTS_SIMILAR
+  );
+}
+
+/* ----------------------- Ranking ----------------------- */
+// Scores, sorts (stable) and collapses near-duplicates, keeping the better one.
+// -> { recipes (score replaced), breakdown: [{ id, score, parts }], duplicates }
+export function rankRecipes(recipes, prefs = {}, weights = rankWeights(prefs)) {
+  const scored = recipes
+    .map((r, i) => ({ r, i, ...scoreRecipe(r, weights, prefs) }))
+    .sort((a, b) => b.total - a.total || a.i - b.i);
+
+  const kept = [];
+  const duplicates = [];
+  for (const s of scored) {
+    const twin = kept.find((k) => isNearDuplicate(k.r, s.r));
+    if (twin) duplicates.push({ id: s.r.id, title: s.r.title, duplicateOf: twin.r.id });
+    else kept.push(s);
+  }
+  return {
+    recipes: kept.map((s) => ({ ...s.r, score: s.total })),
+    breakdown: kept.map((s) => ({ id: s.r.id, score: s.total, parts: s.parts })),
+    duplicates,
+  };
+}
@@ -0,0 +1,225 @@
+// /lib/recipe-schema.js
+// What we ask the LLM for (a JSON Schema, sent as structured output where the
+// API supports it) and how we cope when the reply doesn't match: strip fences,
+// pull out the first JSON value, coerce types, then validate for real.
+
+export const ENERGY_TYPES = ["hob", "oven", "air fryer", "microwave"];
+
+const RECIPE_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["id", "title", "time", "energy", "servings", "ingredients", "steps", "shoppingList"],
+  properties: {
+    id: { type: "string" },
+    title: { type: "string" },
+    time: { type: "number" },
+    energy: { type: "string", enum: ENERGY_TYPES },
+    servings: { type: "number" },
+    ingredients: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["name", "have", "amount", "unit"],
+        properties: {
+          name: { type: "string" },
+          have: { type: "boolean" },
+          amount: { type: "number" },
+          unit: { type: "string" },
+        },
+      },
+    },
+    steps: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["id", "text"],
+        properties: { id: { type: "string" }, text: { type: "string" } },
+      },
+    },
+    shoppingList: { type: "array", items: { type: "string" } },
+  },
+};
+
+// Structured output needs an object at the root, so recipes come wrapped
+export const RECIPES_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["recipes"],
+  properties: { recipes: { type: "array", items: RECIPE_SCHEMA } },
+};
+
+/* ----------------------- Validation ----------------------- */
+const typeOf = (v) => (Array.isArray(v) ? "array" : v === null ? "null" : typeof v);
+
+// The JSON Schema subset above: type, enum, required, properties,
+// additionalProperties: false, items. -> ["$.recipes[0].time: expected number", ...]
+export function validate(schema, value, path = "$") {
+  const t = typeOf(value);
+  if (schema.type && t !== schema.type) return [`${path}: expected ${schema.type}, got ${t}`];
+  if (schema.type === "number" && !Number.isFinite(value)) return [`${path}: expected a finite number`];
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path}: expected one of ${schema.enum.join(", ")}`];
+  }
+
+  const errors = [];
+  if (t === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key}: required`);
+    }
+    for (const [key, v] of Object.entries(value)) {
+      const sub = schema.properties?.[key];
+      if (sub) errors.push(...validate(sub, v, `${path}.${key}`));
+      else if (schema.additionalProperties === false) errors.push(`${path}.${key}: not allowed`);
+    }
+  }
+  if (t === "array" && schema.items) {
+    value.forEach((v, i) => errors.push(...validate(schema.items, v, `${path}[${i}]`)));
+  }
+  return errors;
+}
+
+/* ----------------------- Repair ----------------------- */
+// First balanced {...} or [...] in the text, ignoring brackets inside strings
+function firstJsonValue(text) {
+  const start = text.search(/[{[]/);
+  if (start < 0) return null;
+  const stack = [];
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const c = text[i];
+    if (inString) {
+      if (c === "\\") i++;
+      else if (c === '"') inString = false;
+    } else if (c === '"') inString = true;
+    else if (c === "{" || c === "[") stack.push(c === "{" ? "}" : "]");
+    else if (c === "}" || c === "]") {
+      if (stack.pop() !== c) return null;
+      if (!stack.length) return text.slice(start, i + 1);
+    }
+  }
+  return null;
+}
+
+const tryParse = (s) => {
+  try {
+    return { ok: true, value: JSON.parse(s) };
+  } catch {
+    return { ok: false };
+  }
+};
+
+// LLM reply text -> { value, repaired } or null when there's no JSON in it.
+// Handles ```json fences, prose around the object and trailing commas.
+export function extractJson(raw) {
+  const text = String(raw ?? "").trim();
+  const direct = tryParse(text);
+  if (direct.ok) return { value: direct.value, repaired: false };
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i)?.[1]?.trim();
+  for (const candidate of [fenced, firstJsonValue(fenced || text), firstJsonValue(text)]) {
+    if (!candidate) continue;
+    for (const s of [candidate, candidate.replace(/,\s*([}\]])/g, "$1")]) {
+      const out = tryParse(s);
+      if (out.ok) return { value: out.value, repaired: true };
+    }
+  }
+  return null;
+}
+
+const num = (v) => {
+  const n = typeof v === "number" ? v : parseFloat(String(v ?? "").replace(",", "."));
+  return Number.isFinite(n) ? n : null;
+};
+
+const bool = (v) => v === true || /^(true|yes|y|1)$/i.test(String(v ?? "").trim());
+
+const ENERGY_ALIASES = {
+  stove: "hob",
+  stovetop: "hob",
+  "stove top": "hob",
+  pan: "hob",
+  airfryer: "air fryer",
+  "air-fryer": "air fryer",
+};
+
+function coerceEnergy(v) {
+  const e = String(v ?? "").toLowerCase().trim();
+  if (ENERGY_TYPES.includes(e)) return e;
+  return ENERGY_ALIASES[e] || "hob";
+}
+
+// Best effort at the schema's types: "25 mins" -> 25, "yes" -> true, bare
+// strings for ingredients / steps -> objects. Doesn't invent titles or steps.
+function coerceRecipe(r, i) {
+  if (!r || typeof r !== "object" || Array.isArray(r)) return r;
+  const ingredients = Array.isArray(r.ingredients)
+    ? r.ingredients.map((ing) =>
+        typeof ing === "string"
+          ? { name: ing, have: false, amount: 0, unit: "" }
+          : {
+              name: String(ing?.name ?? ""),
+              have: bool(ing?.have),
+              amount: num(ing?.amount) ?? 0,
+              unit: String(ing?.unit ?? ""),
+            }
+      )
+    : r.ingredients;
+  const steps = Array.isArray(r.steps)
+    ? r.steps.map((s, j) =>
+        typeof s === "string"
+          ? { id: `step-${j + 1}`, text: s }
+          : { id: String(s?.id ?? `step-${j + 1}`), text: String(s?.text ?? s?.step ?? "") }
+      )
+    : r.steps;
+  return {
+    id: String(r.id ?? `recipe-${i + 1}`),
+    title: typeof r.title === "string" ? r.title.trim() : r.title,
+    time: num(r.time) ?? 25,
+    energy: coerceEnergy(r.energy),
+    servings: num(r.servings) ?? 0,
+    ingredients,
+    steps,
+    shoppingList: Array.isArray(r.shoppingList) ? r.shoppingList.map(String) : [],
+  };
+}
+
+// Whatever shape came back -> { recipes: [...] }
+function coerceRoot(value) {
+  if (Array.isArray(value)) return { recipes: value };
+  if (value && typeof value === "object" && !Array.isArray(value.recipes) && "title" in value) {
+    return { recipes: [value] };
+  }
+  return value;
+}
+
+const usable = (r) =>
+  r.title && r.ingredients.some((i) => i.name.trim()) && r.steps.some((s) => s.text.trim());
+
+// raw reply -> { recipes: [valid recipes], errors: [...], repaired }
+export function parseRecipes(raw) {
+  const json = extractJson(raw);
+  if (!json) return { recipes: [], errors: ["$: no JSON found"], repaired: false };
+
+  const root = coerceRoot(json.value);
+  if (!root || typeof root !== "object" || !Array.isArray(root.recipes)) {
+    return { recipes: [], errors: ["$.recipes: expected array"], repaired: json.repaired };
+  }
+
+  const recipes = [];
+  const errors = [];
+  let repaired = json.repaired || root !== json.value;
+  root.recipes.forEach((r, i) => {
+    const coerced = coerceRecipe(r, i);
+    const problems = validate(RECIPE_SCHEMA, coerced, `$.recipes[${i}]`);
+    if (!problems.length && !usable(coerced)) problems.push(`$.recipes[${i}]: needs a title, ingredients and steps`);
+    if (problems.length) {
+      errors.push(...problems);
+      return;
+    }
+    if (validate(RECIPE_SCHEMA, r).length) repaired = true;
+    recipes.push(coerced);
+  });
+  return { recipes, errors, repaired };
+}
@@ -0,0 +1,144 @@
+// /lib/request.js
+// Plain Node req/res helpers shared by the api/ handlers.
+
+import { withTimeout } from "./timing.js";
+
+export function sendJson(res, status, obj) {
+  const data = JSON.stringify(obj);
+  res.statusCode = status;
+  res.setHeader("content-type", "application/json");
+  res.setHeader("content-length", Buffer.byteLength(data));
+  res.end(data);
+}
+
+function bodyError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Whole body as a Buffer, capped at maxBytes
+export async function readBody(req, timeoutMs = 3000, maxBytes = 1_000_000) {
+  return withTimeout(
+    async () => {
+      const chunks = [];
+      let size = 0;
+      for await (const chunk of req) {
+        size += chunk.length;
+        // keep draining so we can still answer 413 on the same socket
+        if (size <= maxBytes) chunks.push(chunk);
+      }
+
+      if (size > maxBytes) throw bodyError("PAYLOAD_TOO_LARGE", "payload-too-large");
+      return Buffer.concat(chunks);
+    },
+    timeoutMs,
+    "body-timeout"
+  );
+}
+
+// Safe JSON body reader for Node req
+export async function readJsonBody(req, timeoutMs = 3000, maxBytes = 1_000_000) {
+  const bodyStr = (await readBody(req, timeoutMs, maxBytes)).toString("utf8");
+  if (!bodyStr) return {};
+  try {
+    return JSON.parse(bodyStr);
+  } catch (e) {
+    throw bodyError("INVALID_JSON", "invalid-json");
+  }
+}
+
+// "multipart/form-data; boundary=x" -> "multipart/form-data"
+export const mediaType = (req) =>
+  String(req.headers?.["content-type"] || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+
+/* ----------------------- Multipart ----------------------- */
+const CRLF = Buffer.from("\r\n");
+const HEADER_END = Buffer.from("\r\n\r\n");
+
+// multipart/form-data body -> [{ name, filename?, contentType?, data: Buffer }]
+export function parseMultipart(buf, contentType) {
+  const m = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(String(contentType || ""));
+  if (!m) throw bodyError("INVALID_MULTIPART", "multipart-no-boundary");
+  const delim = Buffer.from(`--${m[1] || m[2]}`);
+
+  const parts = [];
+  let pos = buf.indexOf(delim);
+  if (pos === -1) throw bodyError("INVALID_MULTIPART", "multipart-no-parts");
+  for (;;) {
+    pos += delim.length;
+    if (buf.subarray(pos, pos + 2).toString("latin1") === "--") break; // closing delimiter
+    if (buf.subarray(pos, pos + 2).equals(CRLF)) pos += 2;
+
+    const headEnd = buf.indexOf(HEADER_END, pos);
+    const next = headEnd === -1 ? -1 : buf.indexOf(delim, headEnd + 4);
+    if (next === -1) throw bodyError("INVALID_MULTIPART", "multipart-truncated");
+
+    const headers = {};
+    for (const line of buf.subarray(pos, headEnd).toString("utf8").split("\r\n")) {
+      const i = line.indexOf(":");
+      if (i > 0) headers[line.slice(0, i).trim().toLowerCase()] = line.slice(i + 1).trim();
+    }
+    const disposition = headers["content-disposition"] || "";
+    const name = /(?:^|;)\s*name="([^"]*)"/i.exec(disposition)?.[1];
+    const filename = /(?:^|;)\s*filename="([^"]*)"/i.exec(disposition)?.[1];
+    // The CRLF before the delimiter belongs to the delimiter
+    const end = buf.subarray(next - 2, next).equals(CRLF) ? next - 2 : next;
+
+    if (name != null) {
+      parts.push({
+        name,
+        ...(filename != null ? { filename } : {}),
+        ...(headers["content-type"] ? { contentType: headers["content-type"].toLowerCase() } : {}),
+        data: buf.subarray(headEnd + 4, end),
+      });
+    }
+    pos = next;
+  }
+  return parts;
+}
+
+/* ----------------------- Streaming ----------------------- */
+// Opt-in streaming: body.stream ("ndjson" | "sse" | true) or an Accept header
+// asking for one. -> "ndjson" | "sse" | null
+export function streamFormat(req, body) {
+  const accept = String(req.headers?.accept || "");
+  const want = body?.stream;
+  if (want === "sse" || (want !== "ndjson" && accept.includes("text/event-stream"))) return "sse";
+  if (want === "ndjson" || want === true || accept.includes("application/x-ndjson")) return "ndjson";
+  return null;
+}
+
+// Starts a 200 event stream. NDJSON lines are { "type": ..., ...data };
+// SSE frames are "event: <type>" + "data: <json>".
+export function openStream(res, format) {
+  res.statusCode = 200;
+  res.setHeader(
+    "content-type",
+    format === "sse" ? "text/event-stream; charset=utf-8" : "application/x-ndjson; charset=utf-8"
+  );
+  res.setHeader("cache-control", "no-cache, no-transform");
+  // nginx / proxies: don't hold events back
+  res.setHeader("x-accel-buffering", "no");
+  res.flushHeaders?.();
+
+  let ended = false;
+  return {
+    send(type, data = {}) {
+      if (ended) return;
+      res.write(
+        format === "sse"
+          ? `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`
+          : JSON.stringify({ type, ...data }) + "\n"
+      );
+    },
+    end() {
+      if (ended) return;
+      ended = true;
+      res.end();
+    },
+  };
+}
@@ -0,0 +1,153 @@
+// /lib/shopping.js
+// One shopping list for the recipes we return: every `have: false` ingredient
+// (swappable ones excluded), merged across recipes, amounts summed where the
+// units allow, grouped by supermarket aisle.
+
+import { canonicalIngredient, ingredientCategory, ingredientInfo } from "./ingredients.js";
+import { convertAmount, formatIngredientAmount, isMeasure, toBase, unitName } from "./units.js";
+
+export const AISLES = [
+  "Fruit & veg",
+  "Meat & fish",
+  "Dairy & eggs",
+  "Bakery",
+  "Tins & pulses",
+  "Pasta, rice & noodles",
+  "Cupboard",
+  "Herbs & spices",
+  "Other",
+];
+
+// Canonical names that don't follow their category's aisle
+const AISLE_OVERRIDES = {
+  egg: "Dairy & eggs",
+  tofu: "Dairy & eggs",
+  bread: "Bakery",
+  tortilla: "Bakery",
+  wrap: "Bakery",
+  basil: "Fruit & veg",
+  coriander: "Fruit & veg",
+  parsley: "Fruit & veg",
+  rice: "Pasta, rice & noodles",
+  "risotto rice": "Pasta, rice & noodles",
+  pasta: "Pasta, rice & noodles",
+  spaghetti: "Pasta, rice & noodles",
+  orzo: "Pasta, rice & noodles",
+  couscous: "Pasta, rice & noodles",
+  noodles: "Pasta, rice & noodles",
+  "egg noodles": "Pasta, rice & noodles",
+  "rice noodles": "Pasta, rice & noodles",
+  passata: "Tins & pulses",
+  "coconut milk": "Tins & pulses",
+  "baked beans": "Tins & pulses",
+};
+
+const CATEGORY_AISLE = {
+  veg: "Fruit & veg",
+  fruit: "Fruit & veg",
+  dairy: "Dairy & eggs",
+  staple: "Cupboard",
+  spice: "Herbs & spices",
+};
+
+const NEVER_BUY = new Set(["water", "ice"]);
+
+export function aisleFor(name) {
+  if (AISLE_OVERRIDES[name]) return AISLE_OVERRIDES[name];
+  const category = ingredientCategory(name);
+  if (category === "protein") return ingredientInfo(name)?.animal ? "Meat & fish" : "Tins & pulses";
+  return CATEGORY_AISLE[category] || "Other";
+}
+
+/* ----------------------- Building ----------------------- */
+// Sum per base unit (g / ml) for weights and volumes, in teaspoons for spoons,
+// otherwise per count unit ("2 clove" + "1 cloves", "1 tin" + "1 tin")
+function addAmount(item, ing) {
+  let amount = Number(ing.amount);
+  if (!(amount > 0)) return;
+  let unit = unitName(ing.unit);
+  if (unit === "tbsp") {
+    amount *= 3;
+    unit = "tsp";
+  } else if (unit !== "tsp" && isMeasure(unit)) {
+    ({ amount, unit } = toBase(amount, unit));
+  }
+  const total = item.totals.get(unit) || { amount: 0, unit };
+  total.amount += amount;
+  item.totals.set(unit, total);
+}
+
+function quantitiesOf(item, system) {
+  return [...item.totals.values()].map((t) => {
+    const conv = convertAmount(t.amount, t.unit, system);
+    const out = formatIngredientAmount(conv.amount, conv.unit);
+    return { amount: out.amount, unit: conv.unit, display: out.display };
+  });
+}
+
+// ids: only these recipes (all of them when empty); units: "metric" | "imperial"
+export function buildShoppingList(recipes, { ids = null, units = "metric" } = {}) {
+  const wanted = Array.isArray(ids) && ids.length ? new Set(ids.map(String)) : null;
+  const picked = (recipes || []).filter((r) => r && (!wanted || wanted.has(String(r.id))));
+
+  const byName = new Map();
+  for (const r of picked) {
+    for (const ing of Array.isArray(r.ingredients) ? r.ingredients : []) {
+      if (!ing || ing.have || ing.substitute) continue;
+      const raw = String(ing.name || "").toLowerCase().trim();
+      if (!raw || NEVER_BUY.has(raw)) continue;
+      const name = canonicalIngredient(raw) || raw;
+
+      let item = byName.get(name);
+      if (!item) {
+        item = { name, aisle: aisleFor(name), totals: new Map(), recipes: [] };
+        byName.set(name, item);
+      }
+      addAmount(item, ing);
+      if (!item.recipes.includes(r.id)) item.recipes.push(r.id);
+    }
+  }
+
+  const items = [...byName.values()]
+    .map((item) => {
+      const quantities = quantitiesOf(item, units);
+      return {
+        name: item.name,
+        aisle: item.aisle,
+        quantities,
+        display: quantities.map((q) => q.display).join(" + "),
+        recipes: item.recipes,
+      };
+    })
+    .sort((a, b) => AISLES.indexOf(a.aisle) - AISLES.indexOf(b.aisle) || a.name.localeCompare(b.name));
+
+  const aisles = AISLES.map((aisle) => ({ aisle, items: items.filter((i) => i.aisle === aisle) })).filter(
+    (a) => a.items.length
+  );
+
+  return {
+    recipeIds: picked.map((r) => r.id),
+    items,
+    aisles,
+    text: toText(aisles),
+    markdown: toMarkdown(aisles),
+  };
+}
+
+/* ----------------------- Export ----------------------- */
+const line = (i) => (i.display ? `${i.name} - ${i.display}` : i.name);
+
+function toText(aisles) {
+  if (!aisles.length) return "Nothing to buy.";
+  return aisles
+    .map((a) => [a.aisle.toUpperCase(), ...a.items.map((i) => `  ${line(i)}`)].join("\n"))
+    .join("\n\n");
+}
+
+function toMarkdown(aisles) {
+  if (!aisles.length) return "## Shopping list\n\nNothing to buy.";
+  return [
+    "## Shopping list",
+    ...aisles.map((a) => [`### ${a.aisle}`, ...a.items.map((i) => `- [ ] ${line(i)}`)].join("\n")),
+  ].join("\n\n");
+}
@@ -0,0 +1,38 @@
+// /lib/stock.js
+// Compares recipe ingredient amounts with the approximate pantry quantities we
+// read off packaging, so a 1 kg chickpea curry doesn't win when we have half a tin.
+
+import { pantryMatches } from "./ingredients.js";
+import { roundAmount, toBase } from "./units.js";
+
+// Allow a little slack: "400 g" recipes are fine with a 390 g tin
+const SLACK = 1.1;
+
+export function stockCheck(recipe, pantryItems) {
+  const stocked = pantryItems.filter((p) => p.quantity);
+  if (!stocked.length || !Array.isArray(recipe?.ingredients)) return recipe;
+
+  let checked = 0;
+  const short = [];
+  const ingredients = recipe.ingredients.map((ing) => {
+    if (!ing.have) return ing;
+    const item = stocked.find((p) => pantryMatches(p.name, ing.name));
+    const need = item && toBase(ing.amount, ing.unit);
+    if (!need) return ing;
+
+    checked++;
+    const enough = need.amount <= item.quantity.amount * SLACK;
+    if (!enough) {
+      short.push({
+        name: ing.name,
+        need: roundAmount(need.amount),
+        have: item.quantity.amount,
+        unit: need.unit,
+      });
+    }
+    return { ...ing, enough };
+  });
+
+  if (!checked) return recipe;
+  return { ...recipe, ingredients, stock: { checked, short } };
+}
@@ -0,0 +1,48 @@
+// /lib/substitutions.js
+// Covers missing recipe ingredients with pantry swaps from data/substitutions.js
+// (no buttermilk but milk + lemon in the pantry -> still cookable).
+
+import { SUBSTITUTIONS } from "../data/substitutions.js";
+import { canonicalIngredient, pantryHas, termWords } from "./ingredients.js";
+
+// "low sodium chicken stock" -> chicken stock; "fresh basil" -> basil; "scallion" -> spring onion
+function substitutionKey(name) {
+  const words = termWords(name);
+  for (let i = 0; i < words.length; i++) {
+    const tail = words.slice(i).join(" ");
+    if (SUBSTITUTIONS[tail]) return tail;
+  }
+  const c = canonicalIngredient(name);
+  return c && SUBSTITUTIONS[c] ? c : null;
+}
+
+// -> { use, note? } whose items are all in the pantry, or null
+export function findSubstitute(name, pantry) {
+  const key = substitutionKey(name);
+  if (!key) return null;
+  return SUBSTITUTIONS[key].find((opt) => opt.use.every((u) => pantryHas(pantry, u))) || null;
+}
+
+// Annotates missing ingredients with a swap and bumps `score` as if they were
+// covered (same 0.7 x used share as the providers' formula). Recipes that already
+// went through this (Spoonacular does it before its own filter) are left alone.
+export function applySubstitutions(recipe, pantry, { rescore = true } = {}) {
+  if (!Array.isArray(recipe?.ingredients) || Array.isArray(recipe.substitutions)) return recipe;
+
+  const substitutions = [];
+  const ingredients = recipe.ingredients.map((ing) => {
+    if (ing.have) return ing;
+    const sub = findSubstitute(ing.name, pantry);
+    if (!sub) return ing;
+    const substitute = { use: sub.use, ...(sub.note ? { note: sub.note } : {}) };
+    substitutions.push({ for: ing.name, ...substitute });
+    return { ...ing, substitute };
+  });
+
+  const out = { ...recipe, ingredients, substitutions };
+  if (rescore && substitutions.length && typeof recipe.score === "number") {
+    const bump = (0.7 * substitutions.length) / (ingredients.length + 1);
+    out.score = Math.round((recipe.score + bump) * 100) / 100;
+  }
+  return out;
+}
@@ -0,0 +1,41 @@
+// /lib/timing.js
+// Shared clock + timeout helpers.
+
+export const nowMs = () => Number(process.hrtime.bigint() / 1000000n);
+
+// One deadline per request; each stage asks for min(its own timeout, time left).
+// `margin` is held back so stages finish before the handler has to answer.
+export function createDeadline(ms, { margin = 0 } = {}) {
+  const at = nowMs() + ms;
+  return {
+    at,
+    remaining: () => Math.max(0, at - nowMs()),
+    budget: (max = Infinity) => Math.max(0, Math.min(max, at - nowMs() - margin)),
+  };
+}
+
+export function withTimeout(run, ms, label = "timeout") {
+  return new Promise((resolve, reject) => {
+    let finished = false;
+    const timer = setTimeout(() => {
+      if (finished) return;
+      finished = true;
+      reject(new Error(label));
+    }, ms);
+
+    Promise.resolve()
+      .then(run)
+      .then((val) => {
+        if (finished) return;
+        finished = true;
+        clearTimeout(timer);
+        resolve(val);
+      })
+      .catch((err) => {
+        if (finished) return;
+        finished = true;
+        clearTimeout(timer);
+        reject(err);
+      });
+  });
+}
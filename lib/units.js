@@ -0,0 +1,272 @@
+// /lib/units.js
+// Quantity parsing + unit conversion. Everything is compared in grams or
+// millilitres ("base" units); we treat 1 g ~ 1 ml, which is close enough for
+// "do I have enough chopped tomatoes" decisions.
+
+const MASS = { mg: 0.001, g: 1, gram: 1, grams: 1, kg: 1000, oz: 28.35, lb: 453.6, lbs: 453.6 };
+const VOLUME = {
+  ml: 1,
+  cl: 10,
+  dl: 100,
+  l: 1000,
+  litre: 1000,
+  litres: 1000,
+  liter: 1000,
+  liters: 1000,
+  tsp: 5,
+  teaspoon: 5,
+  teaspoons: 5,
+  tsps: 5,
+  tbsp: 15,
+  tbsps: 15,
+  tablespoon: 15,
+  tablespoons: 15,
+  cup: 240,
+  cups: 240,
+  "fl oz": 29.57,
+};
+// Packs that have a de-facto UK size
+const PACKS = { tin: 400, tins: 400, can: 400, cans: 400 };
+
+export const normUnit = (u) =>
+  String(u || "")
+    .toLowerCase()
+    .replace(/\.$/, "")
+    .trim();
+
+// -> { amount, unit: "g" | "ml" } or null for counts ("2 onions", "1 clove")
+export function toBase(amount, unit) {
+  const a = Number(amount);
+  if (!Number.isFinite(a)) return null;
+  const u = normUnit(unit);
+  if (MASS[u]) return { amount: a * MASS[u], unit: "g" };
+  if (VOLUME[u]) return { amount: a * VOLUME[u], unit: "ml" };
+  if (PACKS[u]) return { amount: a * PACKS[u], unit: "g" };
+  return null;
+}
+
+// true for weights and volumes, false for counts and packs
+export const isMeasure = (unit) => {
+  const u = normUnit(unit);
+  return Boolean(MASS[u] || VOLUME[u]);
+};
+
+/* ----------------------- OCR quantities ----------------------- */
+// "2 x 400g", "4×125 g" (multipacks) and "400g", "1.5 kg", "500ml", "1 l"
+const QTY_UNITS = "kg|mg|g|ml|cl|l|oz|lb";
+const MULTI_RE = new RegExp(`(\\d+)\\s*[x×]\\s*(\\d+(?:[.,]\\d+)?)\\s*(${QTY_UNITS})(?![a-z])`, "gi");
+const SINGLE_RE = new RegExp(`(\\d+(?:[.,]\\d+)?)\\s*(${QTY_UNITS})(?![a-z])`, "gi");
+
+const num = (s) => Number(String(s).replace(",", "."));
+
+// -> [{ amount, unit, raw, index, end }] with amounts in base units
+export function parseQuantities(text) {
+  const s = String(text || "");
+  const out = [];
+  const taken = [];
+
+  for (const m of s.matchAll(MULTI_RE)) {
+    const base = toBase(num(m[1]) * num(m[2]), m[3]);
+    if (!base) continue;
+    out.push({ ...base, raw: m[0], index: m.index, end: m.index + m[0].length });
+    taken.push([m.index, m.index + m[0].length]);
+  }
+
+  for (const m of s.matchAll(SINGLE_RE)) {
+    if (taken.some(([a, b]) => m.index >= a && m.index < b)) continue;
+    // skip "per 100g" nutrition headings
+    if (/per\s*$/i.test(s.slice(Math.max(0, m.index - 5), m.index))) continue;
+    const base = toBase(num(m[1]), m[2]);
+    if (!base || base.amount <= 0) continue;
+    out.push({ ...base, raw: m[0], index: m.index, end: m.index + m[0].length });
+  }
+
+  return out.sort((a, b) => a.index - b.index);
+}
+
+// Ties each quantity to the closest ingredient-ish token ([{ text, index, end }]),
+// preferring the word before it ("Chopped Tomatoes 400g") over the one after.
+export function attachQuantities(tokens, quantities) {
+  const out = [];
+  for (const q of quantities) {
+    let best = -1;
+    let bestDist = Infinity;
+    tokens.forEach((t, i) => {
+      const d = t.end <= q.index ? q.index - t.end : t.index >= q.end ? (t.index - q.end) * 1.5 : 0;
+      if (d < bestDist) {
+        bestDist = d;
+        best = i;
+      }
+    });
+    if (best !== -1) out.push({ at: best, amount: q.amount, unit: q.unit, raw: q.raw });
+  }
+  return out;
+}
+
+export const roundAmount = (x) => (x >= 100 ? Math.round(x / 5) * 5 : Math.round(x * 10) / 10);
+
+/* ----------------------- Display units ----------------------- */
+const UNIT_NAMES = {
+  gram: "g",
+  grams: "g",
+  kilogram: "kg",
+  kilograms: "kg",
+  millilitre: "ml",
+  millilitres: "ml",
+  milliliter: "ml",
+  milliliters: "ml",
+  litre: "l",
+  litres: "l",
+  liter: "l",
+  liters: "l",
+  teaspoon: "tsp",
+  teaspoons: "tsp",
+  tsps: "tsp",
+  t: "tsp",
+  tablespoon: "tbsp",
+  tablespoons: "tbsp",
+  tbsps: "tbsp",
+  tbs: "tbsp",
+  cups: "cup",
+  ounce: "oz",
+  ounces: "oz",
+  pound: "lb",
+  pounds: "lb",
+  lbs: "lb",
+};
+
+// Count units: "2 cloves", "3 tins". Cups are a volume (VOLUME), not a count.
+const COUNT_UNITS = new Set(["clove", "tin", "can", "rasher", "slice", "handful", "pinch", "bunch", "pack"]);
+// Written out in the plural past one
+const PLURAL_UNITS = new Set([...COUNT_UNITS, "cup"]);
+
+// "cloves" -> "clove", "bunches" -> "bunch", so counts add up whichever was written
+const countSingular = (u) =>
+  [u.replace(/es$/, ""), u.replace(/s$/, "")].find((s) => s !== u && COUNT_UNITS.has(s));
+
+export const unitName = (u) => {
+  const n = normUnit(u);
+  return UNIT_NAMES[n] || countSingular(n) || n;
+};
+
+// Metric shows g/kg/ml/l; imperial shows oz/lb and US spoons/cups. Spoons are
+// left alone in both, counts ("2 onions", "1 tin") are never converted.
+export function convertAmount(amount, unit, system = "metric") {
+  const u = unitName(unit);
+  if (u === "tsp" || u === "tbsp") {
+    return u === "tsp" && amount >= 3 ? { amount: amount / 3, unit: "tbsp" } : { amount, unit: u };
+  }
+
+  const base = PACKS[u] ? null : toBase(amount, u);
+  if (!base) return { amount, unit: u };
+
+  if (system === "imperial") {
+    if (base.unit === "g") {
+      return base.amount >= 453 ? { amount: base.amount / 453.6, unit: "lb" } : { amount: base.amount / 28.35, unit: "oz" };
+    }
+    if (base.amount < 15) return { amount: base.amount / 5, unit: "tsp" };
+    if (base.amount < 60) return { amount: base.amount / 15, unit: "tbsp" };
+    return { amount: base.amount / 240, unit: "cup" };
+  }
+
+  if (base.unit === "g") return base.amount >= 1000 ? { amount: base.amount / 1000, unit: "kg" } : base;
+  return base.amount >= 1000 ? { amount: base.amount / 1000, unit: "l" } : base;
+}
+
+const FRACTIONS = [
+  [1 / 8, "1/8"],
+  [1 / 4, "1/4"],
+  [1 / 3, "1/3"],
+  [1 / 2, "1/2"],
+  [2 / 3, "2/3"],
+  [3 / 4, "3/4"],
+];
+
+// Snap to the nearest kitchen fraction: 0.4861 -> { value: 0.5, text: "1/2" }
+function snapFraction(x) {
+  let whole = Math.floor(x);
+  let rest = x - whole;
+  let text = "";
+  let value = 0;
+  let bestDist = rest;
+  if (1 - rest < bestDist) {
+    bestDist = 1 - rest;
+    value = 1;
+  }
+  for (const [f, t] of FRACTIONS) {
+    if (Math.abs(rest - f) < bestDist) {
+      bestDist = Math.abs(rest - f);
+      value = f;
+      text = t;
+    }
+  }
+  if (value === 1) {
+    whole += 1;
+    value = 0;
+  }
+  if (!whole && !value) return { value: 1 / 8, text: "1/8" };
+  return {
+    value: whole + value,
+    text: whole && text ? `${whole} ${text}` : whole ? String(whole) : text,
+  };
+}
+
+// -> { amount, text } rounded the way a cook would write it
+export function roundForDisplay(amount, unit) {
+  if (!Number.isFinite(amount) || amount <= 0) return null;
+  let v;
+  if (unit === "g" || unit === "ml") {
+    v = amount < 5 ? Math.round(amount * 2) / 2 : amount < 100 ? Math.round(amount / 5) * 5 : Math.round(amount / 10) * 10;
+    v = v || 0.5;
+  } else if (unit === "kg" || unit === "l") {
+    v = Math.round(amount * 4) / 4;
+  } else if (unit === "oz" && amount >= 4) {
+    v = Math.round(amount);
+  } else {
+    const f = snapFraction(amount);
+    return { amount: Math.round(f.value * 1000) / 1000, text: f.text };
+  }
+  return { amount: v, text: String(v) };
+}
+
+export function formatIngredientAmount(amount, unit) {
+  const r = roundForDisplay(amount, unit);
+  if (!r) return null;
+  const word = PLURAL_UNITS.has(unit) && r.amount > 1 ? (unit.endsWith("ch") ? `${unit}es` : `${unit}s`) : unit;
+  return { amount: r.amount, display: word ? `${r.text} ${word}` : r.text };
+}
+
+/* ----------------------- Recipe scaling ----------------------- */
+export function servingsPref(prefs = {}) {
+  const n = Math.round(Number(prefs.servings));
+  return Number.isFinite(n) && n > 0 ? Math.min(n, 20) : null;
+}
+
+export const unitSystemPref = (prefs = {}) =>
+  /^(imperial|us)$/i.test(String(prefs.units || "")) ? "imperial" : "metric";
+
+// Scales every ingredient to prefs.servings and converts to prefs.units.
+// Recipes without a known base servings count are converted but not scaled.
+export function scaleRecipe(recipe, prefs = {}) {
+  if (!Array.isArray(recipe?.ingredients)) return recipe;
+  const target = servingsPref(prefs);
+  const system = unitSystemPref(prefs);
+  const base = Number(recipe.servings) > 0 ? Number(recipe.servings) : null;
+  const factor = target && base ? target / base : 1;
+
+  const ingredients = recipe.ingredients.map((ing) => {
+    const amount = Number(ing.amount);
+    if (!Number.isFinite(amount) || amount <= 0) return ing;
+    const conv = convertAmount(amount * factor, ing.unit, system);
+    const out = formatIngredientAmount(conv.amount, conv.unit);
+    if (!out) return ing;
+    return { ...ing, amount: out.amount, unit: conv.unit, display: out.display };
+  });
+
+  return {
+    ...recipe,
+    ...(base ? { servings: target && base ? target : base } : {}),
+    units: system,
+    ingredients,
+  };
+}
@@ -0,0 +1,114 @@
+// /test/cache.test.js
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { test } from "node:test";
+import {
+  cacheGet,
+  cacheKey,
+  cacheSet,
+  keyedPrefs,
+  memoryStore,
+  redisStore,
+  restRedisClient,
+  setCacheStore,
+  ttlFor,
+} from "../lib/cache.js";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+test("memoryStore: LRU eviction, expiry and cloned values", async () => {
+  const store = memoryStore({ max: 2 });
+  store.set("a", { n: 1 }, 1000);
+  store.set("b", { n: 2 }, 1000);
+  store.get("a");
+  store.set("c", { n: 3 }, 1000);
+  assert.equal(store.get("b"), undefined);
+  assert.deepEqual(store.get("a"), { n: 1 });
+
+  const value = store.get("c");
+  value.n = 99;
+  assert.deepEqual(store.get("c"), { n: 3 });
+
+  store.set("d", 1, 5);
+  await sleep(15);
+  assert.equal(store.get("d"), undefined);
+});
+
+test("cacheKey: object key order doesn't matter, values do", () => {
+  assert.equal(cacheKey("ns", { a: 1, b: [1, 2] }), cacheKey("ns", { b: [1, 2], a: 1 }));
+  assert.notEqual(cacheKey("ns", { a: 1 }), cacheKey("ns", { a: 2 }));
+  assert.notEqual(cacheKey("ns", { a: 1 }), cacheKey("other", { a: 1 }));
+  assert.match(cacheKey("vision", "abc"), /^vision:[0-9a-f]{64}$/);
+});
+
+test("keyedPrefs: only prefs that change the upstream request", () => {
+  const prefs = { diet: "vegan", time: 30, servings: 4, likes: ["rice"], budget: 5, noCache: true };
+  assert.deepEqual(keyedPrefs(prefs), { diet: "vegan", time: 30 });
+  assert.deepEqual(keyedPrefs(prefs, ["diet", "servings"]), { diet: "vegan", servings: 4 });
+  assert.deepEqual(keyedPrefs(null), {});
+  // post-processing prefs share an entry
+  assert.equal(
+    cacheKey("p", keyedPrefs({ mealType: "lunch", units: "imperial", shoppingFor: [1] })),
+    cacheKey("p", keyedPrefs({ mealType: "lunch" }))
+  );
+});
+
+test("ttlFor: default, CACHE_TTL_<NAME> in seconds, CACHE_DISABLED", () => {
+  assert.equal(ttlFor("test_ttl", 1234), 1234);
+  process.env.CACHE_TTL_TEST_TTL = "2";
+  assert.equal(ttlFor("test_ttl", 1234), 2000);
+  process.env.CACHE_DISABLED = "1";
+  assert.equal(ttlFor("test_ttl", 1234), 0);
+  delete process.env.CACHE_TTL_TEST_TTL;
+  delete process.env.CACHE_DISABLED;
+});
+
+test("cacheGet / cacheSet: a failing or slow store is a miss, never an error", async () => {
+  try {
+    setCacheStore({ name: "broken", get: () => Promise.reject(new Error("down")), set() {} });
+    assert.equal(await cacheGet("k"), undefined);
+    setCacheStore({ name: "slow", get: () => sleep(1000).then(() => 1), set() {} });
+    const t0 = Date.now();
+    assert.equal(await cacheGet("k"), undefined);
+    assert.ok(Date.now() - t0 < 900);
+  } finally {
+    setCacheStore(memoryStore());
+  }
+  await cacheSet("k", { ok: true }, 1000);
+  await cacheSet("skipped", { ok: true }, 0);
+  assert.deepEqual(await cacheGet("k"), { ok: true });
+  assert.equal(await cacheGet("skipped"), undefined);
+  assert.throws(() => setCacheStore({}), /get\(\) and set\(\)/);
+});
+
+test("redisStore over the REST client: JSON values, prefixed keys, PX expiry", async () => {
+  const data = new Map();
+  const seen = [];
+  const server = createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", () => {
+      const [cmd, key, value, px, ms] = JSON.parse(body);
+      seen.push({ cmd, key, px, ms, auth: req.headers.authorization });
+      if (cmd === "SET") data.set(key, value);
+      res.end(JSON.stringify({ result: cmd === "GET" ? data.get(key) ?? null : "OK" }));
+    });
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  try {
+    const url = `http://127.0.0.1:${server.address().port}`;
+    const store = redisStore(restRedisClient(url, "tok"));
+    await store.set("k", { recipes: [1] }, 1500.4);
+    assert.deepEqual(await store.get("k"), { recipes: [1] });
+    assert.equal(await store.get("missing"), undefined);
+    assert.deepEqual(seen[0], {
+      cmd: "SET",
+      key: "dinnersnap:k",
+      px: "PX",
+      ms: 1500,
+      auth: "Bearer tok",
+    });
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,36 @@
+// /test/diet.test.js
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { dietProfile, enforceDiet, recipeViolations } from "../lib/diet.js";
+
+const recipe = (title, ...names) => ({ id: title, title, ingredients: names.map((name) => ({ name })) });
+
+test("dietProfile: missing or null prefs mean no restrictions", () => {
+  for (const prefs of [undefined, null, {}]) {
+    const profile = dietProfile(prefs);
+    assert.deepEqual(profile.rules, []);
+    const recipes = [recipe("Beef stew", "beef")];
+    assert.deepEqual(enforceDiet(recipes, profile), { kept: recipes, dropped: [] });
+  }
+});
+
+test("enforceDiet: vegetarian drops meat in the title or ingredients", () => {
+  const profile = dietProfile({ diet: "vegetarian" });
+  const { kept, dropped } = enforceDiet(
+    [recipe("Chicken curry", "rice"), recipe("Dal", "lentils", "bacon"), recipe("Dal", "lentils")],
+    profile
+  );
+  assert.deepEqual(kept.map((r) => r.ingredients.length), [1]);
+  assert.equal(dropped.length, 2);
+});
+
+test("enforceDiet: coconut milk is not dairy", () => {
+  const profile = dietProfile({ diet: "vegan" });
+  assert.deepEqual(recipeViolations(recipe("Curry", "coconut milk"), profile), []);
+  assert.equal(recipeViolations(recipe("Curry", "milk"), profile).length, 1);
+});
+
+test("dietProfile: unknown allergens forbid the word itself", () => {
+  const profile = dietProfile({ allergies: ["kiwi"] });
+  assert.equal(recipeViolations(recipe("Fruit salad", "kiwis"), profile)[0]?.rule, "allergy:kiwi");
+});
@@ -0,0 +1,85 @@
+// /test/http.test.js
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { after, before, test } from "node:test";
+import { breakerState, fetchJson } from "../lib/http.js";
+
+// path -> handler(req, res); "/calls" counts hits per path
+const routes = {
+  "/ok": (req, res) => res.end(JSON.stringify({ ok: true })),
+  "/slow": (req, res) => setTimeout(() => res.end("{}"), 400),
+  "/down": (req, res) => {
+    res.statusCode = 503;
+    res.end("{}");
+  },
+  "/missing": (req, res) => {
+    res.statusCode = 404;
+    res.end(JSON.stringify({ error: "nope" }));
+  },
+  "/html": (req, res) => res.end("<html></html>"),
+  "/flaky": (req, res) => {
+    res.statusCode = hits["/flaky"] === 1 ? 429 : 200;
+    if (res.statusCode === 429) res.setHeader("retry-after", "0");
+    res.end(JSON.stringify({ n: hits["/flaky"] }));
+  },
+};
+const hits = {};
+let server;
+let base;
+
+before(async () => {
+  server = createServer((req, res) => {
+    hits[req.url] = (hits[req.url] || 0) + 1;
+    routes[req.url](req, res);
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const codeOf = (p) => p.then(() => null, (e) => e.code);
+
+test("fetchJson: parsed body", async () => {
+  assert.deepEqual(await fetchJson(`${base}/ok`, {}, { upstream: "t-ok" }), { ok: true });
+});
+
+test("fetchJson: a slow upstream is a TIMEOUT and counts against its breaker", async () => {
+  const code = await codeOf(fetchJson(`${base}/slow`, {}, { upstream: "t-slow", timeoutMs: 100 }));
+  assert.equal(code, "TIMEOUT");
+  assert.deepEqual(breakerState()["t-slow"], {
+    state: "closed",
+    failures: 1,
+    lastError: "TIMEOUT",
+  });
+});
+
+test("fetchJson: HTTP errors are classified, 4xx not retried", async () => {
+  assert.equal(await codeOf(fetchJson(`${base}/missing`, {}, { upstream: "t-404" })), "CLIENT_ERROR");
+  assert.equal(hits["/missing"], 1);
+  assert.equal(await codeOf(fetchJson(`${base}/html`, {}, { upstream: "t-html" })), "BAD_JSON");
+});
+
+test("fetchJson: 429 is retried after Retry-After", async () => {
+  const body = await fetchJson(`${base}/flaky`, {}, { upstream: "t-flaky", timeoutMs: 2000 });
+  assert.deepEqual(body, { n: 2 });
+});
+
+test("fetchJson: the breaker opens after repeated failures and skips the upstream", async () => {
+  const opts = { upstream: "t-down", retries: 0 };
+  for (let i = 0; i < 5; i++) {
+    assert.equal(await codeOf(fetchJson(`${base}/down`, {}, opts)), "SERVER_ERROR");
+  }
+  const before = hits["/down"];
+  assert.equal(await codeOf(fetchJson(`${base}/down`, {}, opts)), "CIRCUIT_OPEN");
+  assert.equal(hits["/down"], before);
+  assert.equal(breakerState()["t-down"].state, "open");
+});
+
+test("fetchJson: network failures are NETWORK", async () => {
+  const url = "http://127.0.0.1:1/";
+  assert.equal(await codeOf(fetchJson(url, {}, { upstream: "t-net", retries: 0 })), "NETWORK");
+});
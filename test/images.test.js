@@ -0,0 +1,62 @@
+// /test/images.test.js
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { test } from "node:test";
+import sharp from "sharp";
+import { imageSize, prepareImage, sniffImage } from "../lib/images.js";
+
+// 1x1 PNG
+const PNG = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==",
+  "base64"
+);
+const HEIC = Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from("ftypheic"), Buffer.alloc(16)]);
+// 64x48 HEVC still, red left half and blue right half (encoded with kvazaar)
+const TWO_TONE_HEIC = readFileSync(new URL("./fixtures/two-tone.heic", import.meta.url));
+
+test("sniffImage: magic bytes, not the content type", () => {
+  assert.equal(sniffImage(PNG), "png");
+  assert.equal(sniffImage(Buffer.from([0xff, 0xd8, 0xff, 0xe0, ...Buffer.alloc(12)])), "jpeg");
+  assert.equal(sniffImage(Buffer.from("RIFF\0\0\0\0WEBPVP8 ")), "webp");
+  assert.equal(sniffImage(HEIC), "heic");
+  assert.equal(sniffImage(Buffer.from("GIF89a......")), null);
+  assert.equal(sniffImage(Buffer.alloc(4)), null);
+});
+
+test("imageSize: read off the header", () => {
+  assert.deepEqual(imageSize(PNG), { width: 1, height: 1 });
+});
+
+test("prepareImage: small images pass through untouched", async () => {
+  const out = await prepareImage(PNG, { maxBytes: 1000 });
+  assert.equal(out.data, PNG);
+  assert.equal(out.resized, false);
+  assert.equal(out.format, "png");
+});
+
+test("prepareImage: HEIC is decoded and re-encoded to JPEG", async () => {
+  const out = await prepareImage(TWO_TONE_HEIC, { maxBytes: 100_000 });
+  assert.equal(out.format, "jpeg");
+  assert.equal(out.resized, true);
+  assert.deepEqual([out.width, out.height], [64, 48]);
+  assert.equal(out.original.format, "heic");
+  assert.equal(sniffImage(out.data), "jpeg");
+
+  const { data } = await sharp(out.data).raw().toBuffer({ resolveWithObject: true });
+  const pixel = (x, y) => [...data.subarray((y * 64 + x) * 3, (y * 64 + x) * 3 + 3)];
+  const [r1, , b1] = pixel(8, 24);
+  const [r2, , b2] = pixel(56, 24);
+  assert.ok(r1 > 150 && b1 < 100, `left half is red: ${pixel(8, 24)}`);
+  assert.ok(b2 > 150 && r2 < 100, `right half is blue: ${pixel(56, 24)}`);
+});
+
+test("prepareImage: undecodable HEIC and unknown formats are UNSUPPORTED_IMAGE", async () => {
+  await assert.rejects(prepareImage(HEIC, { maxBytes: 1000 }), {
+    code: "UNSUPPORTED_IMAGE",
+    message: "heic-not-supported",
+  });
+  await assert.rejects(prepareImage(Buffer.from("not an image at all"), { maxBytes: 1000 }), {
+    code: "UNSUPPORTED_IMAGE",
+    message: "unsupported-image",
+  });
+});
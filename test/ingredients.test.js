@@ -0,0 +1,58 @@
+// /test/ingredients.test.js
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  canonicalIngredient,
+  ingredientCategory,
+  lookupTerm,
+  normTerm,
+  pantryHas,
+  pantryMatches,
+} from "../lib/ingredients.js";
+
+test("normTerm: lowercase, accents stripped, letters only", () => {
+  assert.equal(normTerm("Tomato Purée"), "tomato puree");
+  assert.equal(normTerm("  Free-range EGGS!! "), "free range eggs");
+  assert.equal(normTerm(null), "");
+});
+
+test("lookupTerm: names, synonyms, US/UK variants and plurals", () => {
+  assert.deepEqual(lookupTerm("Chick Peas"), { name: "chickpeas", via: "synonym" });
+  assert.deepEqual(lookupTerm("zucchini"), { name: "courgette", via: "variant" });
+  assert.deepEqual(lookupTerm("courgettes"), { name: "courgette", via: "plural" });
+  assert.equal(lookupTerm("eggplant").name, "aubergine");
+  assert.equal(lookupTerm("unobtainium"), null);
+});
+
+test("lookupTerm: canonical names win over other entries' synonyms", () => {
+  assert.equal(lookupTerm("pepper").name, "black pepper");
+  assert.equal(lookupTerm("peppers").name, "bell pepper");
+});
+
+test("canonicalIngredient: shorter tails of a recipe phrase", () => {
+  assert.equal(canonicalIngredient("chopped tomatoes"), "tomatoes");
+  assert.equal(canonicalIngredient("fresh baby spinach"), "spinach");
+  assert.equal(canonicalIngredient("2 large free-range eggs"), "egg");
+  assert.equal(canonicalIngredient("something else"), null);
+});
+
+test("ingredientCategory", () => {
+  assert.equal(ingredientCategory("chickpeas"), "protein");
+  assert.equal(ingredientCategory("cheddar"), "dairy");
+  assert.equal(ingredientCategory("nope"), null);
+});
+
+test("pantryMatches: whole words with an optional plural", () => {
+  assert.ok(pantryMatches("chicken breast", "chicken"));
+  assert.ok(pantryMatches("egg", "eggs"));
+  assert.ok(pantryMatches("tomato", "Tomatoes"));
+  assert.ok(!pantryMatches("egg", "eggplant"));
+  assert.ok(!pantryMatches("cheddar", "cheese"));
+});
+
+test("pantryMatches: regex characters in names are literal", () => {
+  assert.doesNotThrow(() => pantryMatches("chickpeas", "chickpeas (drained"));
+  assert.ok(pantryMatches("spinach (washed", "spinach (washed"));
+  assert.ok(!pantryMatches("rice", "r.ce"));
+  assert.ok(!pantryHas(["chilli"], "chilli+"));
+});
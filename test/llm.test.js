@@ -0,0 +1,52 @@
+// /test/llm.test.js
+import assert from "node:assert/strict";
+import { after, afterEach, test } from "node:test";
+import { llmConfig, llmEnabled } from "../lib/llm.js";
+
+const ENV_KEYS = [
+  "LLM_BACKEND",
+  "LLM_BASE_URL",
+  "LLM_MODEL",
+  "LLM_ALLOWED_MODELS",
+  "LLM_LOCAL",
+  "OPENAI_API_KEY",
+  "ANTHROPIC_API_KEY",
+];
+const saved = Object.fromEntries(ENV_KEYS.map((k) => [k, process.env[k]]));
+const clearEnv = () => ENV_KEYS.forEach((k) => delete process.env[k]);
+
+clearEnv();
+afterEach(clearEnv);
+after(() => {
+  for (const [k, v] of Object.entries(saved)) if (v !== undefined) process.env[k] = v;
+});
+
+test("llmConfig: per-request models must be on LLM_ALLOWED_MODELS", () => {
+  const cfg = llmConfig({ llm: { model: "gpt-4-32k" } });
+  assert.equal(cfg.model, "gpt-4o-mini");
+  assert.deepEqual(cfg.ignored, ["model=gpt-4-32k"]);
+
+  process.env.LLM_MODEL = "gpt-4o";
+  process.env.LLM_ALLOWED_MODELS = "gpt-4o-mini, gpt-4.1-mini";
+  assert.equal(llmConfig({}).model, "gpt-4o");
+  const allowed = llmConfig({ llm: { model: "gpt-4.1-mini" } });
+  assert.equal(allowed.model, "gpt-4.1-mini");
+  assert.equal(allowed.ignored, undefined);
+});
+
+test("llmConfig: a different base URL alone doesn't make a hosted backend keyless", () => {
+  process.env.LLM_BASE_URL = "https://proxy.example.com/v1";
+  assert.equal(llmConfig({}).local, false);
+  assert.equal(llmEnabled({}), "no OPENAI_API_KEY");
+
+  process.env.LLM_LOCAL = "1";
+  assert.equal(llmConfig({}).local, true);
+  assert.equal(llmEnabled({}), true);
+});
+
+test("llmConfig: local backends need no key", () => {
+  process.env.LLM_BACKEND = "ollama";
+  const cfg = llmConfig({});
+  assert.equal(cfg.local, true);
+  assert.equal(cfg.baseUrl, "http://localhost:11434/v1");
+});
@@ -0,0 +1,50 @@
+// /test/local-recipes.test.js
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { LOCAL_RECIPES, localRecipes } from "../lib/local-recipes.js";
+
+const byId = (id) => LOCAL_RECIPES.find((r) => r.id === id);
+
+test("expansion: no template syntax or generic 'if using' text left in steps", () => {
+  for (const r of LOCAL_RECIPES) {
+    for (const step of r.steps) {
+      assert.ok(step, r.id);
+      assert.doesNotMatch(step, /[{}]|if using|skip for/, `${r.id}: ${step}`);
+    }
+  }
+});
+
+test("expansion: conditional steps follow the picked slot", () => {
+  const egg = byId("local-noodle-soup-egg-spinach").steps.join(" ");
+  const prawn = byId("local-noodle-soup-prawn-spinach").steps.join(" ");
+  assert.match(egg, /Soft-boil the eggs/);
+  assert.doesNotMatch(prawn, /eggs/);
+  assert.match(prawn, /until pink/);
+  // no par-boiling cabbage
+  assert.ok(!byId("local-hash-egg-cabbage").steps.some((s) => /Par-boil/.test(s)));
+  assert.ok(byId("local-hash-egg-potato").steps.some((s) => /Par-boil the potatoes/.test(s)));
+});
+
+test("localRecipes: recipes missing their main protein rank below ones we can cook", () => {
+  const titles = localRecipes(["chickpeas", "cheddar", "tortilla"], { time: 45 }, 3).results.map(
+    (r) => r.title
+  );
+  assert.ok(titles.every((t) => /Chickpea/.test(t)), titles.join(", "));
+});
+
+test("localRecipes: diet, meal type and time cap filter the corpus", () => {
+  const vegan = localRecipes(["chicken", "rice"], { diet: "vegan", time: 45 }, 5).results;
+  assert.ok(vegan.every((r) => !r.ingredients.some((i) => i.name === "chicken")));
+  assert.equal(localRecipes(["rice"], { mealType: "dessert" }).results.length, 0);
+  const quick = localRecipes(["rice"], { time: 10 }, 10).results;
+  assert.ok(quick.every((r) => r.time <= 20));
+});
+
+test("localRecipes: prefs.time as a string still caps, junk falls back to 25 minutes", () => {
+  const asString = localRecipes(["rice", "egg"], { time: "30" }, 10);
+  const asNumber = localRecipes(["rice", "egg"], { time: 30 }, 10);
+  assert.equal(asString.info.timeCap, 40);
+  assert.deepEqual(asString.results.map((r) => r.id), asNumber.results.map((r) => r.id));
+  assert.ok(asString.results.length > 0);
+  assert.equal(localRecipes(["rice", "egg"], { time: "soon" }).info.timeCap, 35);
+});
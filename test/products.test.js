@@ -0,0 +1,116 @@
+// /test/products.test.js
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import sharp from "sharp";
+import { decodeBarcodes } from "../lib/images.js";
+import {
+  barcodesIn,
+  gtinValid,
+  lookupBarcode,
+  productObservation,
+  productsInText,
+} from "../lib/products.js";
+
+/* ----------------------- EAN-13 drawing ----------------------- */
+const L = [
+  "0001101",
+  "0011001",
+  "0010011",
+  "0111101",
+  "0100011",
+  "0110001",
+  "0101111",
+  "0111011",
+  "0110111",
+  "0001011",
+];
+const R = L.map((c) => [...c].map((b) => (b === "0" ? "1" : "0")).join(""));
+const G = R.map((c) => [...c].reverse().join(""));
+const PARITY = [
+  "LLLLLL",
+  "LLGLGG",
+  "LLGGLG",
+  "LLGGGL",
+  "LGLLGG",
+  "LGGLLG",
+  "LGGGLL",
+  "LGLGLG",
+  "LGLGGL",
+  "LGGLGL",
+];
+
+// -> PNG of the bars, 3 px per module, with quiet zones
+function ean13Png(code) {
+  const d = [...code].map(Number);
+  const left = d.slice(1, 7).map((n, i) => (PARITY[d[0]][i] === "L" ? L : G)[n]).join("");
+  const right = d.slice(7).map((n) => R[n]).join("");
+  const modules = `${"0".repeat(20)}101${left}01010${right}101${"0".repeat(20)}`;
+  const width = modules.length * 3;
+  const height = 120;
+  const pixels = Buffer.alloc(width * height, 255);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) if (modules[Math.floor(x / 3)] === "1") pixels[y * width + x] = 0;
+  }
+  return sharp(pixels, { raw: { width, height, channels: 1 } }).png().toBuffer();
+}
+
+/* ----------------------- Tests ----------------------- */
+test("gtinValid: check digit and length", () => {
+  assert.ok(gtinValid("5000157024671"));
+  assert.ok(gtinValid("036000291452"));
+  assert.ok(!gtinValid("5000157024672"));
+  assert.ok(!gtinValid("12345"));
+  assert.ok(!gtinValid("abc"));
+});
+
+test("barcodesIn: digit groups as OCR prints them, next to other numbers", () => {
+  assert.deepEqual(barcodesIn("heinz 5 000157 024671 415g\n0 36000 29145 2"), [
+    "5000157024671",
+    "036000291452",
+  ]);
+  assert.deepEqual(barcodesIn("best before 12 05 2026 400g"), []);
+});
+
+test("lookupBarcode: bundled rows, UPC-A and EAN-13 forms of one GTIN", () => {
+  assert.equal(lookupBarcode("5000157024671")?.ingredient, "baked beans");
+  assert.equal(lookupBarcode("8076800195057")?.ingredient, "spaghetti");
+  assert.equal(lookupBarcode("0000000000000"), null);
+});
+
+test("productsInText: decoded barcodes, then brand + product name", () => {
+  const found = productsInText("NAPOLINA\nChopped\n400g\nTILDA Pure Basmati", ["5000157024671"]);
+  assert.deepEqual(
+    found.map((p) => [p.via, p.brand, p.ingredient]),
+    [
+      ["barcode", "Heinz", "baked beans"],
+      ["partial", "Napolina", "tomatoes"],
+      ["brand", "Tilda", "rice"],
+    ]
+  );
+  // the same pack by barcode and by name counts once
+  assert.equal(productsInText("Heinz Beanz", ["5000157024671"]).length, 1);
+});
+
+test("productObservation: canonical name, score by how it was found, pack size", () => {
+  const [beans] = productsInText("", ["5000157024671"]);
+  const obs = productObservation(beans);
+  assert.equal(obs.text, "baked beans");
+  assert.equal(obs.feature, "barcode");
+  assert.equal(obs.product, "Heinz Beanz");
+  assert.deepEqual(
+    obs.quantities.map((q) => [q.amount, q.unit, q.at]),
+    [[415, "g", null]]
+  );
+  assert.ok(obs.score > productObservation({ ...beans, via: "brand" }).score);
+});
+
+test("decodeBarcodes: EAN-13 read off the pixels", async () => {
+  const png = await ean13Png("5000157024671");
+  assert.deepEqual(await decodeBarcodes(png), ["5000157024671"]);
+  const blank = await sharp({
+    create: { width: 200, height: 100, channels: 3, background: "white" },
+  })
+    .png()
+    .toBuffer();
+  assert.deepEqual(await decodeBarcodes(blank), []);
+});
@@ -0,0 +1,58 @@
+// /test/providers.test.js
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { registerProvider, runProviders } from "../lib/providers.js";
+import { createDeadline } from "../lib/timing.js";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const recipe = (id) => ({ id, title: id });
+
+registerProvider({
+  name: "slow",
+  timeoutMs: 5000,
+  fetch: async () => {
+    await sleep(200);
+    return { recipes: [recipe("slow-1")] };
+  },
+});
+registerProvider({
+  name: "corpus",
+  fallback: true,
+  inProcess: true,
+  timeoutMs: 100,
+  fetch: () => ({ recipes: [recipe("corpus-1")] }),
+});
+registerProvider({
+  name: "remote-fallback",
+  fallback: true,
+  timeoutMs: 100,
+  fetch: () => ({ recipes: [recipe("remote-1")] }),
+});
+
+test("runProviders: in-process fallbacks still run once the deadline is spent", async () => {
+  const out = await runProviders(
+    ["rice"],
+    { providers: ["slow", "corpus"] },
+    { context: { deadline: createDeadline(30) } }
+  );
+  assert.deepEqual(out.recipes.map((r) => r.id), ["corpus-1"]);
+  assert.deepEqual(out.info.unfinished, ["slow"]);
+  assert.equal(out.info.runs.slow.deadline, true);
+});
+
+test("runProviders: other fallbacks are skipped once the deadline is spent", async () => {
+  const out = await runProviders(
+    ["rice"],
+    { providers: ["slow", "remote-fallback"] },
+    { context: { deadline: createDeadline(30) } }
+  );
+  assert.deepEqual(out.recipes, []);
+  assert.deepEqual(out.info.unfinished, ["slow", "remote-fallback"]);
+  assert.deepEqual(out.info.runs["remote-fallback"], { skipped: "deadline" });
+});
+
+test("runProviders: fallbacks aren't consulted when a primary delivered", async () => {
+  const out = await runProviders(["rice"], { providers: ["slow", "corpus"] });
+  assert.deepEqual(out.recipes.map((r) => r.id), ["slow-1"]);
+  assert.equal(out.info.runs.corpus, undefined);
+});
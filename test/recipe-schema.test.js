@@ -0,0 +1,96 @@
+// /test/recipe-schema.test.js
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { RECIPES_SCHEMA, extractJson, parseRecipes, validate } from "../lib/recipe-schema.js";
+
+const RECIPE = {
+  id: "r1",
+  title: "Beans on toast",
+  time: 10,
+  energy: "hob",
+  servings: 1,
+  ingredients: [{ name: "baked beans", have: true, amount: 200, unit: "g" }],
+  steps: [{ id: "s1", text: "Warm the beans." }],
+  shoppingList: [],
+};
+
+test("validate: a schema-shaped reply has no errors", () => {
+  assert.deepEqual(validate(RECIPES_SCHEMA, { recipes: [RECIPE] }), []);
+});
+
+test("validate: reports paths for wrong types, enums, missing and extra keys", () => {
+  const bad = { ...RECIPE, time: "10", energy: "grill", extra: 1 };
+  delete bad.steps;
+  assert.deepEqual(validate(RECIPES_SCHEMA, { recipes: [bad] }), [
+    "$.recipes[0].steps: required",
+    "$.recipes[0].time: expected number, got string",
+    "$.recipes[0].energy: expected one of hob, oven, air fryer, microwave",
+    "$.recipes[0].extra: not allowed",
+  ]);
+  assert.deepEqual(validate({ type: "number" }, NaN), ["$: expected a finite number"]);
+});
+
+test("extractJson: plain, fenced, prose-wrapped and trailing commas", () => {
+  assert.deepEqual(extractJson('{"a":1}'), { value: { a: 1 }, repaired: false });
+  assert.deepEqual(extractJson('```json\n{"a":1}\n```'), { value: { a: 1 }, repaired: true });
+  assert.deepEqual(extractJson('Here you go: {"a":"}{","b":[1,2,],} Enjoy!'), {
+    value: { a: "}{", b: [1, 2] },
+    repaired: true,
+  });
+  assert.equal(extractJson("no json here"), null);
+  assert.equal(extractJson(undefined), null);
+});
+
+test("parseRecipes: a valid reply passes through unrepaired", () => {
+  const out = parseRecipes(JSON.stringify({ recipes: [RECIPE] }));
+  assert.deepEqual(out, { recipes: [RECIPE], errors: [], repaired: false });
+});
+
+test("parseRecipes: coerces loose types and bare arrays", () => {
+  const loose = {
+    title: " Omelette ",
+    time: "15 mins",
+    energy: "Stove top",
+    servings: "2",
+    ingredients: ["eggs", { name: "milk", have: "yes", amount: "100", unit: "ml" }],
+    steps: ["Whisk.", { step: "Cook." }],
+  };
+  const { recipes, errors, repaired } = parseRecipes(JSON.stringify([loose]));
+  assert.deepEqual(errors, []);
+  assert.equal(repaired, true);
+  assert.deepEqual(recipes[0], {
+    id: "recipe-1",
+    title: "Omelette",
+    time: 15,
+    energy: "hob",
+    servings: 2,
+    ingredients: [
+      { name: "eggs", have: false, amount: 0, unit: "" },
+      { name: "milk", have: true, amount: 100, unit: "ml" },
+    ],
+    steps: [
+      { id: "step-1", text: "Whisk." },
+      { id: "step-2", text: "Cook." },
+    ],
+    shoppingList: [],
+  });
+});
+
+test("parseRecipes: drops unusable recipes and keeps the rest", () => {
+  const empty = { ...RECIPE, id: "r2", steps: [] };
+  const { recipes, errors } = parseRecipes(JSON.stringify({ recipes: [RECIPE, empty, 42] }));
+  assert.deepEqual(recipes.map((r) => r.id), ["r1"]);
+  assert.deepEqual(errors, [
+    "$.recipes[1]: needs a title, ingredients and steps",
+    "$.recipes[2]: expected object, got number",
+  ]);
+});
+
+test("parseRecipes: no JSON or no recipes array", () => {
+  assert.deepEqual(parseRecipes("sorry, I can't help"), {
+    recipes: [],
+    errors: ["$: no JSON found"],
+    repaired: false,
+  });
+  assert.deepEqual(parseRecipes('{"dishes":[]}').errors, ["$.recipes: expected array"]);
+});
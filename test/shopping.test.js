@@ -0,0 +1,95 @@
+// /test/shopping.test.js
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { aisleFor, buildShoppingList } from "../lib/shopping.js";
+
+const ing = (name, amount, unit, extra = {}) => ({ name, amount, unit, have: false, ...extra });
+
+test("buildShoppingList: merges across recipes and sums compatible amounts", () => {
+  const list = buildShoppingList([
+    { id: "a", ingredients: [ing("rice", 200, "g"), ing("egg", 2)] },
+    { id: "b", ingredients: [ing("rice", 0.5, "kg"), ing("egg", 1)] },
+  ]);
+  const byName = Object.fromEntries(list.items.map((i) => [i.name, i]));
+  assert.equal(byName.rice.display, "700 g");
+  assert.equal(byName.egg.display, "3");
+  assert.deepEqual(byName.rice.recipes, ["a", "b"]);
+});
+
+test("buildShoppingList: singular and plural count units add up", () => {
+  const list = buildShoppingList([
+    { id: "a", ingredients: [ing("garlic", 2, "clove")] },
+    { id: "b", ingredients: [ing("garlic", 1, "cloves")] },
+  ]);
+  assert.equal(list.items.length, 1);
+  assert.deepEqual(list.items[0].quantities, [{ amount: 3, unit: "clove", display: "3 cloves" }]);
+  assert.deepEqual(list.items[0].recipes, ["a", "b"]);
+});
+
+test("buildShoppingList: cups are a volume, summed with millilitres", () => {
+  const list = buildShoppingList([
+    { id: "a", ingredients: [ing("milk", 1, "cup"), ing("milk", 260, "ml")] },
+  ]);
+  assert.equal(list.items[0].display, "500 ml");
+});
+
+test("buildShoppingList: tins and spoons add up whichever form was written", () => {
+  const list = buildShoppingList([
+    {
+      id: "a",
+      ingredients: [
+        ing("chopped tomatoes", 1, "tin"),
+        ing("tomatoes", 1, "tins"),
+        ing("soy sauce", 1, "tbsp"),
+        ing("soy sauce", 3, "teaspoons"),
+      ],
+    },
+  ]);
+  const byName = Object.fromEntries(list.items.map((i) => [i.name, i.display]));
+  assert.equal(byName.tomatoes, "2 tins");
+  assert.equal(byName["soy sauce"], "2 tbsp");
+});
+
+test("buildShoppingList: skips what we have, swaps, water and malformed entries", () => {
+  const list = buildShoppingList([
+    null,
+    {
+      id: "a",
+      ingredients: [
+        null,
+        ing("rice", 200, "g", { have: true }),
+        ing("cream", 100, "ml", { substitute: { name: "milk" } }),
+        ing("water", 500, "ml"),
+        ing("onion", 1),
+      ],
+    },
+    { id: "b", ingredients: "not a list" },
+  ]);
+  assert.deepEqual(list.items.map((i) => i.name), ["onion"]);
+  assert.deepEqual(list.recipeIds, ["a", "b"]);
+});
+
+test("buildShoppingList: ids pick recipes; aisles order the text export", () => {
+  const recipes = [
+    { id: 1, ingredients: [ing("spaghetti", 500, "g"), ing("onion", 1)] },
+    { id: 2, ingredients: [ing("cumin", 1, "tsp")] },
+  ];
+  const list = buildShoppingList(recipes, { ids: ["1"] });
+  assert.deepEqual(list.recipeIds, [1]);
+  assert.equal(list.text, "FRUIT & VEG\n  onion - 1\n\nPASTA, RICE & NOODLES\n  spaghetti - 500 g");
+  assert.equal(buildShoppingList([]).text, "Nothing to buy.");
+});
+
+test("buildShoppingList: imperial units", () => {
+  const list = buildShoppingList([{ id: 1, ingredients: [ing("rice", 500, "g")] }], {
+    units: "imperial",
+  });
+  assert.equal(list.items[0].quantities[0].unit, "lb");
+});
+
+test("aisleFor: overrides, then the category's aisle", () => {
+  assert.equal(aisleFor("egg"), "Dairy & eggs");
+  assert.equal(aisleFor("chicken"), "Meat & fish");
+  assert.equal(aisleFor("chickpeas"), "Tins & pulses");
+  assert.equal(aisleFor("no such thing"), "Other");
+});
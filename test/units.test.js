@@ -0,0 +1,115 @@
+// /test/units.test.js
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  attachQuantities,
+  convertAmount,
+  formatIngredientAmount,
+  parseQuantities,
+  roundForDisplay,
+  scaleRecipe,
+  servingsPref,
+  unitName,
+  unitSystemPref,
+} from "../lib/units.js";
+
+test("parseQuantities: multipacks, decimals and volumes in base units", () => {
+  const q = parseQuantities("Beans 2 x 400g, Rice 1,5 kg, Milk 500ml");
+  assert.deepEqual(
+    q.map(({ amount, unit, raw }) => ({ amount, unit, raw })),
+    [
+      { amount: 800, unit: "g", raw: "2 x 400g" },
+      { amount: 1500, unit: "g", raw: "1,5 kg" },
+      { amount: 500, unit: "ml", raw: "500ml" },
+    ]
+  );
+});
+
+test("parseQuantities: skips nutrition headings and unit-like words", () => {
+  assert.deepEqual(parseQuantities("Energy per 100g 350kcal"), []);
+  assert.deepEqual(parseQuantities("4 garlic cloves, 2 large eggs"), []);
+  assert.deepEqual(parseQuantities(null), []);
+});
+
+test("attachQuantities: prefers the word before the quantity", () => {
+  const text = "Chopped Tomatoes 400g Pasta";
+  const tokens = ["Chopped Tomatoes", "Pasta"].map((t) => {
+    const index = text.indexOf(t);
+    return { text: t, index, end: index + t.length };
+  });
+  assert.deepEqual(attachQuantities(tokens, parseQuantities(text)), [
+    { at: 0, amount: 400, unit: "g", raw: "400g" },
+  ]);
+  assert.deepEqual(attachQuantities([], parseQuantities(text)), []);
+});
+
+test("unitName: spelled-out and plural units fold to one name", () => {
+  assert.equal(unitName("Grams"), "g");
+  assert.equal(unitName("tablespoons"), "tbsp");
+  assert.equal(unitName("cloves"), "clove");
+  assert.equal(unitName("tins"), "tin");
+  assert.equal(unitName("bunches"), "bunch");
+  assert.equal(unitName("slices"), "slice");
+  assert.equal(unitName("leaves"), "leaves");
+  assert.equal(unitName("cups"), "cup");
+});
+
+test("formatIngredientAmount: count units pluralise after rounding", () => {
+  assert.equal(formatIngredientAmount(1, "clove").display, "1 clove");
+  assert.equal(formatIngredientAmount(3, "clove").display, "3 cloves");
+  assert.equal(formatIngredientAmount(2, "pinch").display, "2 pinches");
+  assert.equal(formatIngredientAmount(1.5, "").display, "1 1/2");
+  assert.equal(formatIngredientAmount(2, "cup").display, "2 cups");
+});
+
+test("convertAmount: metric rolls up, imperial picks oz/lb and spoons/cups", () => {
+  assert.deepEqual(convertAmount(1200, "g"), { amount: 1.2, unit: "kg" });
+  assert.deepEqual(convertAmount(6, "tsp"), { amount: 2, unit: "tbsp" });
+  assert.equal(convertAmount(900, "g", "imperial").unit, "lb");
+  assert.deepEqual(convertAmount(30, "ml", "imperial"), { amount: 2, unit: "tbsp" });
+  assert.equal(convertAmount(200, "ml", "imperial").unit, "cup");
+  assert.deepEqual(convertAmount(2, "tins", "imperial"), { amount: 2, unit: "tin" });
+});
+
+test("roundForDisplay: grams to the nearest 10, counts to kitchen fractions", () => {
+  assert.deepEqual(roundForDisplay(237, "g"), { amount: 240, text: "240" });
+  assert.deepEqual(roundForDisplay(1.3, "kg"), { amount: 1.25, text: "1.25" });
+  assert.deepEqual(roundForDisplay(7.3, "oz"), { amount: 7, text: "7" });
+  assert.deepEqual(roundForDisplay(0.4861, ""), { amount: 0.5, text: "1/2" });
+  assert.equal(roundForDisplay(0, "g"), null);
+});
+
+test("servingsPref and unitSystemPref", () => {
+  assert.equal(servingsPref({ servings: "3.6" }), 4);
+  assert.equal(servingsPref({ servings: 99 }), 20);
+  assert.equal(servingsPref({ servings: 0 }), null);
+  assert.equal(servingsPref(), null);
+  assert.equal(unitSystemPref({ units: "US" }), "imperial");
+  assert.equal(unitSystemPref({}), "metric");
+});
+
+test("scaleRecipe: scales to the requested servings and converts units", () => {
+  const recipe = {
+    servings: 2,
+    ingredients: [
+      { name: "rice", amount: 150, unit: "g" },
+      { name: "onion", amount: 1, unit: "" },
+      { name: "salt" },
+    ],
+  };
+  const out = scaleRecipe(recipe, { servings: 4, units: "imperial" });
+  assert.equal(out.servings, 4);
+  assert.equal(out.units, "imperial");
+  assert.deepEqual(out.ingredients, [
+    { name: "rice", amount: 11, unit: "oz", display: "11 oz" },
+    { name: "onion", amount: 2, unit: "", display: "2" },
+    { name: "salt" },
+  ]);
+});
+
+test("scaleRecipe: no base servings converts without scaling", () => {
+  const out = scaleRecipe({ ingredients: [{ name: "milk", amount: 1500, unit: "ml" }] }, { servings: 4 });
+  assert.equal(out.servings, undefined);
+  assert.deepEqual(out.ingredients[0], { name: "milk", amount: 1.5, unit: "l", display: "1.5 l" });
+  assert.equal(scaleRecipe(null), null);
+});